@@ -0,0 +1,1718 @@
+// Especificação OpenAPI 3 da API, servida em /api/docs/openapi.json e na interface /api/docs.
+//
+// Os corpos de requisição são gerados a partir dos schemas de validação em schemas/,
+// então regras de tamanho, formato e valores permitidos ficam em um único lugar.
+// test/openapi.test.js falha se algum roteador registrar uma rota que não esteja em paths.
+
+const schemas = require('../schemas');
+const { LIMITE_MAXIMO } = require('../utils/listagem');
+const { version } = require('../package.json');
+
+const ESTADOS_REVISAO = schemas.revisao.ESTADOS;
+
+const formatos = { date: 'date', 'date-time': 'date-time', email: 'email', uri: 'uri-reference' };
+
+// Converte a definição de um campo de schemas/*.js em propriedade OpenAPI
+const propriedadeOpenApi = (definicao, opcoes) => {
+  if (definicao.tipo === 'object') {
+    return paraOpenApi(definicao, opcoes);
+  }
+
+  const propriedade = { type: definicao.tipo };
+
+  if (definicao.formato === 'slug') propriedade.pattern = '^[a-z0-9]+(?:[-_][a-z0-9]+)*$';
+  else if (definicao.formato === 'hora') propriedade.pattern = '^([01]\\d|2[0-3]):[0-5]\\d$';
+  else if (definicao.formato) propriedade.format = formatos[definicao.formato];
+  if (definicao.valores) propriedade.enum = definicao.valores;
+  if (definicao.tipo === 'array') {
+    propriedade.items = propriedadeOpenApi(definicao.itens, opcoes);
+    if (definicao.min !== undefined) propriedade.minItems = definicao.min;
+    if (definicao.max !== undefined) propriedade.maxItems = definicao.max;
+  }
+  if (definicao.tipo === 'string') {
+    if (definicao.min !== undefined) propriedade.minLength = definicao.min;
+    if (definicao.max !== undefined) propriedade.maxLength = definicao.max;
+  }
+  if (definicao.tipo === 'integer') {
+    if (definicao.min !== undefined) propriedade.minimum = definicao.min;
+    if (definicao.max !== undefined) propriedade.maximum = definicao.max;
+  }
+  if (definicao.nulo) propriedade.nullable = true;
+
+  return propriedade;
+};
+
+// Converte um schema de validação (schemas/*.js) em um schema OpenAPI
+const paraOpenApi = ({ campos }, { parcial = false } = {}) => {
+  const properties = {};
+  const required = [];
+
+  Object.entries(campos).forEach(([campo, definicao]) => {
+    if (parcial && definicao.somenteCriacao) return;
+
+    properties[campo] = propriedadeOpenApi(definicao, { parcial });
+    if (definicao.obrigatorio && !parcial) required.push(campo);
+  });
+
+  return required.length
+    ? { type: 'object', properties, required }
+    : { type: 'object', properties };
+};
+
+const ref = (nome) => ({ $ref: `#/components/schemas/${nome}` });
+
+// Registro persistido: campos do schema de entrada mais os gerados pelo servidor
+const registro = (entrada, extras) => ({
+  allOf: [ref(entrada), { type: 'object', properties: extras }]
+});
+
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+
+const corpo = (schema) => ({ required: true, ...json(schema) });
+
+// Resposta de sucesso no formato { success, message?, data? } usado pelas rotas
+const sucesso = (descricao, data, extras = {}) => {
+  const properties = {
+    success: { type: 'boolean', example: true },
+    message: { type: 'string' },
+    ...extras
+  };
+  if (data) properties.data = data;
+  return { description: descricao, ...json({ type: 'object', properties }) };
+};
+
+const listagem = (descricao, item) => sucesso(descricao, { type: 'array', items: item }, {
+  total: { type: 'integer' },
+  paginacao: ref('Paginacao')
+});
+
+const erro = (descricao) => ({ description: descricao, ...json(ref('Erro')) });
+
+const erros = {
+  400: erro('Dados ou parâmetros inválidos'),
+  401: erro('Token ausente, inválido ou expirado'),
+  403: erro('Sem permissão para esta operação'),
+  404: erro('Recurso não encontrado')
+};
+
+// Rotas que aceitam access token ou chave de API; as da própria conta só aceitam o access token
+const protegida = { security: [{ bearerAuth: [] }, { apiKeyAuth: [] }] };
+const somenteLogin = { security: [{ bearerAuth: [] }] };
+
+const parametroId = (name = 'id', descricao = 'Identificador numérico') => ({
+  name, in: 'path', required: true, description: descricao, schema: { type: 'integer' }
+});
+
+// GET público de eventos e notícias: ID ou slug atual; um slug anterior responde 301 para o endereço atual
+const parametroIdOuSlug = {
+  name: 'id', in: 'path', required: true, description: 'Identificador numérico ou slug', schema: { type: 'string' }
+};
+
+const redirecionamentoSlug = {
+  ...sucesso('Slug anterior: o novo endereço vai no header Location e no corpo', {
+    type: 'object',
+    properties: { slug: { type: 'string' }, url: { type: 'string' } }
+  }),
+  headers: { Location: { schema: { type: 'string' } } }
+};
+
+const erroSlug = erro('Slug já usado por outro evento ou notícia da mesma coleção');
+
+const parametroSessao = (name) => ({
+  name, in: 'path', required: true, description: 'Identificador da sessão', schema: { type: 'string', format: 'uuid' }
+});
+
+const parametroQuery = (name, schema, description) => ({ name, in: 'query', schema, description });
+
+const parametrosListagem = ['Page', 'Limit', 'Cursor', 'Sort', 'Fields', 'DataInicio', 'DataFim']
+  .map(nome => ({ $ref: `#/components/parameters/Parametro${nome}` }));
+
+const parametroPeriodo = parametroQuery('periodo', { type: 'string', enum: ['upcoming', 'past'] },
+  'Eventos futuros (upcoming) ou passados (past)');
+
+const parametroEscopo = parametroQuery('escopo', { type: 'string', enum: ['ocorrencia', 'seguintes', 'serie'], default: 'ocorrencia' },
+  'Em ocorrências de séries: só esta, esta e as seguintes ou a série inteira');
+
+// Ações de revisão editorial (POST /{recurso}/{id}/review/submit|approve|reject)
+const acaoRevisao = (tag, summary, item, description) => ({
+  parameters: [parametroId()],
+  post: {
+    tags: [tag],
+    summary,
+    description,
+    ...protegida,
+    requestBody: { required: false, ...json(ref('RevisaoAcao')) },
+    responses: {
+      200: sucesso(summary, ref(item)),
+      400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404],
+      409: erro('Transição não permitida no estado atual da revisão')
+    }
+  }
+});
+
+// Histórico de versões (routes/versoes.js), igual para eventos e notícias
+const rotasVersoes = (prefixo, tag, item) => {
+  const parametroNumero = { name: 'numero', in: 'path', required: true, description: 'Número da versão', schema: { type: 'integer' } };
+  const numeroOuAtual = (name, description) => parametroQuery(name, { oneOf: [{ type: 'integer' }, { type: 'string', enum: ['atual'] }] }, description);
+
+  return {
+    [`${prefixo}/{id}/versoes`]: {
+      parameters: [parametroId()],
+      get: {
+        tags: [tag],
+        summary: 'Listar versões anteriores (mais recentes primeiro)',
+        description: 'Cada alteração guarda o registro como estava antes, com quem alterou, quando e os campos alterados.',
+        ...protegida,
+        responses: {
+          200: sucesso('Versões', { type: 'array', items: ref('VersaoResumo') }, { total: { type: 'integer' } }),
+          401: erros[401], 403: erros[403], 404: erros[404]
+        }
+      }
+    },
+    [`${prefixo}/{id}/versoes/diff`]: {
+      parameters: [parametroId()],
+      get: {
+        tags: [tag],
+        summary: 'Comparar duas versões campo a campo',
+        ...protegida,
+        parameters: [
+          { ...numeroOuAtual('de', 'Versão de origem'), required: true },
+          numeroOuAtual('para', 'Versão de destino (padrão: atual)')
+        ],
+        responses: {
+          200: sucesso('Diferenças', ref('DiferencaVersoes')),
+          400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404]
+        }
+      }
+    },
+    [`${prefixo}/{id}/versoes/{numero}`]: {
+      parameters: [parametroId(), parametroNumero],
+      get: {
+        tags: [tag],
+        summary: 'Buscar versão com o conteúdo completo',
+        ...protegida,
+        responses: { 200: sucesso('Versão', ref('Versao')), 400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404] }
+      }
+    },
+    [`${prefixo}/{id}/versoes/{numero}/restore`]: {
+      parameters: [parametroId(), parametroNumero],
+      post: {
+        tags: [tag],
+        summary: 'Restaurar o conteúdo de uma versão',
+        description: 'Só os campos de conteúdo voltam; publicação, revisão editorial e inscrições não mudam. '
+          + 'A versão substituída também é guardada, então a restauração pode ser desfeita. Em registro publicado '
+          + '(evento ativo, notícia publicada ou agendada) exige também a permissão de publicar.',
+        ...protegida,
+        responses: {
+          200: sucesso('Versão restaurada', ref(item)),
+          400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404]
+        }
+      }
+    }
+  };
+};
+
+const parametroTipoLixeira = {
+  name: 'tipo', in: 'path', required: true, schema: { type: 'string', enum: ['eventos', 'noticias'] }
+};
+
+const camposRevisao = {
+  estadoRevisao: {
+    type: 'string',
+    enum: ESTADOS_REVISAO,
+    nullable: true,
+    description: 'Estado na revisão editorial; null quando criado por quem já podia publicar'
+  },
+  historicoRevisao: { type: 'array', items: ref('TransicaoRevisao') }
+};
+
+const parametroEstadoRevisao = parametroQuery('estadoRevisao', { type: 'string', enum: ESTADOS_REVISAO },
+  'Estado na revisão editorial (pendente: fila de revisão)');
+
+const usuario = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    nome: { type: 'string' },
+    email: { type: 'string', format: 'email' },
+    role: { type: 'string', example: 'admin', description: 'Identificador do papel (ver /api/roles)' }
+  }
+};
+
+const tokens = {
+  token: { type: 'string', description: 'Access token JWT de curta duração (JWT_EXPIRE, padrão 15m)' },
+  refreshToken: { type: 'string', description: 'Token opaco para POST /api/auth/refresh' }
+};
+
+const codigosRecuperacao = {
+  type: 'object',
+  properties: {
+    recoveryCodes: { type: 'array', items: { type: 'string' }, description: 'Exibidos apenas uma vez' }
+  }
+};
+
+const revogadas = { type: 'object', properties: { revogadas: { type: 'integer' } } };
+
+const components = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+      description: 'Access token obtido em POST /api/auth/login ou POST /api/auth/refresh'
+    },
+    apiKeyAuth: {
+      type: 'apiKey',
+      in: 'header',
+      name: 'X-API-Key',
+      description: 'Chave de API criada em POST /api/admins/api-keys (também aceita como Bearer)'
+    }
+  },
+  parameters: {
+    ParametroPage: parametroQuery('page', { type: 'integer', minimum: 1 }, 'Página (a partir de 1)'),
+    ParametroLimit: parametroQuery('limit', { type: 'integer', minimum: 1, maximum: LIMITE_MAXIMO },
+      'Itens por página (padrão 20 quando paginado)'),
+    ParametroCursor: parametroQuery('cursor', { type: 'string' },
+      'Valor de paginacao.nextCursor da resposta anterior; não pode ser combinado com page'),
+    ParametroSort: parametroQuery('sort', { type: 'string', example: '-data,titulo' },
+      'Campos separados por vírgula; prefixo "-" para ordem decrescente'),
+    ParametroFields: parametroQuery('fields', { type: 'string', example: 'id,titulo,data' },
+      'Campos a devolver, separados por vírgula'),
+    ParametroDataInicio: parametroQuery('dataInicio', { type: 'string', format: 'date' },
+      'Data mínima (inclusiva) do campo data'),
+    ParametroDataFim: parametroQuery('dataFim', { type: 'string', format: 'date' },
+      'Data máxima (inclusiva) do campo data')
+  },
+  schemas: {
+    EventoEntrada: paraOpenApi(schemas.evento),
+    EventoAtualizacao: paraOpenApi(schemas.evento, { parcial: true }),
+    Evento: registro('EventoEntrada', {
+      id: { type: 'integer' },
+      dataFormatada: { type: 'string', nullable: true, example: '15 de setembro de 2025' },
+      inscricoes: {
+        allOf: [ref('ResumoInscricoes')],
+        description: 'Presente quando o evento tem inscrições; participantes passa a ser o total de confirmadas'
+      },
+      slugsAnteriores: { type: 'array', items: { type: 'string' }, description: 'Slugs antigos, que redirecionam para o atual' },
+      sequencia: { type: 'integer', description: 'Número de alterações, usado como SEQUENCE no iCalendar' },
+      serieId: { type: 'integer', description: 'Série da qual o evento é uma ocorrência' },
+      dataOriginal: { type: 'string', format: 'date', description: 'Data gerada pela regra da série' },
+      ...camposRevisao,
+      exclusao: ref('Exclusao'),
+      criadoEm: { type: 'string', format: 'date-time' },
+      atualizadoEm: { type: 'string', format: 'date-time' }
+    }),
+    SerieEntrada: paraOpenApi(schemas.serie),
+    SerieAtualizacao: paraOpenApi(schemas.serie, { parcial: true }),
+    Serie: registro('SerieEntrada', {
+      id: { type: 'integer' },
+      serieOrigemId: { type: 'integer', description: 'Série dividida ao alterar uma ocorrência e as seguintes' },
+      ativo: { type: 'boolean' },
+      ocorrencias: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', description: 'Id do evento da ocorrência' },
+            slug: { type: 'string' },
+            data: { type: 'string', format: 'date' },
+            horaInicio: { type: 'string', nullable: true },
+            horaFim: { type: 'string', nullable: true }
+          }
+        }
+      },
+      criadoEm: { type: 'string', format: 'date-time' },
+      atualizadoEm: { type: 'string', format: 'date-time' }
+    }),
+    VersaoResumo: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        colecao: { type: 'string', enum: ['eventos', 'noticias'] },
+        registroId: { type: 'integer' },
+        numero: { type: 'integer' },
+        campos: { type: 'array', items: { type: 'string' }, description: 'Campos alterados em relação a esta versão' },
+        alteradoPor: { type: 'integer', nullable: true, description: 'Admin que fez a alteração (para chave de API, o admin que a criou)' },
+        alteradoEm: { type: 'string', format: 'date-time' },
+        restauradaDe: { type: 'integer', nullable: true, description: 'Versão restaurada, quando a alteração foi uma restauração' }
+      }
+    },
+    Versao: {
+      allOf: [ref('VersaoResumo'), {
+        type: 'object',
+        properties: { dados: { type: 'object', description: 'O registro como estava antes da alteração' } }
+      }]
+    },
+    DiferencaVersoes: {
+      type: 'object',
+      properties: {
+        de: { oneOf: [{ type: 'integer' }, { type: 'string' }] },
+        para: { oneOf: [{ type: 'integer' }, { type: 'string' }] },
+        alteracoes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { campo: { type: 'string' }, de: {}, para: {} }
+          }
+        }
+      }
+    },
+    ItemLixeira: {
+      type: 'object',
+      properties: {
+        tipo: { type: 'string', enum: ['eventos', 'noticias'] },
+        id: { type: 'integer' },
+        titulo: { type: 'string' },
+        imagem: { type: 'string', nullable: true },
+        excluidoEm: { type: 'string', format: 'date-time' },
+        excluidoPor: { type: 'integer', nullable: true, description: 'Admin que excluiu (para chave de API, o admin que a criou; null em exclusões antigas)' },
+        expiraEm: { type: 'string', format: 'date-time', nullable: true, description: 'Exclusão definitiva automática' }
+      }
+    },
+    Exclusao: {
+      type: 'object',
+      nullable: true,
+      description: 'Presente enquanto o registro está na lixeira',
+      properties: {
+        em: { type: 'string', format: 'date-time' },
+        por: { type: 'integer', nullable: true }
+      }
+    },
+    RevisaoAcao: paraOpenApi(schemas.revisao),
+    TransicaoRevisao: {
+      type: 'object',
+      properties: {
+        de: { type: 'string', enum: ESTADOS_REVISAO, nullable: true },
+        para: { type: 'string', enum: ESTADOS_REVISAO },
+        por: { type: 'integer', nullable: true, description: 'Admin responsável (para chave de API, o admin que a criou)' },
+        comentario: { type: 'string', nullable: true },
+        em: { type: 'string', format: 'date-time' }
+      }
+    },
+    InscricaoEntrada: paraOpenApi(schemas.inscricao),
+    Inscricao: registro('InscricaoEntrada', {
+      id: { type: 'integer' },
+      eventoId: { type: 'integer' },
+      status: { type: 'string', enum: ['confirmada', 'espera', 'cancelada'] },
+      criadoEm: { type: 'string', format: 'date-time' },
+      atualizadoEm: { type: 'string', format: 'date-time' },
+      promovidaEm: { type: 'string', format: 'date-time', nullable: true },
+      canceladaEm: { type: 'string', format: 'date-time', nullable: true },
+      canceladaPor: { type: 'string', enum: ['inscrito', 'admin'], nullable: true },
+      checkinEm: { type: 'string', format: 'date-time', nullable: true },
+      checkinPor: { type: 'integer', nullable: true, description: 'Admin que registrou o check-in (para chave de API, o admin que a criou)' }
+    }),
+    ResumoInscricoes: {
+      type: 'object',
+      properties: {
+        abertas: { type: 'boolean' },
+        capacidade: { type: 'integer', nullable: true },
+        confirmadas: { type: 'integer' },
+        emEspera: { type: 'integer' },
+        vagasRestantes: { type: 'integer', nullable: true }
+      }
+    },
+    Certificado: {
+      type: 'object',
+      properties: {
+        codigo: { type: 'string', example: 'BI-7KQM-2XHT-9PWA' },
+        nome: { type: 'string' },
+        evento: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            titulo: { type: 'string' },
+            data: { type: 'string', format: 'date' }
+          }
+        },
+        cargaHoraria: { type: 'integer' },
+        emitidoEm: { type: 'string', format: 'date-time' }
+      }
+    },
+    NoticiaEntrada: paraOpenApi(schemas.noticia),
+    NoticiaAtualizacao: paraOpenApi(schemas.noticia, { parcial: true }),
+    Noticia: registro('NoticiaEntrada', {
+      id: { type: 'integer' },
+      dataFormatada: { type: 'string', nullable: true },
+      publicadoEm: { type: 'string', format: 'date-time', nullable: true },
+      slugsAnteriores: { type: 'array', items: { type: 'string' }, description: 'Slugs antigos, que redirecionam para o atual' },
+      ...camposRevisao,
+      exclusao: ref('Exclusao'),
+      criadoEm: { type: 'string', format: 'date-time' },
+      atualizadoEm: { type: 'string', format: 'date-time' }
+    }),
+    Contatos: paraOpenApi(schemas.contatos),
+    MensagemEntrada: paraOpenApi(schemas.mensagem),
+    MensagemAtualizacao: paraOpenApi(schemas.mensagem, { parcial: true }),
+    Mensagem: registro('MensagemEntrada', {
+      id: { type: 'integer' },
+      dataEnvio: { type: 'string', format: 'date-time' },
+      atualizadaEm: { type: 'string', format: 'date-time' }
+    }),
+    ConviteEntrada: paraOpenApi(schemas.convite),
+    AceiteConvite: paraOpenApi(schemas.aceiteConvite),
+    AdminAtualizacao: paraOpenApi(schemas.admin, { parcial: true }),
+    Admin: {
+      type: 'object',
+      properties: {
+        ...usuario.properties,
+        ativo: { type: 'boolean' },
+        convitePendente: { type: 'boolean', description: 'Convidado que ainda não aceitou o convite' },
+        doisFatoresAtivo: { type: 'boolean' },
+        bloqueadoAte: { type: 'string', format: 'date-time', nullable: true, description: 'Login bloqueado por excesso de tentativas até esta data' },
+        criadoEm: { type: 'string', format: 'date-time' },
+        atualizadoEm: { type: 'string', format: 'date-time' },
+        ultimoLogin: { type: 'string', format: 'date-time', nullable: true }
+      }
+    },
+    Convite: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        nome: { type: 'string', nullable: true },
+        email: { type: 'string', format: 'email' },
+        role: { type: 'string' },
+        convidadoPor: { type: 'integer' },
+        enviadoEm: { type: 'string', format: 'date-time' },
+        expiraEm: { type: 'string', format: 'date-time' },
+        expirado: { type: 'boolean' },
+        envios: { type: 'integer' },
+        criadoEm: { type: 'string', format: 'date-time' }
+      }
+    },
+    ChaveApiEntrada: paraOpenApi(schemas.chaveApi),
+    ChaveApi: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        nome: { type: 'string' },
+        prefixo: { type: 'string', description: 'Início da chave, para identificá-la' },
+        permissoes: { type: 'array', items: { type: 'string' } },
+        expiraEm: { type: 'string', format: 'date-time', nullable: true },
+        ativa: { type: 'boolean' },
+        criadoPor: { type: 'integer' },
+        criadoEm: { type: 'string', format: 'date-time' },
+        ultimoUsoEm: { type: 'string', format: 'date-time', nullable: true },
+        ultimoUsoIp: { type: 'string', nullable: true },
+        revogadaEm: { type: 'string', format: 'date-time', nullable: true },
+        revogadaPor: { type: 'integer', nullable: true }
+      }
+    },
+    NovaSenha: paraOpenApi(schemas.senha),
+    PoliticaDoisFatores: paraOpenApi(schemas.politicaDoisFatores),
+    RoleEntrada: paraOpenApi(schemas.role),
+    RoleAtualizacao: paraOpenApi(schemas.role, { parcial: true }),
+    Role: registro('RoleEntrada', {
+      sistema: { type: 'boolean', description: 'Papéis do sistema não podem ser excluídos' },
+      criadoEm: { type: 'string', format: 'date-time' },
+      atualizadoEm: { type: 'string', format: 'date-time' }
+    }),
+    Sessao: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        userAgent: { type: 'string', nullable: true },
+        ip: { type: 'string', nullable: true },
+        criadoEm: { type: 'string', format: 'date-time' },
+        ultimoUsoEm: { type: 'string', format: 'date-time' },
+        expiraEm: { type: 'string', format: 'date-time' },
+        ativa: { type: 'boolean' },
+        atual: { type: 'boolean', description: 'Sessão usada na própria requisição' },
+        revogadaEm: { type: 'string', format: 'date-time', nullable: true },
+        motivoRevogacao: { type: 'string', nullable: true }
+      }
+    },
+    Paginacao: {
+      type: 'object',
+      properties: {
+        page: { type: 'integer' },
+        limit: { type: 'integer' },
+        totalPages: { type: 'integer' },
+        hasMore: { type: 'boolean' },
+        nextCursor: { type: 'string', nullable: true }
+      }
+    },
+    Erro: {
+      type: 'object',
+      required: ['success', 'message', 'error'],
+      properties: {
+        success: { type: 'boolean', example: false },
+        message: { type: 'string' },
+        error: {
+          type: 'object',
+          required: ['code', 'status', 'requestId'],
+          properties: {
+            code: { type: 'string', example: 'VALIDATION_FAILED' },
+            status: { type: 'integer', example: 400 },
+            requestId: { type: 'string' },
+            details: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { campo: { type: 'string' }, mensagem: { type: 'string' } }
+              }
+            }
+          }
+        }
+      }
+    },
+    Backup: {
+      type: 'object',
+      properties: {
+        filename: { type: 'string', example: 'backup-2025-08-28T21-30-45-123Z.json' },
+        timestamp: { type: 'string' },
+        date: { type: 'string' }
+      }
+    }
+  }
+};
+
+const paths = {
+  '/health': {
+    get: {
+      tags: ['Sistema'],
+      summary: 'Verificar se o servidor está no ar',
+      responses: {
+        200: {
+          description: 'Servidor ativo',
+          ...json({
+            type: 'object',
+            properties: {
+              status: { type: 'string', example: 'OK' },
+              timestamp: { type: 'string', format: 'date-time' },
+              service: { type: 'string' }
+            }
+          })
+        }
+      }
+    }
+  },
+
+  // Autenticação
+  '/api/auth/login': {
+    post: {
+      tags: ['Autenticação'],
+      summary: 'Autenticar com email e senha',
+      description: 'Com 2FA ativo a resposta traz requires2fa e challengeToken em vez dos tokens; conclua em /api/auth/login/2fa.',
+      requestBody: corpo({
+        type: 'object',
+        required: ['email', 'password'],
+        properties: { email: { type: 'string', format: 'email' }, password: { type: 'string' } }
+      }),
+      responses: {
+        200: sucesso('Login realizado ou desafio de 2FA', null, {
+          ...tokens,
+          user: usuario,
+          twoFactorSetupRequired: {
+            type: 'boolean',
+            description: 'O papel exige 2FA e ele ainda não foi cadastrado; só as rotas de cadastro ficam liberadas'
+          },
+          requires2fa: { type: 'boolean' },
+          challengeToken: { type: 'string', description: 'Válido por 5 minutos' }
+        }),
+        400: erros[400],
+        401: erro('Credenciais inválidas'),
+        429: erro('Conta ou IP bloqueados por excesso de tentativas (cabeçalho Retry-After)')
+      }
+    }
+  },
+  '/api/auth/login/2fa': {
+    post: {
+      tags: ['Autenticação'],
+      summary: 'Concluir o login com código TOTP ou código de recuperação',
+      requestBody: corpo({
+        type: 'object',
+        required: ['challengeToken'],
+        properties: {
+          challengeToken: { type: 'string' },
+          code: { type: 'string', example: '123456' },
+          recoveryCode: { type: 'string', example: 'a1b2c-3d4e5' }
+        }
+      }),
+      responses: {
+        200: sucesso('Login realizado', null, {
+          ...tokens,
+          user: usuario,
+          recoveryCodesRemaining: { type: 'integer', description: 'Presente quando um código de recuperação foi usado' }
+        }),
+        400: erros[400],
+        401: erro('Desafio expirado ou código inválido'),
+        429: erro('Conta ou IP bloqueados por excesso de tentativas (cabeçalho Retry-After)')
+      }
+    }
+  },
+  '/api/auth/2fa/setup': {
+    post: {
+      tags: ['Autenticação'],
+      summary: 'Gerar segredo TOTP para o aplicativo autenticador',
+      ...somenteLogin,
+      responses: {
+        200: sucesso('Segredo gerado', {
+          type: 'object',
+          properties: {
+            secret: { type: 'string' },
+            otpauthUri: { type: 'string', example: 'otpauth://totp/Blockchain%20Insper%3Aadmin%40exemplo.com?secret=...' }
+          }
+        }),
+        400: erros[400], 401: erros[401]
+      }
+    }
+  },
+  '/api/auth/2fa/enable': {
+    post: {
+      tags: ['Autenticação'],
+      summary: 'Confirmar o primeiro código e ativar o 2FA',
+      ...somenteLogin,
+      requestBody: corpo({ type: 'object', required: ['code'], properties: { code: { type: 'string' } } }),
+      responses: { 200: sucesso('2FA ativado', codigosRecuperacao), 400: erros[400], 401: erros[401] }
+    }
+  },
+  '/api/auth/2fa/disable': {
+    post: {
+      tags: ['Autenticação'],
+      summary: 'Desativar o 2FA (não permitido quando a política exige 2FA para o papel)',
+      ...somenteLogin,
+      requestBody: corpo({
+        type: 'object',
+        required: ['password'],
+        properties: { password: { type: 'string' }, code: { type: 'string' }, recoveryCode: { type: 'string' } }
+      }),
+      responses: { 200: sucesso('2FA desativado'), 400: erros[400], 401: erros[401], 403: erros[403] }
+    }
+  },
+  '/api/auth/2fa/recovery-codes': {
+    post: {
+      tags: ['Autenticação'],
+      summary: 'Gerar novos códigos de recuperação (invalida os anteriores)',
+      ...somenteLogin,
+      requestBody: corpo({ type: 'object', required: ['code'], properties: { code: { type: 'string' } } }),
+      responses: { 200: sucesso('Códigos gerados', codigosRecuperacao), 400: erros[400], 401: erros[401] }
+    }
+  },
+  '/api/auth/refresh': {
+    post: {
+      tags: ['Autenticação'],
+      summary: 'Trocar o refresh token por um novo par de tokens (o anterior deixa de valer)',
+      requestBody: corpo({
+        type: 'object',
+        required: ['refreshToken'],
+        properties: { refreshToken: { type: 'string' } }
+      }),
+      responses: {
+        200: sucesso('Sessão renovada', null, tokens),
+        400: erros[400],
+        401: erro('Refresh token inválido, expirado ou já utilizado')
+      }
+    }
+  },
+  '/api/auth/logout': {
+    post: {
+      tags: ['Autenticação'],
+      summary: 'Encerrar a sessão atual',
+      ...somenteLogin,
+      responses: { 200: sucesso('Logout realizado'), 401: erros[401] }
+    }
+  },
+  '/api/auth/change-password': {
+    post: {
+      tags: ['Autenticação'],
+      summary: 'Alterar a senha do usuário logado',
+      ...somenteLogin,
+      requestBody: corpo({
+        type: 'object',
+        required: ['currentPassword', 'newPassword'],
+        properties: {
+          currentPassword: { type: 'string' },
+          newPassword: { type: 'string', minLength: 8 }
+        }
+      }),
+      responses: { 200: sucesso('Senha alterada'), 400: erros[400], 401: erros[401], 404: erros[404] }
+    }
+  },
+  '/api/auth/forgot-password': {
+    post: {
+      tags: ['Autenticação'],
+      summary: 'Pedir link de redefinição de senha',
+      description: 'A resposta é a mesma exista ou não uma conta com o email, para não revelar quais contas existem.',
+      requestBody: corpo({
+        type: 'object',
+        required: ['email'],
+        properties: { email: { type: 'string', format: 'email' } }
+      }),
+      responses: { 200: sucesso('Pedido recebido'), 400: erros[400] }
+    }
+  },
+  '/api/auth/reset-password': {
+    post: {
+      tags: ['Autenticação'],
+      summary: 'Definir nova senha com o token recebido por email',
+      description: 'O token é de uso único. Todas as sessões da conta são encerradas.',
+      requestBody: corpo({
+        type: 'object',
+        required: ['token', 'newPassword'],
+        properties: {
+          token: { type: 'string' },
+          newPassword: { type: 'string', minLength: 8 }
+        }
+      }),
+      responses: { 200: sucesso('Senha redefinida'), 400: erros[400] }
+    }
+  },
+  '/api/auth/accept-invite': {
+    post: {
+      tags: ['Autenticação'],
+      summary: 'Aceitar convite e definir a senha',
+      description: 'nome é obrigatório se o convite foi enviado sem nome.',
+      requestBody: corpo(ref('AceiteConvite')),
+      responses: { 200: sucesso('Convite aceito', null, { user: usuario }), 400: erros[400] }
+    }
+  },
+  '/api/auth/me': {
+    get: {
+      tags: ['Autenticação'],
+      summary: 'Dados do usuário logado',
+      ...somenteLogin,
+      responses: {
+        200: sucesso('Usuário logado', null, {
+          user: {
+            ...usuario,
+            properties: {
+              ...usuario.properties,
+              ultimoLogin: { type: 'string', format: 'date-time' },
+              permissoes: { type: 'array', items: { type: 'string' } },
+              doisFatores: {
+                type: 'object',
+                properties: {
+                  ativo: { type: 'boolean' },
+                  obrigatorio: { type: 'boolean' },
+                  codigosRecuperacaoRestantes: { type: 'integer', nullable: true }
+                }
+              }
+            }
+          }
+        }),
+        401: erros[401],
+        404: erros[404]
+      }
+    }
+  },
+
+  '/api/auth/sessions': {
+    get: {
+      tags: ['Autenticação'],
+      summary: 'Listar as sessões ativas do usuário logado',
+      ...somenteLogin,
+      responses: {
+        200: sucesso('Sessões', { type: 'array', items: ref('Sessao') }, { total: { type: 'integer' } }),
+        401: erros[401]
+      }
+    },
+    delete: {
+      tags: ['Autenticação'],
+      summary: 'Encerrar todas as outras sessões do usuário logado',
+      ...somenteLogin,
+      responses: { 200: sucesso('Sessões encerradas', revogadas), 401: erros[401] }
+    }
+  },
+  '/api/auth/sessions/{id}': {
+    parameters: [parametroSessao('id')],
+    delete: {
+      tags: ['Autenticação'],
+      summary: 'Encerrar uma sessão do usuário logado',
+      ...somenteLogin,
+      responses: { 200: sucesso('Sessão encerrada'), 401: erros[401], 404: erros[404] }
+    }
+  },
+
+  // Eventos
+  '/api/eventos': {
+    get: {
+      tags: ['Eventos'],
+      summary: 'Listar eventos ativos',
+      parameters: [
+        ...parametrosListagem,
+        parametroPeriodo,
+        parametroQuery('categoria', { type: 'string' }),
+        parametroQuery('destaque', { type: 'boolean' }),
+        parametroQuery('serieId', { type: 'integer' }, 'Somente ocorrências desta série')
+      ],
+      responses: { 200: listagem('Eventos', ref('Evento')), 400: erros[400] }
+    },
+    post: {
+      tags: ['Eventos'],
+      summary: 'Criar evento',
+      description: 'Sem eventos:publish o evento nasce inativo, como rascunho a enviar para revisão; ativo e destaque '
+        + 'exigem eventos:publish.',
+      ...protegida,
+      requestBody: corpo(ref('EventoEntrada')),
+      responses: {
+        201: sucesso('Evento criado', ref('Evento')),
+        400: erros[400], 401: erros[401], 403: erros[403], 409: erroSlug
+      }
+    }
+  },
+  '/api/eventos/calendar.ics': {
+    get: {
+      tags: ['Eventos'],
+      summary: 'Feed iCalendar dos eventos',
+      description: 'Para assinar no Google Agenda ou Outlook. Horários no fuso America/Sao_Paulo; eventos sem horaInicio '
+        + 'são de dia inteiro. Eventos excluídos continuam no feed com STATUS:CANCELLED; os que aguardam aprovação ficam de fora.',
+      parameters: [parametroQuery('categoria', { type: 'string' }, 'Somente eventos desta categoria')],
+      responses: { 200: { description: 'Arquivo iCalendar', content: { 'text/calendar': { schema: { type: 'string' } } } } }
+    }
+  },
+  '/api/eventos/{id}.ics': {
+    parameters: [parametroIdOuSlug],
+    get: {
+      tags: ['Eventos'],
+      summary: 'Evento em iCalendar',
+      responses: {
+        200: { description: 'Arquivo iCalendar', content: { 'text/calendar': { schema: { type: 'string' } } } },
+        301: redirecionamentoSlug,
+        404: erros[404]
+      }
+    }
+  },
+  '/api/eventos/{id}': {
+    parameters: [parametroId()],
+    get: {
+      tags: ['Eventos'],
+      summary: 'Buscar evento ativo pelo ID ou slug',
+      parameters: [parametroIdOuSlug],
+      responses: { 200: sucesso('Evento', ref('Evento')), 301: redirecionamentoSlug, 404: erros[404] }
+    },
+    put: {
+      tags: ['Eventos'],
+      summary: 'Atualizar evento',
+      description: 'Em ocorrências de séries, escopo=seguintes ou serie aplica a alteração às próximas ocorrências ou a todas '
+        + '(só campos do modelo da série; "seguintes" divide a série). Alterar ativo ou destaque, editar evento ativo '
+        + 'ou usar escopo seguintes/serie exige eventos:publish. Mudar o título gera um novo slug, salvo se slug vier '
+        + 'junto; o anterior passa a redirecionar.',
+      ...protegida,
+      parameters: [parametroEscopo],
+      requestBody: corpo(ref('EventoAtualizacao')),
+      responses: {
+        200: sucesso('Evento atualizado', ref('Evento')),
+        400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404], 409: erroSlug
+      }
+    },
+    delete: {
+      tags: ['Eventos'],
+      summary: 'Excluir evento, movendo-o para a lixeira (eventos:publish)',
+      description: 'Em ocorrências de séries, escopo=seguintes ou serie exclui também as próximas ocorrências ou todas.',
+      ...protegida,
+      parameters: [parametroEscopo],
+      responses: { 200: sucesso('Evento desativado'), 400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404] }
+    }
+  },
+
+  '/api/eventos/{id}/review/submit': acaoRevisao('Eventos', 'Enviar evento para revisão', 'Evento',
+    'Para rascunhos criados sem eventos:publish, inclusive os rejeitados após ajustes.'),
+  '/api/eventos/{id}/review/approve': acaoRevisao('Eventos', 'Aprovar e publicar evento (eventos:publish)', 'Evento'),
+  '/api/eventos/{id}/review/reject': acaoRevisao('Eventos', 'Rejeitar evento (eventos:publish)', 'Evento',
+    'comentario é obrigatório e fica no histórico para o autor.'),
+  ...rotasVersoes('/api/eventos', 'Eventos', 'Evento'),
+
+  // Séries de eventos
+  '/api/series': {
+    get: {
+      tags: ['Séries'],
+      summary: 'Listar séries ativas com as ocorrências',
+      responses: {
+        200: sucesso('Séries', { type: 'array', items: ref('Serie') }, { total: { type: 'integer' } })
+      }
+    },
+    post: {
+      tags: ['Séries'],
+      summary: 'Criar série e gerar as ocorrências (eventos:publish)',
+      description: `Cada ocorrência vira um evento com serieId. Máximo de ${schemas.serie.MAXIMO_OCORRENCIAS} ocorrências.`,
+      ...protegida,
+      requestBody: corpo(ref('SerieEntrada')),
+      responses: { 201: sucesso('Série criada', ref('Serie')), 400: erros[400], 401: erros[401], 403: erros[403] }
+    }
+  },
+  '/api/series/{id}': {
+    parameters: [parametroId()],
+    get: {
+      tags: ['Séries'],
+      summary: 'Buscar série ativa',
+      responses: { 200: sucesso('Série', ref('Serie')), 404: erros[404] }
+    },
+    put: {
+      tags: ['Séries'],
+      summary: 'Alterar a série inteira (eventos:publish)',
+      description: 'Campos do modelo sobrescrevem todas as ocorrências. Mudanças na regra ou nas exceções criam as ocorrências '
+        + 'novas e desativam as que deixaram de existir; recorrencia é substituída por inteiro.',
+      ...protegida,
+      requestBody: corpo(ref('SerieAtualizacao')),
+      responses: {
+        200: sucesso('Série atualizada', ref('Serie')),
+        400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404]
+      }
+    },
+    delete: {
+      tags: ['Séries'],
+      summary: 'Excluir a série e desativar as ocorrências (eventos:publish)',
+      ...protegida,
+      responses: { 200: sucesso('Série excluída'), 401: erros[401], 403: erros[403], 404: erros[404] }
+    }
+  },
+
+  '/api/eventos/{id}/inscricoes': {
+    parameters: [parametroId()],
+    post: {
+      tags: ['Inscrições'],
+      summary: 'Inscrever-se no evento',
+      description: 'Com o evento lotado a inscrição entra na lista de espera. O link de cancelamento também é enviado por email.',
+      requestBody: corpo(ref('InscricaoEntrada')),
+      responses: {
+        201: sucesso('Inscrição registrada', {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            eventoId: { type: 'integer' },
+            nome: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            status: { type: 'string', enum: ['confirmada', 'espera'] },
+            cancelToken: { type: 'string' },
+            ticket: { type: 'string', nullable: true, description: 'Ingresso para o QR code; só para inscrições confirmadas' }
+          }
+        }),
+        400: erros[400], 404: erros[404]
+      }
+    },
+    get: {
+      tags: ['Inscrições'],
+      summary: 'Listar inscrições do evento (inscricoes:manage)',
+      ...protegida,
+      parameters: [parametroQuery('status', { type: 'string', enum: ['confirmada', 'espera', 'cancelada'] })],
+      responses: {
+        200: sucesso('Inscrições', { type: 'array', items: ref('Inscricao') }, {
+          total: { type: 'integer' },
+          resumo: ref('ResumoInscricoes')
+        }),
+        400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404]
+      }
+    }
+  },
+  '/api/eventos/{id}/inscricoes/cancel': {
+    parameters: [parametroId()],
+    post: {
+      tags: ['Inscrições'],
+      summary: 'Cancelar inscrição com o token do email',
+      description: 'A vaga liberada confirma a inscrição mais antiga da lista de espera.',
+      requestBody: corpo({ type: 'object', required: ['token'], properties: { token: { type: 'string' } } }),
+      responses: { 200: sucesso('Inscrição cancelada'), 400: erros[400], 404: erros[404] }
+    }
+  },
+  '/api/eventos/{id}/inscricoes/export': {
+    parameters: [parametroId()],
+    get: {
+      tags: ['Inscrições'],
+      summary: 'Exportar inscrições em CSV (inscricoes:manage)',
+      ...protegida,
+      parameters: [parametroQuery('status', { type: 'string', enum: ['confirmada', 'espera', 'cancelada'] })],
+      responses: {
+        200: { description: 'Planilha CSV', content: { 'text/csv': { schema: { type: 'string' } } } },
+        400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404]
+      }
+    }
+  },
+  '/api/eventos/{id}/inscricoes/{inscricaoId}/ticket': {
+    parameters: [parametroId(), parametroId('inscricaoId', 'Identificador da inscrição')],
+    get: {
+      tags: ['Inscrições'],
+      summary: 'Ingresso de uma inscrição confirmada (inscricoes:manage)',
+      ...protegida,
+      responses: {
+        200: sucesso('Ingresso', {
+          type: 'object',
+          properties: {
+            ticket: { type: 'string' },
+            url: { type: 'string', format: 'uri', description: 'Imagem PNG do QR code' },
+            qrCode: { type: 'string', description: 'QR code como data URL (image/png)' }
+          }
+        }),
+        400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404]
+      }
+    }
+  },
+  '/api/eventos/{id}/inscricoes/{inscricaoId}': {
+    parameters: [parametroId(), parametroId('inscricaoId', 'Identificador da inscrição')],
+    put: {
+      tags: ['Inscrições'],
+      summary: 'Alterar status da inscrição (inscricoes:manage)',
+      description: 'Confirmar manualmente ignora a capacidade; cancelar ou mover para a espera libera a vaga para a lista de espera.',
+      ...protegida,
+      requestBody: corpo({
+        type: 'object',
+        required: ['status'],
+        properties: { status: { type: 'string', enum: ['confirmada', 'espera', 'cancelada'] } }
+      }),
+      responses: {
+        200: sucesso('Inscrição atualizada', ref('Inscricao')),
+        400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404]
+      }
+    },
+    delete: {
+      tags: ['Inscrições'],
+      summary: 'Excluir inscrição (inscricoes:manage)',
+      ...protegida,
+      responses: { 200: sucesso('Inscrição excluída'), 401: erros[401], 403: erros[403], 404: erros[404] }
+    }
+  },
+
+  '/api/eventos/{id}/ticket': {
+    parameters: [parametroId(), parametroQuery('token', { type: 'string' }, 'Ingresso recebido na inscrição')],
+    get: {
+      tags: ['Inscrições'],
+      summary: 'Imagem do QR code de um ingresso',
+      responses: {
+        200: { description: 'QR code', content: { 'image/png': { schema: { type: 'string', format: 'binary' } } } },
+        404: erros[404]
+      }
+    }
+  },
+  '/api/eventos/{id}/checkin': {
+    parameters: [parametroId()],
+    post: {
+      tags: ['Inscrições'],
+      summary: 'Registrar check-in pelo ingresso (checkin:write)',
+      description: 'Recusa ingressos inválidos, de outro evento, de inscrições não confirmadas e check-ins repetidos (409).',
+      ...protegida,
+      requestBody: corpo({ type: 'object', required: ['ticket'], properties: { ticket: { type: 'string' } } }),
+      responses: {
+        200: sucesso('Check-in realizado', ref('Inscricao')),
+        400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404],
+        409: erro('Check-in já realizado')
+      }
+    }
+  },
+  '/api/eventos/{id}/certificados': {
+    parameters: [parametroId()],
+    get: {
+      tags: ['Certificados'],
+      summary: 'Listar certificados emitidos (inscricoes:manage)',
+      ...protegida,
+      responses: {
+        200: sucesso('Certificados', { type: 'array', items: ref('Certificado') }, { total: { type: 'integer' } }),
+        401: erros[401], 403: erros[403], 404: erros[404]
+      }
+    },
+    post: {
+      tags: ['Certificados'],
+      summary: 'Emitir certificados para quem fez check-in (inscricoes:manage)',
+      description: 'Exige cargaHoraria no evento. Emite só os que faltam e devolve todos os certificados do evento.',
+      ...protegida,
+      responses: {
+        200: sucesso('Certificados emitidos', { type: 'array', items: ref('Certificado') }, { total: { type: 'integer' } }),
+        400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404]
+      }
+    }
+  },
+  '/api/eventos/{id}/certificados/zip': {
+    parameters: [parametroId()],
+    get: {
+      tags: ['Certificados'],
+      summary: 'Baixar todos os certificados em ZIP (inscricoes:manage)',
+      description: 'Emite antes os certificados que faltam, como o POST.',
+      ...protegida,
+      responses: {
+        200: { description: 'Um PDF por certificado', content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } } },
+        400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404]
+      }
+    }
+  },
+
+  // Certificados
+  '/api/certificados/{codigo}': {
+    parameters: [{ name: 'codigo', in: 'path', required: true, description: 'Código de verificação impresso no certificado', schema: { type: 'string' } }],
+    get: {
+      tags: ['Certificados'],
+      summary: 'Verificar a autenticidade de um certificado',
+      responses: { 200: sucesso('Certificado válido', ref('Certificado')), 404: erros[404] }
+    }
+  },
+  '/api/certificados/{codigo}/pdf': {
+    parameters: [{ name: 'codigo', in: 'path', required: true, description: 'Código de verificação impresso no certificado', schema: { type: 'string' } }],
+    get: {
+      tags: ['Certificados'],
+      summary: 'Baixar o PDF do certificado',
+      responses: {
+        200: { description: 'Certificado', content: { 'application/pdf': { schema: { type: 'string', format: 'binary' } } } },
+        404: erros[404]
+      }
+    }
+  },
+
+  // Notícias
+  '/api/noticias': {
+    get: {
+      tags: ['Notícias'],
+      summary: 'Listar notícias publicadas (padrão: mais recentes primeiro)',
+      description: 'Inclui as agendadas cujo publicarEm já passou.',
+      parameters: [
+        ...parametrosListagem,
+        parametroQuery('categoria', { type: 'string' }),
+        parametroQuery('autor', { type: 'string' }),
+        parametroQuery('destaque', { type: 'boolean' })
+      ],
+      responses: { 200: listagem('Notícias', ref('Noticia')), 400: erros[400] }
+    },
+    post: {
+      tags: ['Notícias'],
+      summary: 'Criar notícia',
+      description: 'Nasce como rascunho se status não for informado. Outros status e destaque exigem noticias:publish; '
+        + 'status "agendado" exige publicarEm no futuro.',
+      ...protegida,
+      requestBody: corpo(ref('NoticiaEntrada')),
+      responses: {
+        201: sucesso('Notícia criada', ref('Noticia')),
+        400: erros[400], 401: erros[401], 403: erros[403], 409: erroSlug
+      }
+    }
+  },
+  '/api/noticias/destaques': {
+    get: {
+      tags: ['Notícias'],
+      summary: 'Listar notícias em destaque',
+      parameters: [...parametrosListagem, parametroQuery('categoria', { type: 'string' })],
+      responses: { 200: listagem('Notícias em destaque', ref('Noticia')), 400: erros[400] }
+    }
+  },
+  '/api/noticias/{id}': {
+    parameters: [parametroId()],
+    get: {
+      tags: ['Notícias'],
+      summary: 'Buscar notícia publicada pelo ID ou slug',
+      parameters: [parametroIdOuSlug],
+      responses: { 200: sucesso('Notícia', ref('Noticia')), 301: redirecionamentoSlug, 404: erros[404] }
+    },
+    put: {
+      tags: ['Notícias'],
+      summary: 'Atualizar notícia',
+      description: 'Alterar status, publicarEm ou destaque, ou editar notícia publicada ou agendada, exige noticias:publish. '
+        + 'Mudar o título gera um novo slug, salvo se slug vier junto; o anterior passa a redirecionar.',
+      ...protegida,
+      requestBody: corpo(ref('NoticiaAtualizacao')),
+      responses: {
+        200: sucesso('Notícia atualizada', ref('Noticia')),
+        400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404], 409: erroSlug
+      }
+    },
+    delete: {
+      tags: ['Notícias'],
+      summary: 'Excluir notícia, movendo-a para a lixeira (noticias:publish)',
+      description: 'Para só tirar a notícia do site sem excluí-la, use PUT com status "arquivado".',
+      ...protegida,
+      responses: { 200: sucesso('Notícia excluída'), 401: erros[401], 403: erros[403], 404: erros[404] }
+    }
+  },
+
+  '/api/noticias/{id}/review/submit': acaoRevisao('Notícias', 'Enviar rascunho para revisão', 'Noticia'),
+  '/api/noticias/{id}/review/approve': acaoRevisao('Notícias', 'Aprovar notícia (noticias:publish)', 'Noticia',
+    'Publica na hora ou, com publicarEm, agenda a publicação.'),
+  '/api/noticias/{id}/review/reject': acaoRevisao('Notícias', 'Rejeitar notícia (noticias:publish)', 'Noticia',
+    'comentario é obrigatório e fica no histórico para o autor.'),
+  ...rotasVersoes('/api/noticias', 'Notícias', 'Noticia'),
+
+  // Contatos
+  '/api/contatos': {
+    get: {
+      tags: ['Contatos'],
+      summary: 'Informações de contato',
+      responses: { 200: sucesso('Informações de contato', ref('Contatos')) }
+    },
+    put: {
+      tags: ['Contatos'],
+      summary: 'Atualizar informações de contato',
+      ...protegida,
+      requestBody: corpo(ref('Contatos')),
+      responses: {
+        200: sucesso('Contatos atualizados', ref('Contatos')),
+        400: erros[400], 401: erros[401], 403: erros[403]
+      }
+    }
+  },
+  '/api/contatos/mensagem': {
+    post: {
+      tags: ['Contatos'],
+      summary: 'Enviar mensagem pelo formulário de contato',
+      requestBody: corpo(ref('MensagemEntrada')),
+      responses: { 200: sucesso('Mensagem enviada', ref('Mensagem')), 400: erros[400] }
+    }
+  },
+  '/api/contatos/mensagens': {
+    get: {
+      tags: ['Contatos'],
+      summary: 'Listar mensagens recebidas (mais recentes primeiro)',
+      ...protegida,
+      responses: {
+        200: sucesso('Mensagens', { type: 'array', items: ref('Mensagem') }),
+        401: erros[401], 403: erros[403]
+      }
+    }
+  },
+  '/api/contatos/mensagens/{id}': {
+    parameters: [parametroId()],
+    put: {
+      tags: ['Contatos'],
+      summary: 'Marcar mensagem como lida ou respondida',
+      ...protegida,
+      requestBody: corpo(ref('MensagemAtualizacao')),
+      responses: {
+        200: sucesso('Mensagem atualizada', ref('Mensagem')),
+        400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404]
+      }
+    },
+    delete: {
+      tags: ['Contatos'],
+      summary: 'Excluir mensagem',
+      ...protegida,
+      responses: { 200: sucesso('Mensagem excluída'), 401: erros[401], 403: erros[403], 404: erros[404] }
+    }
+  },
+
+  // Administradores
+  '/api/admins': {
+    get: {
+      tags: ['Administradores'],
+      summary: 'Listar administradores',
+      ...protegida,
+      responses: {
+        200: sucesso('Administradores', { type: 'array', items: ref('Admin') }, { total: { type: 'integer' } }),
+        401: erros[401], 403: erros[403]
+      }
+    },
+    post: {
+      tags: ['Administradores'],
+      summary: 'Convidar administrador por email',
+      description: 'O convidado fica pendente (inativo) até definir a senha em /api/auth/accept-invite.',
+      ...protegida,
+      requestBody: corpo(ref('ConviteEntrada')),
+      responses: {
+        201: sucesso('Convite enviado', ref('Admin')),
+        400: erros[400], 401: erros[401], 403: erros[403],
+        502: erro('Convite registrado, mas o email não pôde ser enviado')
+      }
+    }
+  },
+  '/api/admins/invites': {
+    get: {
+      tags: ['Administradores'],
+      summary: 'Convites pendentes (admins:manage)',
+      ...protegida,
+      responses: {
+        200: sucesso('Convites', { type: 'array', items: ref('Convite') }, { total: { type: 'integer' } }),
+        401: erros[401], 403: erros[403]
+      }
+    }
+  },
+  '/api/admins/invites/{id}': {
+    parameters: [parametroId()],
+    delete: {
+      tags: ['Administradores'],
+      summary: 'Cancelar convite pendente (admins:manage)',
+      ...protegida,
+      responses: { 200: sucesso('Convite cancelado'), 401: erros[401], 403: erros[403], 404: erros[404] }
+    }
+  },
+  '/api/admins/invites/{id}/resend': {
+    parameters: [parametroId()],
+    post: {
+      tags: ['Administradores'],
+      summary: 'Reenviar convite com um novo link (admins:manage)',
+      ...protegida,
+      responses: {
+        200: sucesso('Convite reenviado', ref('Convite')),
+        401: erros[401], 403: erros[403], 404: erros[404],
+        502: erro('O email não pôde ser enviado')
+      }
+    }
+  },
+  '/api/admins/2fa-policy': {
+    get: {
+      tags: ['Administradores'],
+      summary: 'Papéis obrigados a usar 2FA (admins:manage)',
+      ...protegida,
+      responses: { 200: sucesso('Política atual', ref('PoliticaDoisFatores')), 401: erros[401], 403: erros[403] }
+    },
+    put: {
+      tags: ['Administradores'],
+      summary: 'Definir os papéis obrigados a usar 2FA (admins:manage)',
+      ...protegida,
+      requestBody: corpo(ref('PoliticaDoisFatores')),
+      responses: {
+        200: sucesso('Política atualizada', ref('PoliticaDoisFatores')),
+        400: erros[400], 401: erros[401], 403: erros[403]
+      }
+    }
+  },
+  '/api/admins/api-keys': {
+    get: {
+      tags: ['Administradores'],
+      summary: 'Listar chaves de API (admins:manage)',
+      ...somenteLogin,
+      parameters: [parametroQuery('incluirEncerradas', { type: 'boolean' }, 'Incluir chaves revogadas e expiradas')],
+      responses: {
+        200: sucesso('Chaves de API', { type: 'array', items: ref('ChaveApi') }, { total: { type: 'integer' } }),
+        401: erros[401], 403: erros[403]
+      }
+    },
+    post: {
+      tags: ['Administradores'],
+      summary: 'Criar chave de API (admins:manage)',
+      description: 'A chave em claro só aparece nesta resposta. O escopo não pode incluir permissões que o criador não tem.',
+      ...somenteLogin,
+      requestBody: corpo(ref('ChaveApiEntrada')),
+      responses: {
+        201: sucesso('Chave criada', {
+          allOf: [ref('ChaveApi'), { type: 'object', properties: { chave: { type: 'string', example: 'bik_0123456789abcdef_...' } } }]
+        }),
+        400: erros[400], 401: erros[401], 403: erros[403]
+      }
+    }
+  },
+  '/api/admins/api-keys/{keyId}': {
+    parameters: [{ name: 'keyId', in: 'path', required: true, description: 'Identificador da chave', schema: { type: 'string' } }],
+    delete: {
+      tags: ['Administradores'],
+      summary: 'Revogar chave de API (admins:manage)',
+      ...somenteLogin,
+      responses: { 200: sucesso('Chave revogada'), 401: erros[401], 403: erros[403], 404: erros[404] }
+    }
+  },
+  '/api/admins/{id}': {
+    parameters: [parametroId()],
+    put: {
+      tags: ['Administradores'],
+      summary: 'Atualizar administrador',
+      ...protegida,
+      requestBody: corpo(ref('AdminAtualizacao')),
+      responses: {
+        200: sucesso('Administrador atualizado', ref('Admin')),
+        400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404]
+      }
+    },
+    delete: {
+      tags: ['Administradores'],
+      summary: 'Excluir administrador',
+      ...protegida,
+      responses: { 200: sucesso('Administrador excluído'), 400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404] }
+    }
+  },
+  '/api/admins/{id}/password': {
+    parameters: [parametroId()],
+    put: {
+      tags: ['Administradores'],
+      summary: 'Redefinir a senha de um administrador',
+      ...protegida,
+      requestBody: corpo(ref('NovaSenha')),
+      responses: { 200: sucesso('Senha redefinida'), 400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404] }
+    }
+  },
+
+  '/api/admins/{id}/2fa': {
+    parameters: [parametroId()],
+    delete: {
+      tags: ['Administradores'],
+      summary: 'Resetar o 2FA de um administrador (admins:manage)',
+      ...protegida,
+      responses: { 200: sucesso('2FA resetado'), 401: erros[401], 403: erros[403], 404: erros[404] }
+    }
+  },
+  '/api/admins/{id}/unlock': {
+    parameters: [parametroId()],
+    post: {
+      tags: ['Administradores'],
+      summary: 'Desbloquear o login de um administrador antes do prazo (admins:manage)',
+      ...protegida,
+      responses: { 200: sucesso('Administrador desbloqueado'), 401: erros[401], 403: erros[403], 404: erros[404] }
+    }
+  },
+  '/api/admins/{id}/lock-events': {
+    parameters: [parametroId()],
+    get: {
+      tags: ['Administradores'],
+      summary: 'Histórico de bloqueios e desbloqueios de login (admins:manage)',
+      ...protegida,
+      responses: {
+        200: sucesso('Histórico', {
+          type: 'object',
+          properties: {
+            bloqueadoAte: { type: 'string', format: 'date-time', nullable: true },
+            falhasRecentes: { type: 'integer' },
+            eventos: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  tipo: { type: 'string', enum: ['bloqueio', 'desbloqueio'] },
+                  em: { type: 'string', format: 'date-time' },
+                  ip: { type: 'string' },
+                  falhas: { type: 'integer' },
+                  motivo: { type: 'string', enum: ['expirado', 'manual'] },
+                  por: { type: 'integer', description: 'Super admin que desbloqueou' }
+                }
+              }
+            }
+          }
+        }),
+        401: erros[401], 403: erros[403], 404: erros[404]
+      }
+    }
+  },
+  '/api/admins/{id}/sessions': {
+    parameters: [parametroId()],
+    get: {
+      tags: ['Administradores'],
+      summary: 'Listar sessões de um administrador (admins:manage)',
+      ...protegida,
+      parameters: [parametroQuery('incluirEncerradas', { type: 'boolean' }, 'Incluir sessões revogadas ainda retidas')],
+      responses: {
+        200: sucesso('Sessões', { type: 'array', items: ref('Sessao') }, { total: { type: 'integer' } }),
+        401: erros[401], 403: erros[403], 404: erros[404]
+      }
+    },
+    delete: {
+      tags: ['Administradores'],
+      summary: 'Encerrar todas as sessões de um administrador (admins:manage)',
+      ...protegida,
+      responses: { 200: sucesso('Sessões encerradas', revogadas), 401: erros[401], 403: erros[403], 404: erros[404] }
+    }
+  },
+  '/api/admins/{id}/sessions/{sessionId}': {
+    parameters: [parametroId(), parametroSessao('sessionId')],
+    delete: {
+      tags: ['Administradores'],
+      summary: 'Encerrar uma sessão de um administrador (admins:manage)',
+      ...protegida,
+      responses: { 200: sucesso('Sessão encerrada'), 401: erros[401], 403: erros[403], 404: erros[404] }
+    }
+  },
+
+  // Papéis e permissões
+  '/api/roles': {
+    get: {
+      tags: ['Papéis'],
+      summary: 'Listar papéis',
+      ...protegida,
+      responses: {
+        200: sucesso('Papéis', {
+          type: 'array',
+          items: { allOf: [ref('Role'), { type: 'object', properties: { totalAdmins: { type: 'integer' } } }] }
+        }, { total: { type: 'integer' } }),
+        401: erros[401]
+      }
+    },
+    post: {
+      tags: ['Papéis'],
+      summary: 'Criar papel (roles:manage)',
+      ...protegida,
+      requestBody: corpo(ref('RoleEntrada')),
+      responses: { 201: sucesso('Papel criado', ref('Role')), 400: erros[400], 401: erros[401], 403: erros[403] }
+    }
+  },
+  '/api/roles/permissions': {
+    get: {
+      tags: ['Papéis'],
+      summary: 'Catálogo de permissões',
+      ...protegida,
+      responses: {
+        200: sucesso('Permissões', {
+          type: 'array',
+          items: { type: 'object', properties: { id: { type: 'string' }, descricao: { type: 'string' } } }
+        }),
+        401: erros[401]
+      }
+    }
+  },
+  '/api/roles/{id}': {
+    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+    put: {
+      tags: ['Papéis'],
+      summary: 'Atualizar papel (roles:manage)',
+      ...protegida,
+      requestBody: corpo(ref('RoleAtualizacao')),
+      responses: {
+        200: sucesso('Papel atualizado', ref('Role')),
+        400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404]
+      }
+    },
+    delete: {
+      tags: ['Papéis'],
+      summary: 'Excluir papel sem administradores (roles:manage)',
+      ...protegida,
+      responses: { 200: sucesso('Papel excluído'), 400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404] }
+    }
+  },
+
+  // Painel administrativo
+  '/api/admin/dashboard': {
+    get: {
+      tags: ['Painel'],
+      summary: 'Estatísticas de eventos e notícias',
+      description: 'eventos.presenca traz confirmados, presentes (check-in) e taxa de presença dos eventos ativos com inscrições; '
+        + 'aguardandoRevisao conta o conteúdo pendente de revisão.',
+      ...protegida,
+      responses: { 200: sucesso('Estatísticas', { type: 'object' }), 401: erros[401], 403: erros[403] }
+    }
+  },
+  '/api/admin/eventos': {
+    get: {
+      tags: ['Painel'],
+      summary: 'Listar todos os eventos, inclusive inativos',
+      ...protegida,
+      parameters: [
+        ...parametrosListagem,
+        parametroQuery('ativo', { type: 'boolean' }),
+        parametroQuery('serieId', { type: 'integer' }, 'Somente ocorrências desta série'),
+        parametroEstadoRevisao
+      ],
+      responses: { 200: listagem('Eventos', ref('Evento')), 400: erros[400], 401: erros[401], 403: erros[403] }
+    }
+  },
+  '/api/admin/noticias': {
+    get: {
+      tags: ['Painel'],
+      summary: 'Listar todas as notícias, inclusive rascunhos, agendadas e arquivadas',
+      ...protegida,
+      parameters: [
+        ...parametrosListagem,
+        parametroQuery('status', { type: 'string', enum: schemas.noticia.STATUS }),
+        parametroEstadoRevisao
+      ],
+      responses: { 200: listagem('Notícias', ref('Noticia')), 400: erros[400], 401: erros[401], 403: erros[403] }
+    }
+  },
+  '/api/admin/lixeira': {
+    get: {
+      tags: ['Painel'],
+      summary: 'Listar eventos e notícias excluídos',
+      description: 'Itens excluídos há mais de TRASH_RETENTION_DAYS dias (padrão 30) são excluídos definitivamente; expiraEm é a data prevista.',
+      ...protegida,
+      parameters: [parametroQuery('tipo', { type: 'string', enum: ['eventos', 'noticias'] })],
+      responses: {
+        200: sucesso('Lixeira', { type: 'array', items: ref('ItemLixeira') }, { total: { type: 'integer' } }),
+        400: erros[400], 401: erros[401], 403: erros[403]
+      }
+    }
+  },
+  '/api/admin/lixeira/{tipo}/{id}/restore': {
+    parameters: [parametroTipoLixeira, parametroId()],
+    post: {
+      tags: ['Painel'],
+      summary: 'Restaurar item da lixeira (eventos:publish ou noticias:publish)',
+      description: 'Eventos voltam a ficar ativos; notícias voltam ao status de antes da exclusão.',
+      ...protegida,
+      responses: {
+        200: sucesso('Item restaurado', { oneOf: [ref('Evento'), ref('Noticia')] }),
+        400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404]
+      }
+    }
+  },
+  '/api/admin/lixeira/{tipo}/{id}': {
+    parameters: [parametroTipoLixeira, parametroId()],
+    delete: {
+      tags: ['Painel'],
+      summary: 'Excluir item da lixeira definitivamente (eventos:publish ou noticias:publish)',
+      description: 'Apaga também as versões do registro, as inscrições do evento e as imagens enviadas que nenhum outro registro usa.',
+      ...protegida,
+      responses: { 200: sucesso('Item excluído'), 400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404] }
+    }
+  },
+  '/api/admin/upload': {
+    post: {
+      tags: ['Painel'],
+      summary: 'Enviar imagem',
+      ...protegida,
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['image'],
+              properties: { image: { type: 'string', format: 'binary' } }
+            }
+          }
+        }
+      },
+      responses: {
+        200: sucesso('Imagem enviada', {
+          type: 'object',
+          properties: {
+            filename: { type: 'string' },
+            originalName: { type: 'string' },
+            size: { type: 'integer' },
+            url: { type: 'string', example: '/uploads/1693250000000-abc123def.png' }
+          }
+        }),
+        400: erros[400], 401: erros[401], 403: erros[403],
+        413: erro('Arquivo excede o tamanho máximo')
+      }
+    }
+  },
+  '/api/admin/upload/{filename}': {
+    parameters: [{ name: 'filename', in: 'path', required: true, schema: { type: 'string' } }],
+    delete: {
+      tags: ['Painel'],
+      summary: 'Excluir imagem enviada',
+      ...protegida,
+      responses: { 200: sucesso('Imagem excluída'), 401: erros[401], 403: erros[403], 404: erros[404] }
+    }
+  },
+  '/api/admin/backup': {
+    post: {
+      tags: ['Painel'],
+      summary: 'Criar backup de eventos e notícias',
+      ...protegida,
+      responses: {
+        200: sucesso('Backup criado', {
+          type: 'object',
+          properties: { filename: { type: 'string' }, timestamp: { type: 'string', format: 'date-time' } }
+        }),
+        401: erros[401], 403: erros[403]
+      }
+    }
+  },
+  '/api/admin/backups': {
+    get: {
+      tags: ['Painel'],
+      summary: 'Listar backups disponíveis',
+      ...protegida,
+      responses: {
+        200: sucesso('Backups', { type: 'array', items: ref('Backup') }),
+        401: erros[401], 403: erros[403]
+      }
+    }
+  },
+  '/api/admin/restore': {
+    post: {
+      tags: ['Painel'],
+      summary: 'Restaurar um backup (migra backups de versões antigas do schema)',
+      ...protegida,
+      requestBody: corpo({
+        type: 'object',
+        required: ['filename'],
+        properties: { filename: { type: 'string' } }
+      }),
+      responses: {
+        200: sucesso('Backup restaurado', { type: 'object' }),
+        400: erros[400], 401: erros[401], 403: erros[403], 404: erros[404]
+      }
+    }
+  }
+};
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Blockchain Insper API',
+    version,
+    description: 'API do site da Blockchain Insper. Erros seguem o envelope Erro, com código estável em error.code.'
+  },
+  servers: [{ url: '/' }],
+  components,
+  paths
+};
@@ -1,38 +1,133 @@
 const jwt = require('jsonwebtoken');
+const storage = require('../storage');
+const { registrarUso } = require('../services/sessoes');
+const { doisFatoresAtivo, doisFatoresObrigatorio } = require('../services/doisFatores');
+const { ehChaveApi, autenticarChave } = require('../services/chavesApi');
+const { papelConcede, permissoesEfetivas } = require('../utils/permissoes');
+const { AppError } = require('../utils/errors');
 
-// Middleware para verificar autenticação
-const authenticateToken = (req, res, next) => {
+// Cria o middleware de autenticação.
+// Além da assinatura, confere se o admin continua ativo, se a versão do token é a atual
+// (desativação e redefinição de senha a incrementam) e se a sessão não foi encerrada.
+// Com exigirCadastro2fa, admins cujo papel a política obriga a usar 2FA e que ainda
+// não o ativaram só acessam as rotas criadas com exigirCadastro2fa: false.
+// Com aceitarChaveApi, chaves de API (X-API-Key ou Bearer bik_...) também são aceitas;
+// nesse caso req.user traz chaveApiId, o id é o do admin que criou a chave (para que as alterações
+// continuem atribuíveis) e as permissões vêm do escopo da chave. Chaves de admins desativados ou
+// excluídos são recusadas.
+const autenticar = ({ exigirCadastro2fa = true, aceitarChaveApi = true } = {}) => async (req, res, next) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  const token = req.headers['x-api-key'] || (authHeader && authHeader.split(' ')[1]); // Bearer TOKEN
 
   if (!token) {
-    return res.status(401).json({
-      message: 'Token de acesso requerido'
-    });
+    return next(new AppError(401, 'AUTH_TOKEN_MISSING', 'Token de acesso requerido'));
+  }
+
+  if (ehChaveApi(token)) {
+    if (!aceitarChaveApi) {
+      return next(new AppError(401, 'AUTH_API_KEY_NOT_ALLOWED', 'Esta rota exige login de um administrador'));
+    }
+
+    try {
+      const chave = await autenticarChave(token, req.ip);
+      if (!chave) {
+        return next(new AppError(401, 'AUTH_API_KEY_INVALID', 'Chave de API inválida, revogada ou expirada'));
+      }
+
+      // A chave vale enquanto o admin que a criou existir e estiver ativo
+      const criador = await storage.admins.buscarPorId(chave.criadoPor);
+      if (!criador || !criador.ativo) {
+        return next(new AppError(401, 'AUTH_API_KEY_INVALID', 'Chave de API de um administrador desativado ou excluído'));
+      }
+
+      req.user = { id: chave.criadoPor, chaveApiId: chave.id, nome: chave.nome, permissoes: chave.permissoes };
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return next(err.name === 'TokenExpiredError'
+      ? new AppError(401, 'AUTH_TOKEN_EXPIRED', 'Token expirado')
+      : new AppError(401, 'AUTH_TOKEN_INVALID', 'Token inválido'));
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({
-        message: 'Token inválido ou expirado'
-      });
+  try {
+    const [admin, sessao] = await Promise.all([
+      storage.admins.buscarPorId(payload.id),
+      payload.sid ? storage.sessoes.buscarPorId(payload.sid) : null
+    ]);
+
+    const revogado = !admin || !admin.ativo
+      || (admin.versaoToken || 0) !== payload.ver
+      || !sessao || sessao.revogadaEm || sessao.adminId !== admin.id;
+
+    if (revogado) {
+      return next(new AppError(401, 'AUTH_TOKEN_REVOKED', 'Sessão encerrada. Faça login novamente.'));
+    }
+
+    if (exigirCadastro2fa && !doisFatoresAtivo(admin) && await doisFatoresObrigatorio(admin.role)) {
+      return next(new AppError(403, 'AUTH_2FA_ENROLLMENT_REQUIRED',
+        'Configure a autenticação em dois fatores em /api/auth/2fa/setup para continuar'));
     }
-    req.user = user;
+
+    await registrarUso(sessao, req.ip);
+
+    // Papel e dados atuais prevalecem sobre os gravados no token
+    req.user = {
+      ...payload,
+      nome: admin.nome,
+      email: admin.email,
+      role: admin.role
+    };
     next();
-  });
+  } catch (error) {
+    next(error);
+  }
 };
 
-// Middleware para verificar se é admin
-const requireAdmin = (req, res, next) => {
-  if (!req.user || (req.user.role !== 'admin' && req.user.role !== 'super_admin')) {
-    return res.status(403).json({
-      message: 'Acesso negado. Privilégios de administrador requeridos.'
-    });
+// Middleware para verificar autenticação
+const authenticateToken = autenticar();
+
+// Variante para as rotas da própria conta (senha, 2FA, sessões), que não fazem sentido para chaves de API
+const authenticateAdminToken = autenticar({ aceitarChaveApi: false });
+
+// Variante para as rotas que o admin precisa alcançar antes de cadastrar o 2FA exigido
+const authenticateTokenAllowing2faSetup = autenticar({ exigirCadastro2fa: false, aceitarChaveApi: false });
+
+// Middleware para exigir permissões (todas as informadas) do papel do usuário ou do escopo da chave de API.
+// Deve vir depois de authenticateToken; deixa as permissões efetivas em req.user.permissoes.
+const requirePermission = (...permissoes) => async (req, res, next) => {
+  try {
+    if (req.user && req.user.chaveApiId) {
+      const faltando = permissoes.filter(permissao => !req.user.permissoes.includes(permissao));
+      if (faltando.length) {
+        return next(new AppError(403, 'AUTH_FORBIDDEN', `Acesso negado. Permissão necessária: ${faltando.join(', ')}`));
+      }
+      return next();
+    }
+
+    const papel = req.user && await storage.roles.buscarPorId(req.user.role);
+    const faltando = permissoes.filter(permissao => !papelConcede(papel, permissao));
+
+    if (!papel || faltando.length) {
+      return next(new AppError(403, 'AUTH_FORBIDDEN', `Acesso negado. Permissão necessária: ${faltando.join(', ')}`));
+    }
+
+    req.user.permissoes = permissoesEfetivas(papel);
+    next();
+  } catch (error) {
+    next(error);
   }
-  next();
 };
 
 module.exports = {
   authenticateToken,
-  requireAdmin
+  authenticateAdminToken,
+  authenticateTokenAllowing2faSetup,
+  requirePermission
 };
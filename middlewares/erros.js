@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const { AppError } = require('../utils/errors');
+const { StorageError } = require('../storage/errors');
+
+const REQUEST_ID_REGEX = /^[\w-]{1,100}$/;
+
+// Middleware: identifica cada requisição (reaproveita X-Request-Id do proxy, se válido)
+const requestId = (req, res, next) => {
+  const recebido = req.headers['x-request-id'];
+  req.id = recebido && REQUEST_ID_REGEX.test(recebido) ? recebido : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
+
+const codigosMulter = {
+  LIMIT_FILE_SIZE: [413, 'UPLOAD_FILE_TOO_LARGE', 'Arquivo excede o tamanho máximo permitido'],
+  LIMIT_FILE_COUNT: [400, 'UPLOAD_TOO_MANY_FILES', 'Envie apenas um arquivo'],
+  LIMIT_UNEXPECTED_FILE: [400, 'UPLOAD_UNEXPECTED_FIELD', 'Campo de arquivo inesperado; use "image"']
+};
+
+// Converte erros conhecidos de bibliotecas e do storage em AppError
+const normalizarErro = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  if (err instanceof multer.MulterError) {
+    const [status, code, message] = codigosMulter[err.code] || [400, 'UPLOAD_FAILED', err.message];
+    return new AppError(status, code, message);
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return new AppError(400, 'INVALID_JSON', 'JSON inválido no corpo da requisição');
+  }
+
+  if (err.type === 'entity.too.large') {
+    return new AppError(413, 'PAYLOAD_TOO_LARGE', 'Corpo da requisição muito grande');
+  }
+
+  if (err instanceof StorageError) {
+    return err.quarentena
+      ? new AppError(503, 'STORAGE_CORRUPTED', 'Dados corrompidos; o arquivo foi isolado para análise')
+      : new AppError(503, 'STORAGE_UNAVAILABLE', 'Armazenamento indisponível');
+  }
+
+  return new AppError(500, 'INTERNAL_ERROR', 'Erro interno do servidor');
+};
+
+// Envia o envelope de erro padrão
+const enviarErro = (req, res, erro) => {
+  const corpo = {
+    success: false,
+    message: erro.message,
+    error: {
+      code: erro.code,
+      status: erro.status,
+      requestId: req.id
+    }
+  };
+
+  if (erro.details !== undefined) {
+    corpo.error.details = erro.details;
+  }
+
+  if (erro.retryAfter) {
+    res.setHeader('Retry-After', String(erro.retryAfter));
+  }
+
+  res.status(erro.status).json(corpo);
+};
+
+// Middleware de tratamento de erros (deve ser registrado depois das rotas)
+const errorHandler = (err, req, res, next) => {
+  const erro = normalizarErro(err);
+
+  if (erro.status >= 500) {
+    console.error(`[${req.id}]`, err.stack || err);
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  enviarErro(req, res, erro);
+};
+
+// Middleware para rotas não encontradas
+const notFoundHandler = (req, res) => {
+  enviarErro(req, res, new AppError(404, 'ROUTE_NOT_FOUND', 'Rota não encontrada'));
+};
+
+module.exports = {
+  requestId,
+  errorHandler,
+  notFoundHandler
+};
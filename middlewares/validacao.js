@@ -0,0 +1,160 @@
+// Validação declarativa do corpo das requisições a partir dos schemas em schemas/.
+//
+// Cada campo do schema aceita:
+//   tipo            string | boolean | integer | object | array
+//   formato         date (AAAA-MM-DD) | email | uri (http(s), caminho "/..." ou âncora "#...")
+//                   | slug (minúsculas, dígitos, "-" e "_") | hora (HH:MM, 24 horas)
+//                   | date-time (ISO 8601 com fuso, ex.: 2025-03-01T09:00:00-03:00)
+//   obrigatorio     exigido na criação (ignorado em atualizações parciais)
+//   min, max        tamanho de strings e listas ou valor de inteiros
+//   valores         lista de valores permitidos
+//   campos          sub-schema para tipo object
+//   itens           definição de cada elemento para tipo array
+//   somenteCriacao  não pode ser enviado em atualizações
+//   nulo            aceita null, repassado para limpar o valor
+
+const { AppError } = require('../utils/errors');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const SLUG_REGEX = /^[a-z0-9]+(?:[-_][a-z0-9]+)*$/;
+const HORA_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATA_HORA_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+const formatoValido = {
+  date: (valor) => DATA_REGEX.test(valor) && !isNaN(new Date(valor).getTime())
+    && new Date(valor).toISOString().startsWith(valor),
+  email: (valor) => EMAIL_REGEX.test(valor),
+  uri: (valor) => /^https?:\/\/[^\s]+$/.test(valor) || /^[/#][^\s]*$/.test(valor),
+  slug: (valor) => SLUG_REGEX.test(valor),
+  hora: (valor) => HORA_REGEX.test(valor),
+  'date-time': (valor) => DATA_HORA_REGEX.test(valor) && !isNaN(new Date(valor).getTime())
+};
+
+const mensagensFormato = {
+  date: 'deve ser uma data válida no formato AAAA-MM-DD',
+  email: 'deve ser um email válido',
+  uri: 'deve ser uma URL http(s) ou um caminho começando com /',
+  slug: 'deve conter apenas letras minúsculas, números, "-" e "_"',
+  hora: 'deve ser um horário válido no formato HH:MM',
+  'date-time': 'deve ser uma data e hora ISO 8601 com fuso (ex.: 2025-03-01T09:00:00-03:00)'
+};
+
+const validarCampo = (definicao, valor, caminho, erros, opcoes) => {
+  const erro = (mensagem) => erros.push({ campo: caminho, mensagem });
+
+  switch (definicao.tipo) {
+    case 'string':
+      if (typeof valor !== 'string') return erro('deve ser um texto');
+      if (definicao.obrigatorio && valor.trim() === '') return erro('não pode ser vazio');
+      if (definicao.min !== undefined && valor.length < definicao.min) {
+        return erro(`deve ter pelo menos ${definicao.min} caracteres`);
+      }
+      if (definicao.max !== undefined && valor.length > definicao.max) {
+        return erro(`deve ter no máximo ${definicao.max} caracteres`);
+      }
+      if (definicao.formato && valor !== '' && !formatoValido[definicao.formato](valor)) {
+        return erro(mensagensFormato[definicao.formato]);
+      }
+      break;
+    case 'boolean':
+      if (typeof valor !== 'boolean') return erro('deve ser true ou false');
+      break;
+    case 'integer':
+      if (!Number.isInteger(valor)) return erro('deve ser um número inteiro');
+      if (definicao.min !== undefined && valor < definicao.min) return erro(`deve ser no mínimo ${definicao.min}`);
+      if (definicao.max !== undefined && valor > definicao.max) return erro(`deve ser no máximo ${definicao.max}`);
+      break;
+    case 'object': {
+      if (typeof valor !== 'object' || valor === null || Array.isArray(valor)) {
+        return erro('deve ser um objeto');
+      }
+      return validarObjeto(definicao.campos || {}, valor, erros, { ...opcoes, prefixo: `${caminho}.` });
+    }
+    case 'array': {
+      if (!Array.isArray(valor)) return erro('deve ser uma lista');
+      if (definicao.min !== undefined && valor.length < definicao.min) {
+        return erro(`deve ter pelo menos ${definicao.min} itens`);
+      }
+      if (definicao.max !== undefined && valor.length > definicao.max) {
+        return erro(`deve ter no máximo ${definicao.max} itens`);
+      }
+      const antes = erros.length;
+      const itens = valor.map((item, indice) => validarCampo(definicao.itens, item, `${caminho}[${indice}]`, erros, opcoes));
+      return erros.length === antes ? itens : undefined;
+    }
+    default:
+      throw new Error(`Tipo de schema desconhecido: ${definicao.tipo}`);
+  }
+
+  if (definicao.valores && !definicao.valores.includes(valor)) {
+    return erro(`deve ser um dos valores: ${definicao.valores.join(', ')}`);
+  }
+
+  return valor;
+};
+
+const validarObjeto = (campos, dados, erros, { parcial = false, prefixo = '' } = {}) => {
+  const valores = {};
+
+  Object.entries(campos).forEach(([campo, definicao]) => {
+    const caminho = `${prefixo}${campo}`;
+    const valor = dados[campo];
+
+    if (valor === null && definicao.nulo) {
+      valores[campo] = null;
+      return;
+    }
+
+    if (valor === undefined || valor === null) {
+      if (definicao.obrigatorio && !parcial) {
+        erros.push({ campo: caminho, mensagem: 'é obrigatório' });
+      }
+      return;
+    }
+
+    if (definicao.somenteCriacao && parcial) {
+      erros.push({ campo: caminho, mensagem: 'não pode ser alterado nesta operação' });
+      return;
+    }
+
+    const antes = erros.length;
+    const validado = validarCampo(definicao, valor, caminho, erros, { parcial });
+    if (erros.length === antes) {
+      valores[campo] = validado;
+    }
+  });
+
+  return valores;
+};
+
+// Valida dados contra um schema; campos fora do schema são descartados.
+// Retorna { erros: [{ campo, mensagem }], valores }.
+const validar = (schema, dados, { parcial = false } = {}) => {
+  const erros = [];
+
+  if (typeof dados !== 'object' || dados === null || Array.isArray(dados)) {
+    return { erros: [{ campo: '', mensagem: 'O corpo da requisição deve ser um objeto JSON' }], valores: {} };
+  }
+
+  const valores = validarObjeto(schema.campos, dados, erros, { parcial });
+  return { erros, valores };
+};
+
+// Middleware: valida req.body e o substitui pelos valores validados.
+// Use { parcial: true } em atualizações, onde nenhum campo é obrigatório.
+const validarCorpo = (schema, opcoes = {}) => (req, res, next) => {
+  const { erros, valores } = validar(schema, req.body, opcoes);
+
+  if (erros.length) {
+    return next(new AppError(400, 'VALIDATION_FAILED', 'Dados inválidos', erros));
+  }
+
+  req.body = valores;
+  next();
+};
+
+module.exports = {
+  validar,
+  validarCorpo
+};
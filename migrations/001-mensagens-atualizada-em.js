@@ -0,0 +1,11 @@
+// Mensagens antigas não tinham atualizadaEm; usamos a data de envio como valor inicial
+module.exports = {
+  versao: 1,
+  descricao: 'Preenche atualizadaEm das mensagens',
+  colecoes: {
+    mensagens: (mensagens) => mensagens.map(mensagem => ({
+      ...mensagem,
+      atualizadaEm: mensagem.atualizadaEm || mensagem.dataEnvio || null
+    }))
+  }
+};
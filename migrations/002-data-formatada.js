@@ -0,0 +1,17 @@
+const { formatarData } = require('../utils/datas');
+
+// Recalcula dataFormatada a partir de data (corrige "Invalid Date") e normaliza destaque
+const normalizar = (registro) => ({
+  ...registro,
+  dataFormatada: formatarData(registro.data),
+  destaque: registro.destaque === true
+});
+
+module.exports = {
+  versao: 2,
+  descricao: 'Recalcula dataFormatada e normaliza destaque de eventos e notícias',
+  colecoes: {
+    eventos: (eventos) => eventos.map(normalizar),
+    noticias: (noticias) => noticias.map(normalizar)
+  }
+};
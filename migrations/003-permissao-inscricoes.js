@@ -0,0 +1,12 @@
+// Papéis que já gerenciavam eventos passam a gerenciar também as inscrições
+const adicionarPermissao = (role) => (role.permissoes.includes('eventos:write') && !role.permissoes.includes('inscricoes:manage')
+  ? { ...role, permissoes: [...role.permissoes, 'inscricoes:manage'] }
+  : role);
+
+module.exports = {
+  versao: 3,
+  descricao: 'Adiciona inscricoes:manage aos papéis com eventos:write',
+  colecoes: {
+    roles: (roles) => roles.map(adicionarPermissao)
+  }
+};
@@ -0,0 +1,12 @@
+// Papéis que gerenciam inscrições passam a poder fazer o check-in dos inscritos
+const adicionarPermissao = (role) => (role.permissoes.includes('inscricoes:manage') && !role.permissoes.includes('checkin:write')
+  ? { ...role, permissoes: [...role.permissoes, 'checkin:write'] }
+  : role);
+
+module.exports = {
+  versao: 4,
+  descricao: 'Adiciona checkin:write aos papéis com inscricoes:manage',
+  colecoes: {
+    roles: (roles) => roles.map(adicionarPermissao)
+  }
+};
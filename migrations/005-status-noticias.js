@@ -0,0 +1,16 @@
+// Notícias trocam ativo (true/false) pelo status de publicação: as ativas já estavam no site e as
+// inativas tinham sido excluídas (soft delete)
+const paraStatus = ({ ativo, ...noticia }) => ({
+  ...noticia,
+  status: noticia.status || (ativo === false ? 'arquivado' : 'publicado'),
+  publicarEm: noticia.publicarEm || null,
+  publicadoEm: noticia.publicadoEm || (ativo === false ? null : noticia.criadoEm || null)
+});
+
+module.exports = {
+  versao: 5,
+  descricao: 'Substitui ativo por status (rascunho, agendado, publicado, arquivado) nas notícias',
+  colecoes: {
+    noticias: (noticias) => noticias.map(paraStatus)
+  }
+};
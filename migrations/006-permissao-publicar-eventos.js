@@ -0,0 +1,12 @@
+// Publicar eventos passa a exigir eventos:publish; papéis que já editavam eventos continuam publicando
+const adicionarPermissao = (role) => (role.permissoes.includes('eventos:write') && !role.permissoes.includes('eventos:publish')
+  ? { ...role, permissoes: [...role.permissoes, 'eventos:publish'] }
+  : role);
+
+module.exports = {
+  versao: 6,
+  descricao: 'Adiciona eventos:publish aos papéis com eventos:write',
+  colecoes: {
+    roles: (roles) => roles.map(adicionarPermissao)
+  }
+};
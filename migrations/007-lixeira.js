@@ -0,0 +1,17 @@
+// Eventos excluídos antes da lixeira passam a aparecer nela. A data da exclusão não era guardada, então
+// o prazo de retenção conta a partir desta migração. Ocorrências inativas de séries ficam de fora (em geral
+// foram excluídas junto com a série), assim como eventos que ainda aguardam a primeira aprovação na revisão
+// editorial. Notícias arquivadas continuam só arquivadas: arquivar não é excluir.
+const exclusaoLegada = () => ({ em: new Date().toISOString(), por: null });
+
+const aguardandoAprovacao = (evento) => ['rascunho', 'pendente', 'rejeitado'].includes(evento.estadoRevisao);
+
+module.exports = {
+  versao: 7,
+  descricao: 'Move eventos inativos para a lixeira',
+  colecoes: {
+    eventos: (eventos) => eventos.map(evento => (evento.ativo === false && !evento.exclusao && !evento.serieId && !aguardandoAprovacao(evento)
+      ? { ...evento, exclusao: exclusaoLegada() }
+      : evento))
+  }
+};
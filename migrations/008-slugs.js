@@ -0,0 +1,26 @@
+// Eventos e notícias ganham slug gerado do título, em ordem de ID (o registro mais antigo fica com o slug
+// sem sufixo). Ocorrências de séries levam a data, como em services/eventos.js.
+const { slugUnico } = require('../utils/slug');
+
+const comSlugs = (registros, texto, padrao) => {
+  const ordenados = [...registros].sort((a, b) => a.id - b.id);
+
+  ordenados.filter(registro => !registro.slug).forEach(registro => {
+    registro.slug = slugUnico(texto(registro), ordenados, registro.id, padrao);
+    registro.slugsAnteriores = registro.slugsAnteriores || [];
+  });
+  return registros;
+};
+
+module.exports = {
+  versao: 8,
+  descricao: 'Gera slugs de URL para eventos e notícias',
+  colecoes: {
+    eventos: (eventos) => comSlugs(
+      eventos,
+      (evento) => (evento.serieId ? `${evento.titulo} ${evento.dataOriginal}` : evento.titulo),
+      'evento'
+    ),
+    noticias: (noticias) => comSlugs(noticias, (noticia) => noticia.titulo, 'noticia')
+  }
+};
@@ -2,26 +2,25 @@ const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
 const multer = require('multer');
-const { authenticateToken, requireAdmin } = require('../middlewares/auth');
+const storage = require('../storage');
+const { migrarDados, versaoArmazenada } = require('../storage/migrations');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
+const { AppError } = require('../utils/errors');
+const { consultaListagem, aplicarConsulta } = require('../utils/listagem');
+const { resumoPresencas } = require('../services/ingressos');
+const { noticiaAtual } = require('../services/noticias');
+const {
+  TIPOS,
+  tipoDaLixeira,
+  listarLixeira,
+  restaurarDaLixeira,
+  excluirDefinitivamente
+} = require('../services/lixeira');
 
-// Função utilitária para ler JSON com tratamento de erro
-async function readJsonFile(filePath, defaultValue = []) {
-  try {
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error(`Erro ao ler/parsear ${filePath}:`, error);
-    
-    // Se o arquivo não existe ou está corrompido, criar um novo
-    console.log(`Recriando arquivo ${filePath} com valor padrão`);
-    await fs.writeFile(filePath, JSON.stringify(defaultValue, null, 2));
-    return defaultValue;
-  }
-}
 const router = express.Router();
 
 // Configuração do multer para upload de imagens
-const storage = multer.diskStorage({
+const uploadStorage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, 'uploads/');
   },
@@ -33,7 +32,7 @@ const storage = multer.diskStorage({
 });
 
 const upload = multer({
-  storage: storage,
+  storage: uploadStorage,
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760 // 10MB
   },
@@ -42,19 +41,17 @@ const upload = multer({
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Tipo de arquivo não permitido'), false);
+      cb(new AppError(400, 'UPLOAD_INVALID_TYPE', 'Tipo de arquivo não permitido'), false);
     }
   }
 });
 
 // GET /api/admin/dashboard - Dashboard com estatísticas
-router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/dashboard', authenticateToken, requirePermission('dashboard:read'), async (req, res, next) => {
   try {
-    const eventosData = await fs.readFile(path.join(__dirname, '../data/eventos.json'), 'utf8');
-    const noticiasData = await fs.readFile(path.join(__dirname, '../data/noticias.json'), 'utf8');
-    
-    const eventos = JSON.parse(eventosData);
-    const noticias = JSON.parse(noticiasData);
+    const eventos = await storage.eventos.ler();
+    const noticias = (await storage.noticias.ler()).map(n => noticiaAtual(n));
+    const inscricoes = await storage.inscricoes.ler();
     
     const stats = {
       eventos: {
@@ -65,17 +62,23 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
           const thirtyDaysAgo = new Date();
           thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
           return e.ativo && eventoDate >= thirtyDaysAgo;
-        }).length
+        }).length,
+        aguardandoRevisao: eventos.filter(e => e.estadoRevisao === 'pendente').length,
+        // Confirmados x presentes (check-in) nos eventos com inscrições
+        presenca: resumoPresencas(eventos.filter(e => e.ativo), inscricoes)
       },
       noticias: {
-        total: noticias.filter(n => n.ativo).length,
-        destaques: noticias.filter(n => n.ativo && n.destaque).length,
+        total: noticias.filter(n => n.status === 'publicado').length,
+        destaques: noticias.filter(n => n.status === 'publicado' && n.destaque).length,
         recentes: noticias.filter(n => {
           const noticiaDate = new Date(n.data);
           const thirtyDaysAgo = new Date();
           thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-          return n.ativo && noticiaDate >= thirtyDaysAgo;
-        }).length
+          return n.status === 'publicado' && noticiaDate >= thirtyDaysAgo;
+        }).length,
+        rascunhos: noticias.filter(n => n.status === 'rascunho').length,
+        agendadas: noticias.filter(n => n.status === 'agendado').length,
+        aguardandoRevisao: noticias.filter(n => n.estadoRevisao === 'pendente').length
       }
     };
 
@@ -84,68 +87,119 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
       data: stats
     });
   } catch (error) {
-    console.error('Erro ao buscar estatísticas:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
 // GET /api/admin/eventos - Listar todos os eventos (incluindo inativos)
-router.get('/eventos', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/eventos', authenticateToken, requirePermission('dashboard:read'), consultaListagem({
+  filtros: { categoria: 'texto', destaque: 'booleano', ativo: 'booleano', serieId: 'inteiro', estadoRevisao: 'texto' },
+  periodo: true,
+  ordenacaoPadrao: '-criadoEm'
+}), async (req, res, next) => {
   try {
-    const eventosPath = path.join(__dirname, '../data/eventos.json');
-    const eventos = await readJsonFile(eventosPath, []);
+    const eventos = await storage.eventos.filtrar(req.consulta.criterios);
+    const { data, total, paginacao } = aplicarConsulta(eventos, req.consulta);
     
-    // Ordenar por data de criação (mais recentes primeiro)
-    eventos.sort((a, b) => new Date(b.criadoEm) - new Date(a.criadoEm));
+    res.json({
+      success: true,
+      data,
+      total,
+      paginacao
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/noticias - Listar todas as notícias (rascunhos, agendadas e arquivadas incluídas)
+router.get('/noticias', authenticateToken, requirePermission('dashboard:read'), consultaListagem({
+  filtros: { categoria: 'texto', destaque: 'booleano', status: 'texto', autor: 'texto', estadoRevisao: 'texto' },
+  ordenacaoPadrao: '-criadoEm'
+}), async (req, res, next) => {
+  try {
+    // O status é filtrado depois de avaliar as agendadas que já venceram
+    const { status, ...criterios } = req.consulta.criterios;
+    const noticias = (await storage.noticias.filtrar(criterios))
+      .map(n => noticiaAtual(n))
+      .filter(n => !status || n.status === status);
+    const { data, total, paginacao } = aplicarConsulta(noticias, req.consulta);
     
     res.json({
       success: true,
-      data: eventos,
-      total: eventos.length
+      data,
+      total,
+      paginacao
     });
   } catch (error) {
-    console.error('Erro ao buscar eventos para admin:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
+    next(error);
+  }
+});
+
+// Restaurar e excluir da lixeira exigem a permissão de publicar do tipo (eventos:publish ou noticias:publish)
+const exigirPermissaoDaLixeira = (req, tipo) => {
+  const { permissao } = tipoDaLixeira(tipo);
+  if (!req.user.permissoes.includes(permissao)) {
+    throw new AppError(403, 'AUTH_FORBIDDEN', `Acesso negado. Permissão necessária: ${permissao}`);
+  }
+};
+
+// GET /api/admin/lixeira - Listar eventos e notícias excluídos (aceita ?tipo=eventos|noticias)
+router.get('/lixeira', authenticateToken, requirePermission('dashboard:read'), async (req, res, next) => {
+  try {
+    const { tipo } = req.query;
+    if (tipo !== undefined) {
+      tipoDaLixeira(tipo);
+    }
+
+    const itens = await listarLixeira(tipo ? [tipo] : Object.keys(TIPOS));
+
+    res.json({
+      success: true,
+      data: itens,
+      total: itens.length
     });
+  } catch (error) {
+    next(error);
   }
 });
 
-// GET /api/admin/noticias - Listar todas as notícias (incluindo inativas)
-router.get('/noticias', authenticateToken, requireAdmin, async (req, res) => {
+// POST /api/admin/lixeira/:tipo/:id/restore - Restaurar item da lixeira
+router.post('/lixeira/:tipo/:id/restore', authenticateToken, requirePermission('dashboard:read'), async (req, res, next) => {
   try {
-    const noticiasData = await fs.readFile(path.join(__dirname, '../data/noticias.json'), 'utf8');
-    const noticias = JSON.parse(noticiasData);
-    
-    // Ordenar por data de criação (mais recentes primeiro)
-    noticias.sort((a, b) => new Date(b.criadoEm) - new Date(a.criadoEm));
-    
+    exigirPermissaoDaLixeira(req, req.params.tipo);
+    const registro = await restaurarDaLixeira(req.params.tipo, parseInt(req.params.id));
+
     res.json({
       success: true,
-      data: noticias,
-      total: noticias.length
+      message: 'Item restaurado com sucesso',
+      data: registro
     });
   } catch (error) {
-    console.error('Erro ao buscar notícias para admin:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
+    next(error);
+  }
+});
+
+// DELETE /api/admin/lixeira/:tipo/:id - Excluir item da lixeira definitivamente
+router.delete('/lixeira/:tipo/:id', authenticateToken, requirePermission('dashboard:read'), async (req, res, next) => {
+  try {
+    exigirPermissaoDaLixeira(req, req.params.tipo);
+    await excluirDefinitivamente(req.params.tipo, parseInt(req.params.id));
+
+    res.json({
+      success: true,
+      message: 'Item excluído definitivamente'
     });
+  } catch (error) {
+    next(error);
   }
 });
 
 // POST /api/admin/upload - Upload de imagem
-router.post('/upload', authenticateToken, requireAdmin, upload.single('image'), (req, res) => {
+router.post('/upload', authenticateToken, requirePermission('uploads:write'), upload.single('image'), (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'Nenhum arquivo enviado'
-      });
+      throw new AppError(400, 'UPLOAD_MISSING_FILE', 'Nenhum arquivo enviado');
     }
 
     const imageUrl = `/uploads/${req.file.filename}`;
@@ -161,45 +215,35 @@ router.post('/upload', authenticateToken, requireAdmin, upload.single('image'),
       }
     });
   } catch (error) {
-    console.error('Erro no upload:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
 // DELETE /api/admin/upload/:filename - Excluir imagem
-router.delete('/upload/:filename', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/upload/:filename', authenticateToken, requirePermission('uploads:write'), async (req, res, next) => {
   try {
     const { filename } = req.params;
     const filePath = path.join(__dirname, '../uploads', filename);
     
     try {
       await fs.access(filePath);
-      await fs.unlink(filePath);
-      
-      res.json({
-        success: true,
-        message: 'Imagem excluída com sucesso'
-      });
-    } catch (error) {
-      res.status(404).json({
-        success: false,
-        message: 'Arquivo não encontrado'
-      });
+    } catch {
+      throw new AppError(404, 'UPLOAD_NOT_FOUND', 'Arquivo não encontrado');
     }
-  } catch (error) {
-    console.error('Erro ao excluir imagem:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
+
+    await fs.unlink(filePath);
+    
+    res.json({
+      success: true,
+      message: 'Imagem excluída com sucesso'
     });
+  } catch (error) {
+    next(error);
   }
 });
 
 // POST /api/admin/backup - Criar backup dos dados
-router.post('/backup', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/backup', authenticateToken, requirePermission('backups:create'), async (req, res, next) => {
   try {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const backupDir = path.join(__dirname, '../backups');
@@ -212,13 +256,11 @@ router.post('/backup', authenticateToken, requireAdmin, async (req, res) => {
     }
     
     // Ler dados atuais
-    const eventosData = await fs.readFile(path.join(__dirname, '../data/eventos.json'), 'utf8');
-    const noticiasData = await fs.readFile(path.join(__dirname, '../data/noticias.json'), 'utf8');
-    
     const backup = {
       timestamp: new Date().toISOString(),
-      eventos: JSON.parse(eventosData),
-      noticias: JSON.parse(noticiasData)
+      schemaVersion: await versaoArmazenada(),
+      eventos: await storage.eventos.ler(),
+      noticias: await storage.noticias.ler()
     };
     
     const backupFilename = `backup-${timestamp}.json`;
@@ -235,16 +277,12 @@ router.post('/backup', authenticateToken, requireAdmin, async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Erro ao criar backup:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
 // GET /api/admin/backups - Listar backups disponíveis
-router.get('/backups', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/backups', authenticateToken, requirePermission('backups:create'), async (req, res, next) => {
   try {
     const backupDir = path.join(__dirname, '../backups');
     
@@ -319,24 +357,17 @@ router.get('/backups', authenticateToken, requireAdmin, async (req, res) => {
       data: backupFiles
     });
   } catch (error) {
-    console.error('Erro ao listar backups:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
 // POST /api/admin/restore - Restaurar backup
-router.post('/restore', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/restore', authenticateToken, requirePermission('backups:restore'), async (req, res, next) => {
   try {
     const { filename } = req.body;
     
     if (!filename) {
-      return res.status(400).json({
-        success: false,
-        message: 'Nome do arquivo de backup é obrigatório'
-      });
+      throw new AppError(400, 'BACKUP_FILENAME_REQUIRED', 'Nome do arquivo de backup é obrigatório');
     }
     
     const backupPath = path.join(__dirname, '../backups', filename);
@@ -345,33 +376,41 @@ router.post('/restore', authenticateToken, requireAdmin, async (req, res) => {
     try {
       await fs.access(backupPath);
     } catch {
-      return res.status(404).json({
-        success: false,
-        message: 'Arquivo de backup não encontrado'
-      });
+      throw new AppError(404, 'BACKUP_NOT_FOUND', 'Arquivo de backup não encontrado');
     }
     
     // Ler o backup
     const backupData = await fs.readFile(backupPath, 'utf8');
-    const backup = JSON.parse(backupData);
+    let backup;
+    try {
+      backup = JSON.parse(backupData);
+    } catch {
+      throw new AppError(400, 'BACKUP_INVALID', 'Arquivo de backup inválido');
+    }
     
     // Validar estrutura do backup
     if (!backup.eventos || !backup.noticias) {
-      return res.status(400).json({
-        success: false,
-        message: 'Arquivo de backup inválido'
-      });
+      throw new AppError(400, 'BACKUP_INVALID', 'Arquivo de backup inválido');
+    }
+    
+    // Backups sem schemaVersion são anteriores às migrações (versão 0)
+    let dadosRestaurados;
+    try {
+      dadosRestaurados = migrarDados({
+        eventos: backup.eventos,
+        noticias: backup.noticias
+      }, backup.schemaVersion || 0);
+    } catch (error) {
+      throw new AppError(400, 'BACKUP_SCHEMA_UNSUPPORTED', error.message);
     }
     
     // Criar backup dos dados atuais antes de restaurar
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const currentEventosData = await fs.readFile(path.join(__dirname, '../data/eventos.json'), 'utf8');
-    const currentNoticiasData = await fs.readFile(path.join(__dirname, '../data/noticias.json'), 'utf8');
-    
     const currentBackup = {
       timestamp: new Date().toISOString(),
-      eventos: JSON.parse(currentEventosData),
-      noticias: JSON.parse(currentNoticiasData)
+      schemaVersion: await versaoArmazenada(),
+      eventos: await storage.eventos.ler(),
+      noticias: await storage.noticias.ler()
     };
     
     const currentBackupFilename = `backup-before-restore-${timestamp}.json`;
@@ -379,14 +418,8 @@ router.post('/restore', authenticateToken, requireAdmin, async (req, res) => {
     await fs.writeFile(currentBackupPath, JSON.stringify(currentBackup, null, 2));
     
     // Restaurar os dados
-    await fs.writeFile(
-      path.join(__dirname, '../data/eventos.json'), 
-      JSON.stringify(backup.eventos, null, 2)
-    );
-    await fs.writeFile(
-      path.join(__dirname, '../data/noticias.json'), 
-      JSON.stringify(backup.noticias, null, 2)
-    );
+    await storage.eventos.salvar(dadosRestaurados.eventos);
+    await storage.noticias.salvar(dadosRestaurados.noticias);
     
     res.json({
       success: true,
@@ -398,11 +431,7 @@ router.post('/restore', authenticateToken, requireAdmin, async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Erro ao restaurar backup:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
@@ -1,71 +1,77 @@
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
+const storage = require('../storage');
 const bcrypt = require('bcryptjs');
-const { authenticateToken, requireAdmin } = require('../middlewares/auth');
+const { authenticateToken, authenticateAdminToken, requirePermission } = require('../middlewares/auth');
+const {
+  revogarSessao,
+  revogarSessoesDoAdmin,
+  listarSessoes,
+  sessaoPublica
+} = require('../services/sessoes');
+const { doisFatoresAtivo, papeisObrigados, removerDoisFatores } = require('../services/doisFatores');
+const { desbloquearConta, contaBloqueada } = require('../services/tentativasLogin');
+const {
+  convitePendente,
+  criarConvite,
+  reenviarConvite,
+  revogarConvite,
+  listarConvites,
+  convitePublico
+} = require('../services/convites');
+const { criarChave, revogarChave, listarChaves, chavePublica } = require('../services/chavesApi');
+const { permissoesEfetivas } = require('../utils/permissoes');
+const { AppError } = require('../utils/errors');
+const { validarCorpo } = require('../middlewares/validacao');
+const schemas = require('../schemas');
 
 const router = express.Router();
 
-const ADMINS_FILE = path.join(__dirname, '../data/admins.json');
+// Dados do administrador que podem ser expostos (sem senha nem segredos de 2FA)
+const adminPublico = (admin) => ({
+  id: admin.id,
+  nome: admin.nome,
+  email: admin.email,
+  role: admin.role,
+  ativo: admin.ativo,
+  convitePendente: convitePendente(admin),
+  doisFatoresAtivo: doisFatoresAtivo(admin),
+  bloqueadoAte: contaBloqueada(admin) ? admin.bloqueio.bloqueadoAte : null,
+  criadoEm: admin.criadoEm,
+  atualizadoEm: admin.atualizadoEm,
+  ultimoLogin: admin.ultimoLogin
+});
 
-// Função para ler administradores do arquivo
-const lerAdmins = async () => {
-  try {
-    const data = await fs.readFile(ADMINS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Erro ao ler administradores:', error);
-    
-    // Se o arquivo não existe, criar com admin padrão
-    const adminDefault = [{
-      id: 1,
-      nome: "Administrador Principal",
-      email: process.env.ADMIN_EMAIL || "admin@blockchaininsper.com.br",
-      senha: await bcrypt.hash(process.env.ADMIN_PASSWORD || "BlockchainInsper2024!", 10),
-      role: "super_admin",
-      ativo: true,
-      criadoEm: new Date().toISOString(),
-      atualizadoEm: new Date().toISOString(),
-      ultimoLogin: null
-    }];
-    
-    try {
-      await fs.writeFile(ADMINS_FILE, JSON.stringify(adminDefault, null, 2));
-    } catch (writeError) {
-      console.error('Erro ao criar arquivo de administradores:', writeError);
-    }
-    
-    return adminDefault;
+// Só é possível atribuir papéis (ou administrar quem os tem) cujas permissões o usuário também tem
+const verificarPapelAoAlcance = async (roleId, usuario) => {
+  const papel = await storage.roles.buscarPorId(roleId);
+  if (!papel) {
+    throw new AppError(400, 'ROLE_NOT_FOUND', `Papel inexistente: ${roleId}`);
+  }
+
+  const excedentes = permissoesEfetivas(papel).filter(permissao => !usuario.permissoes.includes(permissao));
+  if (excedentes.length) {
+    throw new AppError(403, 'AUTH_FORBIDDEN',
+      `O papel ${roleId} tem permissões que você não tem: ${excedentes.join(', ')}`);
   }
 };
 
-// Função para salvar administradores no arquivo
-const salvarAdmins = async (admins) => {
-  try {
-    await fs.writeFile(ADMINS_FILE, JSON.stringify(admins, null, 2));
-    return true;
-  } catch (error) {
-    console.error('Erro ao salvar administradores:', error);
-    return false;
+// Administrador alvo de uma ação, desde que o papel dele esteja ao alcance do usuário (404 se não existir)
+const verificarAlvoAoAlcance = async (adminId, usuario) => {
+  const alvo = await storage.admins.buscarPorId(adminId);
+  if (!alvo) {
+    throw new AppError(404, 'ADMIN_NOT_FOUND', 'Administrador não encontrado');
   }
+  await verificarPapelAoAlcance(alvo.role, usuario);
+  return alvo;
 };
 
-// GET /api/admins - Listar todos os administradores (Super Admin only)
-router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+// GET /api/admins - Listar todos os administradores (admins:manage)
+router.get('/', authenticateToken, requirePermission('admins:manage'), async (req, res, next) => {
   try {
-    const admins = await lerAdmins();
+    const admins = await storage.admins.ler();
     
     // Remover senhas da resposta
-    const adminsPublicos = admins.map(admin => ({
-      id: admin.id,
-      nome: admin.nome,
-      email: admin.email,
-      role: admin.role,
-      ativo: admin.ativo,
-      criadoEm: admin.criadoEm,
-      atualizadoEm: admin.atualizadoEm,
-      ultimoLogin: admin.ultimoLogin
-    }));
+    const adminsPublicos = admins.map(adminPublico);
     
     res.json({
       success: true,
@@ -73,107 +79,178 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
       total: adminsPublicos.length
     });
   } catch (error) {
-    console.error('Erro ao buscar administradores:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
-// POST /api/admins - Criar novo administrador (Super Admin only)
-router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+// POST /api/admins - Convidar novo administrador por email (admins:manage)
+router.post('/', authenticateToken, requirePermission('admins:manage'), validarCorpo(schemas.convite), async (req, res, next) => {
   try {
     const {
       nome,
       email,
-      senha,
       role = 'admin'
     } = req.body;
 
-    // Validações básicas
-    if (!nome || !email || !senha) {
-      return res.status(400).json({
-        success: false,
-        message: 'Campos obrigatórios: nome, email, senha'
-      });
-    }
+    await verificarPapelAoAlcance(role, req.user);
 
-    // Validar formato do email
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Formato de email inválido'
-      });
-    }
+    const convidado = await criarConvite({ nome, email, role, convidadoPor: req.user.id });
 
-    // Validar força da senha
-    if (senha.length < 8) {
-      return res.status(400).json({
-        success: false,
-        message: 'A senha deve ter pelo menos 8 caracteres'
-      });
-    }
+    res.status(201).json({
+      success: true,
+      message: 'Convite enviado com sucesso',
+      data: adminPublico(convidado)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const admins = await lerAdmins();
-    
-    // Verificar se email já existe
-    const emailExiste = admins.find(admin => admin.email === email);
-    if (emailExiste) {
-      return res.status(400).json({
-        success: false,
-        message: 'Já existe um administrador com este email'
-      });
+// GET /api/admins/2fa-policy - Papéis obrigados a usar 2FA (admins:manage)
+router.get('/2fa-policy', authenticateToken, requirePermission('admins:manage'), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: { roles: await papeisObrigados() }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/admins/2fa-policy - Definir os papéis obrigados a usar 2FA (admins:manage)
+router.put('/2fa-policy', authenticateToken, requirePermission('admins:manage'), validarCorpo(schemas.politicaDoisFatores), async (req, res, next) => {
+  try {
+    const roles = [...new Set(req.body.roles)];
+
+    const inexistentes = [];
+    for (const role of roles) {
+      if (!await storage.roles.buscarPorId(role)) inexistentes.push(role);
+    }
+    if (inexistentes.length) {
+      throw new AppError(400, 'ROLE_NOT_FOUND', `Papel inexistente: ${inexistentes.join(', ')}`);
     }
 
-    // Gerar novo ID
-    const novoId = Math.max(...admins.map(a => a.id), 0) + 1;
-    
-    // Hash da senha
-    const senhaHash = await bcrypt.hash(senha, 10);
-    
-    const novoAdmin = {
-      id: novoId,
-      nome,
-      email,
-      senha: senhaHash,
-      role,
-      ativo: true,
-      criadoEm: new Date().toISOString(),
-      atualizadoEm: new Date().toISOString(),
-      ultimoLogin: null
-    };
-
-    admins.push(novoAdmin);
-    const salvou = await salvarAdmins(admins);
-    
-    if (!salvou) {
-      return res.status(500).json({
-        success: false,
-        message: 'Erro ao salvar administrador'
-      });
+    await storage.configuracoes.atualizar((configuracoes) => {
+      configuracoes.doisFatoresObrigatorio = roles;
+      configuracoes.atualizadoEm = new Date().toISOString();
+    });
+
+    res.json({
+      success: true,
+      message: 'Política de autenticação em dois fatores atualizada',
+      data: { roles }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admins/invites - Convites pendentes (admins:manage)
+router.get('/invites', authenticateToken, requirePermission('admins:manage'), async (req, res, next) => {
+  try {
+    const convites = await listarConvites();
+
+    res.json({
+      success: true,
+      data: convites.map(convitePublico),
+      total: convites.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admins/invites/:id/resend - Reenviar o convite com um novo link (admins:manage)
+router.post('/invites/:id/resend', authenticateToken, requirePermission('admins:manage'), async (req, res, next) => {
+  try {
+    await verificarAlvoAoAlcance(parseInt(req.params.id), req.user);
+
+    const convidado = await reenviarConvite(parseInt(req.params.id));
+
+    res.json({
+      success: true,
+      message: 'Convite reenviado com sucesso; o link anterior deixou de valer',
+      data: convitePublico(convidado)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admins/invites/:id - Cancelar um convite pendente (admins:manage)
+router.delete('/invites/:id', authenticateToken, requirePermission('admins:manage'), async (req, res, next) => {
+  try {
+    await verificarAlvoAoAlcance(parseInt(req.params.id), req.user);
+
+    await revogarConvite(parseInt(req.params.id));
+
+    res.json({
+      success: true,
+      message: 'Convite cancelado com sucesso'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admins/api-keys - Chaves de API (admins:manage)
+router.get('/api-keys', authenticateAdminToken, requirePermission('admins:manage'), async (req, res, next) => {
+  try {
+    const chaves = await listarChaves({ incluirEncerradas: req.query.incluirEncerradas === 'true' });
+
+    res.json({
+      success: true,
+      data: chaves.map(chavePublica),
+      total: chaves.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admins/api-keys - Criar chave de API; a chave só é exibida nesta resposta (admins:manage)
+router.post('/api-keys', authenticateAdminToken, requirePermission('admins:manage'), validarCorpo(schemas.chaveApi), async (req, res, next) => {
+  try {
+    const { nome, permissoes, expiraEm } = req.body;
+
+    const excedentes = permissoes.filter(permissao => !req.user.permissoes.includes(permissao));
+    if (excedentes.length) {
+      throw new AppError(403, 'AUTH_FORBIDDEN', `Você não pode conceder permissões que não tem: ${excedentes.join(', ')}`);
     }
 
-    // Retornar admin sem a senha
-    const { senha: _, ...adminPublico } = novoAdmin;
+    const { chave, registro } = await criarChave({ nome, permissoes, expiraEm, criadoPor: req.user.id });
 
     res.status(201).json({
       success: true,
-      message: 'Administrador criado com sucesso',
-      data: adminPublico
+      message: 'Chave de API criada. Guarde a chave; ela não será exibida novamente.',
+      data: { ...chavePublica(registro), chave }
     });
   } catch (error) {
-    console.error('Erro ao criar administrador:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
+    next(error);
+  }
+});
+
+// DELETE /api/admins/api-keys/:keyId - Revogar chave de API (admins:manage)
+router.delete('/api-keys/:keyId', authenticateAdminToken, requirePermission('admins:manage'), async (req, res, next) => {
+  try {
+    const revogou = await revogarChave(req.params.keyId, { revogadaPor: req.user.id });
+
+    if (!revogou) {
+      throw new AppError(404, 'API_KEY_NOT_FOUND', 'Chave de API não encontrada');
+    }
+
+    res.json({
+      success: true,
+      message: 'Chave de API revogada com sucesso'
     });
+  } catch (error) {
+    next(error);
   }
 });
 
-// PUT /api/admins/:id - Atualizar administrador (Super Admin only)
-router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+// PUT /api/admins/:id - Atualizar administrador (admins:manage)
+router.put('/:id', authenticateToken, requirePermission('admins:manage'), validarCorpo(schemas.admin, { parcial: true }), async (req, res, next) => {
   try {
     const { id } = req.params;
     const {
@@ -183,178 +260,270 @@ router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
       ativo
     } = req.body;
 
-    const admins = await lerAdmins();
-    const adminIndex = admins.findIndex(admin => admin.id === parseInt(id));
-    
-    if (adminIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Administrador não encontrado'
-      });
+    await verificarAlvoAoAlcance(parseInt(id), req.user);
+    if (role) {
+      await verificarPapelAoAlcance(role, req.user);
     }
 
-    // Não permitir desativar o último super_admin
-    if (admins[adminIndex].role === 'super_admin' && ativo === false) {
-      const superAdminsAtivos = admins.filter(admin => 
-        admin.role === 'super_admin' && admin.ativo && admin.id !== parseInt(id)
-      );
+    const adminAtualizado = await storage.admins.atualizar((admins) => {
+      const admin = admins.find(a => a.id === parseInt(id));
       
-      if (superAdminsAtivos.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Não é possível desativar o último super administrador'
-        });
+      if (!admin) {
+        throw new AppError(404, 'ADMIN_NOT_FOUND', 'Administrador não encontrado');
       }
-    }
 
-    // Verificar se email já existe (se foi alterado)
-    if (email && email !== admins[adminIndex].email) {
-      const emailExiste = admins.find(admin => admin.email === email && admin.id !== parseInt(id));
-      if (emailExiste) {
-        return res.status(400).json({
-          success: false,
-          message: 'Já existe um administrador com este email'
-        });
+      // Conta pendente só é ativada ao aceitar o convite
+      if (convitePendente(admin) && ativo === true) {
+        throw new AppError(400, 'ADMIN_INVITE_PENDING', 'O administrador ainda não aceitou o convite');
       }
-    }
 
-    // Atualizar campos
-    if (nome) admins[adminIndex].nome = nome;
-    if (email) admins[adminIndex].email = email;
-    if (role) admins[adminIndex].role = role;
-    if (typeof ativo === 'boolean') admins[adminIndex].ativo = ativo;
-    
-    admins[adminIndex].atualizadoEm = new Date().toISOString();
+      // Não permitir desativar nem rebaixar o último super_admin
+      if (admin.role === 'super_admin' && (ativo === false || (role && role !== 'super_admin'))) {
+        const superAdminsAtivos = admins.filter(a => 
+          a.role === 'super_admin' && a.ativo && a.id !== parseInt(id)
+        );
+        
+        if (superAdminsAtivos.length === 0) {
+          throw new AppError(400, 'ADMIN_LAST_SUPER_ADMIN', 'Não é possível desativar nem rebaixar o último super administrador');
+        }
+      }
 
-    const salvou = await salvarAdmins(admins);
-    
-    if (!salvou) {
-      return res.status(500).json({
-        success: false,
-        message: 'Erro ao atualizar administrador'
-      });
-    }
+      // Verificar se email já existe (se foi alterado)
+      if (email && email !== admin.email) {
+        const emailExiste = admins.find(a => a.email === email && a.id !== parseInt(id));
+        if (emailExiste) {
+          throw new AppError(400, 'ADMIN_EMAIL_TAKEN', 'Já existe um administrador com este email');
+        }
+      }
 
-    // Retornar admin sem a senha
-    const { senha: _, ...adminPublico } = admins[adminIndex];
+      // Atualizar campos
+      if (nome) admin.nome = nome;
+      if (email) admin.email = email;
+      if (role) admin.role = role;
+      if (typeof ativo === 'boolean') admin.ativo = ativo;
+
+      // Desativar invalida os tokens já emitidos
+      if (ativo === false) {
+        admin.versaoToken = (admin.versaoToken || 0) + 1;
+      }
+      
+      admin.atualizadoEm = new Date().toISOString();
+      return admin;
+    });
+
+    if (ativo === false) {
+      await revogarSessoesDoAdmin(adminAtualizado.id, { motivo: 'admin_desativado' });
+    }
 
     res.json({
       success: true,
       message: 'Administrador atualizado com sucesso',
-      data: adminPublico
+      data: adminPublico(adminAtualizado)
     });
   } catch (error) {
-    console.error('Erro ao atualizar administrador:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
-// DELETE /api/admins/:id - Excluir administrador (Super Admin only)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+// DELETE /api/admins/:id - Excluir administrador (admins:manage)
+router.delete('/:id', authenticateToken, requirePermission('admins:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const admins = await lerAdmins();
-    const adminIndex = admins.findIndex(admin => admin.id === parseInt(id));
-    
-    if (adminIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Administrador não encontrado'
-      });
-    }
+    await verificarAlvoAoAlcance(parseInt(id), req.user);
 
-    // Não permitir excluir o último super_admin
-    if (admins[adminIndex].role === 'super_admin') {
-      const superAdminsAtivos = admins.filter(admin => 
-        admin.role === 'super_admin' && admin.id !== parseInt(id)
-      );
+    await storage.admins.atualizar((admins) => {
+      const adminIndex = admins.findIndex(admin => admin.id === parseInt(id));
       
-      if (superAdminsAtivos.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Não é possível excluir o último super administrador'
-        });
+      if (adminIndex === -1) {
+        throw new AppError(404, 'ADMIN_NOT_FOUND', 'Administrador não encontrado');
       }
-    }
 
-    // Remover administrador
-    admins.splice(adminIndex, 1);
+      // Não permitir excluir o último super_admin
+      if (admins[adminIndex].role === 'super_admin') {
+        const superAdminsAtivos = admins.filter(admin => 
+          admin.role === 'super_admin' && !convitePendente(admin) && admin.id !== parseInt(id)
+        );
+        
+        if (superAdminsAtivos.length === 0) {
+          throw new AppError(400, 'ADMIN_LAST_SUPER_ADMIN', 'Não é possível excluir o último super administrador');
+        }
+      }
 
-    const salvou = await salvarAdmins(admins);
-    
-    if (!salvou) {
-      return res.status(500).json({
-        success: false,
-        message: 'Erro ao excluir administrador'
-      });
-    }
+      // Remover administrador
+      admins.splice(adminIndex, 1);
+    });
+
+    await revogarSessoesDoAdmin(parseInt(id), { motivo: 'admin_excluido' });
 
     res.json({
       success: true,
       message: 'Administrador excluído com sucesso'
     });
   } catch (error) {
-    console.error('Erro ao excluir administrador:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
 // PUT /api/admins/:id/password - Alterar senha do administrador
-router.put('/:id/password', authenticateToken, requireAdmin, async (req, res) => {
+router.put('/:id/password', authenticateToken, requirePermission('admins:manage'), validarCorpo(schemas.senha), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { novaSenha } = req.body;
 
-    // Validar senha
-    if (!novaSenha || novaSenha.length < 8) {
-      return res.status(400).json({
-        success: false,
-        message: 'A nova senha deve ter pelo menos 8 caracteres'
-      });
-    }
-
-    const admins = await lerAdmins();
-    const adminIndex = admins.findIndex(admin => admin.id === parseInt(id));
-    
-    if (adminIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Administrador não encontrado'
-      });
-    }
+    await verificarAlvoAoAlcance(parseInt(id), req.user);
 
     // Hash da nova senha
     const senhaHash = await bcrypt.hash(novaSenha, 10);
-    
-    admins[adminIndex].senha = senhaHash;
-    admins[adminIndex].atualizadoEm = new Date().toISOString();
 
-    const salvou = await salvarAdmins(admins);
+    const alterou = await storage.admins.atualizar((admins) => {
+      const admin = admins.find(a => a.id === parseInt(id));
+      if (!admin) {
+        return false;
+      }
+      if (convitePendente(admin)) {
+        throw new AppError(400, 'ADMIN_INVITE_PENDING', 'O administrador ainda não aceitou o convite');
+      }
+
+      admin.senha = senhaHash;
+      // Senha redefinida invalida os tokens já emitidos
+      admin.versaoToken = (admin.versaoToken || 0) + 1;
+      admin.atualizadoEm = new Date().toISOString();
+      return true;
+    });
     
-    if (!salvou) {
-      return res.status(500).json({
-        success: false,
-        message: 'Erro ao alterar senha'
-      });
+    if (!alterou) {
+      throw new AppError(404, 'ADMIN_NOT_FOUND', 'Administrador não encontrado');
     }
 
+    await revogarSessoesDoAdmin(parseInt(id), { motivo: 'senha_redefinida' });
+
     res.json({
       success: true,
       message: 'Senha alterada com sucesso'
     });
   } catch (error) {
-    console.error('Erro ao alterar senha:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
+    next(error);
+  }
+});
+
+// DELETE /api/admins/:id/2fa - Resetar o 2FA de um administrador sem acesso ao autenticador (admins:manage)
+router.delete('/:id/2fa', authenticateToken, requirePermission('admins:manage'), async (req, res, next) => {
+  try {
+    await verificarAlvoAoAlcance(parseInt(req.params.id), req.user);
+
+    const removeu = await removerDoisFatores(parseInt(req.params.id), { removidoPor: req.user.id });
+
+    if (!removeu) {
+      throw new AppError(404, 'ADMIN_NOT_FOUND', 'Administrador não encontrado');
+    }
+
+    res.json({
+      success: true,
+      message: 'Autenticação em dois fatores resetada; o administrador poderá cadastrá-la novamente'
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admins/:id/unlock - Desbloquear login de um administrador antes do prazo (admins:manage)
+router.post('/:id/unlock', authenticateToken, requirePermission('admins:manage'), async (req, res, next) => {
+  try {
+    await verificarAlvoAoAlcance(parseInt(req.params.id), req.user);
+
+    const desbloqueou = await desbloquearConta(parseInt(req.params.id), { desbloqueadoPor: req.user.id });
+
+    if (!desbloqueou) {
+      throw new AppError(404, 'ADMIN_NOT_FOUND', 'Administrador não encontrado');
+    }
+
+    res.json({
+      success: true,
+      message: 'Administrador desbloqueado com sucesso'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admins/:id/lock-events - Histórico de bloqueios e desbloqueios de login (admins:manage)
+router.get('/:id/lock-events', authenticateToken, requirePermission('admins:manage'), async (req, res, next) => {
+  try {
+    const admin = await verificarAlvoAoAlcance(parseInt(req.params.id), req.user);
+    const eventos = [...(admin.eventosBloqueio || [])].reverse();
+
+    res.json({
+      success: true,
+      data: {
+        bloqueadoAte: contaBloqueada(admin) ? admin.bloqueio.bloqueadoAte : null,
+        falhasRecentes: (admin.bloqueio && admin.bloqueio.falhas) || 0,
+        eventos
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admins/:id/sessions - Listar sessões de um administrador (admins:manage)
+// ?incluirEncerradas=true traz também as sessões revogadas ainda não descartadas
+router.get('/:id/sessions', authenticateToken, requirePermission('admins:manage'), async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    await verificarAlvoAoAlcance(id, req.user);
+
+    const sessoes = await listarSessoes(id, {
+      incluirEncerradas: req.query.incluirEncerradas === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: sessoes.map(sessao => sessaoPublica(sessao, req.user.sid)),
+      total: sessoes.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admins/:id/sessions - Encerrar todas as sessões de um administrador (admins:manage)
+router.delete('/:id/sessions', authenticateToken, requirePermission('admins:manage'), async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    await verificarAlvoAoAlcance(id, req.user);
+
+    const revogadas = await revogarSessoesDoAdmin(id, { motivo: 'revogada_por_super_admin' });
+
+    res.json({
+      success: true,
+      message: 'Sessões encerradas com sucesso',
+      data: { revogadas }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admins/:id/sessions/:sessionId - Encerrar uma sessão de um administrador (admins:manage)
+router.delete('/:id/sessions/:sessionId', authenticateToken, requirePermission('admins:manage'), async (req, res, next) => {
+  try {
+    await verificarAlvoAoAlcance(parseInt(req.params.id), req.user);
+
+    const revogou = await revogarSessao(req.params.sessionId, 'revogada_por_super_admin', {
+      adminId: parseInt(req.params.id)
+    });
+
+    if (!revogou) {
+      throw new AppError(404, 'SESSION_NOT_FOUND', 'Sessão não encontrada');
+    }
+
+    res.json({
+      success: true,
+      message: 'Sessão encerrada com sucesso'
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
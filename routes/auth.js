@@ -1,214 +1,509 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const fs = require('fs').promises;
-const path = require('path');
-const { authenticateToken } = require('../middlewares/auth');
+const storage = require('../storage');
+const {
+  criarSessao,
+  renovarSessao,
+  revogarSessao,
+  revogarSessoesDoAdmin,
+  listarSessoes,
+  sessaoPublica
+} = require('../services/sessoes');
+const {
+  doisFatoresAtivo,
+  doisFatoresObrigatorio,
+  iniciarCadastro,
+  concluirCadastro,
+  consumirCodigo,
+  regenerarCodigosRecuperacao,
+  removerDoisFatores,
+  gerarTokenDesafio,
+  verificarTokenDesafio
+} = require('../services/doisFatores');
+const { verificarBloqueios, registrarFalha, registrarSucesso } = require('../services/tentativasLogin');
+const { solicitarRedefinicao, redefinirSenha } = require('../services/redefinicaoSenha');
+const { aceitarConvite } = require('../services/convites');
+const { authenticateAdminToken, authenticateTokenAllowing2faSetup } = require('../middlewares/auth');
+const { AppError } = require('../utils/errors');
+const { permissoesEfetivas } = require('../utils/permissoes');
+const { validarCorpo } = require('../middlewares/validacao');
+const schemas = require('../schemas');
 
 const router = express.Router();
 
-const ADMINS_FILE = path.join(__dirname, '../data/admins.json');
+// Registra o login, abre a sessão e envia os tokens
+const concluirLogin = async (req, res, admin, extras = {}) => {
+  await registrarSucesso(admin.id);
 
-// Função para ler administradores do arquivo
-const lerAdmins = async () => {
-  try {
-    const data = await fs.readFile(ADMINS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Erro ao ler administradores:', error);
-    
-    // Se o arquivo não existe, criar com admin padrão
-    const adminDefault = [{
-      id: 1,
-      nome: "Administrador Principal",
-      email: process.env.ADMIN_EMAIL || "admin@blockchaininsper.com.br",
-      senha: await bcrypt.hash(process.env.ADMIN_PASSWORD || "BlockchainInsper2024!", 10),
-      role: "super_admin",
-      ativo: true,
-      criadoEm: new Date().toISOString(),
-      atualizadoEm: new Date().toISOString(),
-      ultimoLogin: null
-    }];
-    
-    try {
-      await fs.writeFile(ADMINS_FILE, JSON.stringify(adminDefault, null, 2));
-    } catch (writeError) {
-      console.error('Erro ao criar arquivo de administradores:', writeError);
+  // Atualizar último login
+  await storage.admins.atualizar((lista) => {
+    const registro = lista.find(a => a.id === admin.id);
+    if (registro) {
+      registro.ultimoLogin = new Date().toISOString();
     }
-    
-    return adminDefault;
-  }
-};
+  });
 
-// Função para salvar administradores no arquivo
-const salvarAdmins = async (admins) => {
-  try {
-    await fs.writeFile(ADMINS_FILE, JSON.stringify(admins, null, 2));
-    return true;
-  } catch (error) {
-    console.error('Erro ao salvar administradores:', error);
-    return false;
+  // Abrir sessão: access token de curta duração + refresh token
+  const { token, refreshToken } = await criarSessao(admin, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+
+  const resposta = {
+    success: true,
+    message: 'Login realizado com sucesso',
+    token,
+    refreshToken,
+    user: {
+      id: admin.id,
+      nome: admin.nome,
+      email: admin.email,
+      role: admin.role
+    },
+    ...extras
+  };
+
+  // Papel obrigado a usar 2FA sem cadastro: só as rotas de cadastro ficam liberadas
+  if (!doisFatoresAtivo(admin) && await doisFatoresObrigatorio(admin.role)) {
+    resposta.twoFactorSetupRequired = true;
   }
+
+  res.json(resposta);
 };
 
 // POST /api/auth/login
-router.post('/login', async (req, res) => {
+router.post('/login', async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
     if (!email || !password) {
-      return res.status(400).json({
-        message: 'Email e senha são obrigatórios'
-      });
+      throw new AppError(400, 'AUTH_CREDENTIALS_REQUIRED', 'Email e senha são obrigatórios');
     }
 
-    const admins = await lerAdmins();
+    const admins = await storage.admins.ler();
     
     // Buscar admin pelo email
     const admin = admins.find(admin => admin.email === email && admin.ativo);
+
+    await verificarBloqueios({ ip: req.ip, admin });
     
     if (!admin) {
-      return res.status(401).json({
-        message: 'Credenciais inválidas'
-      });
+      await registrarFalha({ ip: req.ip });
+      throw new AppError(401, 'AUTH_INVALID_CREDENTIALS', 'Credenciais inválidas');
     }
 
     // Verificar senha
     const isValidPassword = await bcrypt.compare(password, admin.senha);
     if (!isValidPassword) {
-      return res.status(401).json({
-        message: 'Credenciais inválidas'
+      await registrarFalha({ ip: req.ip, adminId: admin.id });
+      throw new AppError(401, 'AUTH_INVALID_CREDENTIALS', 'Credenciais inválidas');
+    }
+
+    // Com 2FA ativo a senha só libera o desafio; o login termina em /login/2fa
+    if (doisFatoresAtivo(admin)) {
+      return res.json({
+        success: true,
+        message: 'Informe o código de verificação',
+        requires2fa: true,
+        challengeToken: gerarTokenDesafio(admin)
       });
     }
 
-    // Atualizar último login
-    const adminIndex = admins.findIndex(a => a.id === admin.id);
-    if (adminIndex !== -1) {
-      admins[adminIndex].ultimoLogin = new Date().toISOString();
-      await salvarAdmins(admins);
+    await concluirLogin(req, res, admin);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/login/2fa - Segunda etapa do login com código TOTP ou de recuperação
+router.post('/login/2fa', async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      throw new AppError(400, 'AUTH_2FA_CODE_REQUIRED', 'Token de desafio e código são obrigatórios');
+    }
+
+    const desafio = verificarTokenDesafio(challengeToken);
+    const admin = desafio && await storage.admins.buscarPorId(desafio.id);
+
+    if (!admin || !admin.ativo || (admin.versaoToken || 0) !== desafio.ver) {
+      throw new AppError(401, 'AUTH_2FA_CHALLENGE_INVALID', 'Desafio inválido ou expirado. Faça login novamente.');
     }
 
-    // Gerar JWT token
-    const token = jwt.sign(
-      { 
-        id: admin.id, 
-        email: admin.email,
-        role: admin.role,
-        nome: admin.nome
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '24h' }
-    );
+    await verificarBloqueios({ ip: req.ip, admin });
+
+    const resultado = await consumirCodigo(admin.id, { code, recoveryCode });
+    if (!resultado) {
+      await registrarFalha({ ip: req.ip, adminId: admin.id });
+      throw new AppError(401, 'AUTH_2FA_INVALID_CODE', 'Código de verificação inválido');
+    }
+
+    await concluirLogin(req, res, admin, {
+      recoveryCodesRemaining: resultado.metodo === 'recuperacao' ? resultado.codigosRestantes : undefined
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/refresh - Trocar o refresh token por um novo par de tokens
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw new AppError(400, 'AUTH_REFRESH_TOKEN_REQUIRED', 'Refresh token é obrigatório');
+    }
+
+    const tokens = await renovarSessao(refreshToken, { ip: req.ip });
 
     res.json({
-      message: 'Login realizado com sucesso',
-      token,
-      user: {
-        id: admin.id,
-        nome: admin.nome,
-        email: admin.email,
-        role: admin.role
-      }
+      success: true,
+      message: 'Sessão renovada com sucesso',
+      ...tokens
     });
 
   } catch (error) {
-    console.error('Erro no login:', error);
-    res.status(500).json({
-      message: 'Erro interno do servidor'
+    next(error);
+  }
+});
+
+// POST /api/auth/logout - Encerrar a sessão atual
+router.post('/logout', authenticateTokenAllowing2faSetup, async (req, res, next) => {
+  try {
+    await revogarSessao(req.user.sid, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logout realizado com sucesso'
     });
+
+  } catch (error) {
+    next(error);
   }
 });
 
 // POST /api/auth/change-password - Alterar senha do usuário logado
-router.post('/change-password', authenticateToken, async (req, res) => {
+router.post('/change-password', authenticateAdminToken, async (req, res, next) => {
   try {
     const { currentPassword, newPassword } = req.body;
     const userId = req.user.id;
 
     if (!currentPassword || !newPassword) {
-      return res.status(400).json({
-        message: 'Senha atual e nova senha são obrigatórias'
-      });
+      throw new AppError(400, 'AUTH_PASSWORDS_REQUIRED', 'Senha atual e nova senha são obrigatórias');
     }
 
     if (newPassword.length < 8) {
-      return res.status(400).json({
-        message: 'A nova senha deve ter pelo menos 8 caracteres'
-      });
+      throw new AppError(400, 'AUTH_WEAK_PASSWORD', 'A nova senha deve ter pelo menos 8 caracteres');
     }
 
-    const admins = await lerAdmins();
+    const admins = await storage.admins.ler();
     const adminIndex = admins.findIndex(admin => admin.id === userId);
     
     if (adminIndex === -1) {
-      return res.status(404).json({
-        message: 'Usuário não encontrado'
-      });
+      throw new AppError(404, 'USER_NOT_FOUND', 'Usuário não encontrado');
     }
 
     // Verificar senha atual
     const isValidPassword = await bcrypt.compare(currentPassword, admins[adminIndex].senha);
     if (!isValidPassword) {
-      return res.status(401).json({
-        message: 'Senha atual incorreta'
-      });
+      throw new AppError(401, 'AUTH_WRONG_PASSWORD', 'Senha atual incorreta');
     }
 
     // Hash da nova senha
     const senhaHash = await bcrypt.hash(newPassword, 10);
     
-    admins[adminIndex].senha = senhaHash;
-    admins[adminIndex].atualizadoEm = new Date().toISOString();
+    const alterou = await storage.admins.atualizar((lista) => {
+      const registro = lista.find(a => a.id === userId);
+      if (!registro) {
+        return false;
+      }
 
-    const salvou = await salvarAdmins(admins);
+      registro.senha = senhaHash;
+      registro.atualizadoEm = new Date().toISOString();
+      return true;
+    });
     
-    if (!salvou) {
-      return res.status(500).json({
-        message: 'Erro ao alterar senha'
-      });
+    if (!alterou) {
+      throw new AppError(404, 'USER_NOT_FOUND', 'Usuário não encontrado');
     }
 
+    // Encerrar as demais sessões; a atual continua válida
+    await revogarSessoesDoAdmin(userId, { motivo: 'senha_alterada', exceto: req.user.sid });
+
     res.json({
+      success: true,
       message: 'Senha alterada com sucesso'
     });
 
   } catch (error) {
-    console.error('Erro ao alterar senha:', error);
-    res.status(500).json({
-      message: 'Erro interno do servidor'
+    next(error);
+  }
+});
+
+// POST /api/auth/forgot-password - Pedir o link de redefinição de senha por email
+router.post('/forgot-password', async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      throw new AppError(400, 'AUTH_EMAIL_REQUIRED', 'Email é obrigatório');
+    }
+
+    // Sem await: a resposta sai no mesmo tempo e com o mesmo conteúdo exista ou não a conta
+    solicitarRedefinicao(email, { ip: req.ip })
+      .catch(erro => console.error(`[${req.id}] Erro ao enviar email de redefinição:`, erro));
+
+    res.json({
+      success: true,
+      message: 'Se o email estiver cadastrado, enviaremos um link para redefinir a senha'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/reset-password - Definir nova senha com o token recebido por email
+router.post('/reset-password', async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || typeof token !== 'string' || !newPassword || typeof newPassword !== 'string') {
+      throw new AppError(400, 'AUTH_PASSWORDS_REQUIRED', 'Token e nova senha são obrigatórios');
+    }
+
+    if (newPassword.length < 8) {
+      throw new AppError(400, 'AUTH_WEAK_PASSWORD', 'A nova senha deve ter pelo menos 8 caracteres');
+    }
+
+    await redefinirSenha(token, newPassword);
+
+    res.json({
+      success: true,
+      message: 'Senha redefinida com sucesso. Faça login com a nova senha.'
     });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/accept-invite - Aceitar o convite recebido por email e definir a senha
+router.post('/accept-invite', validarCorpo(schemas.aceiteConvite), async (req, res, next) => {
+  try {
+    const { token, password, nome } = req.body;
+
+    const admin = await aceitarConvite(token, { senha: password, nome });
+
+    res.json({
+      success: true,
+      message: 'Convite aceito. Faça login com seu email e a senha escolhida.',
+      user: {
+        id: admin.id,
+        nome: admin.nome,
+        email: admin.email,
+        role: admin.role
+      }
+    });
+
+  } catch (error) {
+    next(error);
   }
 });
 
 // GET /api/auth/me - Obter dados do usuário logado
-router.get('/me', authenticateToken, async (req, res) => {
+router.get('/me', authenticateTokenAllowing2faSetup, async (req, res, next) => {
   try {
     const userId = req.user.id;
 
-    const admins = await lerAdmins();
+    const admins = await storage.admins.ler();
     const admin = admins.find(admin => admin.id === userId);
     
     if (!admin) {
-      return res.status(404).json({
-        message: 'Usuário não encontrado'
-      });
+      throw new AppError(404, 'USER_NOT_FOUND', 'Usuário não encontrado');
     }
 
     res.json({
+      success: true,
       user: {
         id: admin.id,
         nome: admin.nome,
         email: admin.email,
         role: admin.role,
-        ultimoLogin: admin.ultimoLogin
+        ultimoLogin: admin.ultimoLogin,
+        permissoes: permissoesEfetivas(await storage.roles.buscarPorId(admin.role)),
+        doisFatores: {
+          ativo: doisFatoresAtivo(admin),
+          obrigatorio: await doisFatoresObrigatorio(admin.role),
+          codigosRecuperacaoRestantes: doisFatoresAtivo(admin)
+            ? admin.doisFatores.codigosRecuperacao.length
+            : null
+        }
       }
     });
 
   } catch (error) {
-    console.error('Erro ao buscar dados do usuário:', error);
-    res.status(500).json({
-      message: 'Erro interno do servidor'
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/setup - Gerar segredo TOTP para cadastrar no aplicativo autenticador
+router.post('/2fa/setup', authenticateTokenAllowing2faSetup, async (req, res, next) => {
+  try {
+    const dados = await iniciarCadastro(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Cadastre o segredo no aplicativo autenticador e confirme com um código em /api/auth/2fa/enable',
+      data: dados
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirmar o primeiro código e ativar o 2FA
+router.post('/2fa/enable', authenticateTokenAllowing2faSetup, async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      throw new AppError(400, 'AUTH_2FA_CODE_REQUIRED', 'Código de verificação é obrigatório');
+    }
+
+    const recoveryCodes = await concluirCadastro(req.user.id, code);
+
+    res.json({
+      success: true,
+      message: 'Autenticação em dois fatores ativada. Guarde os códigos de recuperação; eles não serão exibidos novamente.',
+      data: { recoveryCodes }
     });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/disable - Desativar o 2FA (exige senha e código)
+router.post('/2fa/disable', authenticateAdminToken, async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      throw new AppError(400, 'AUTH_2FA_CODE_REQUIRED', 'Senha e código de verificação são obrigatórios');
+    }
+
+    if (await doisFatoresObrigatorio(req.user.role)) {
+      throw new AppError(403, 'AUTH_2FA_REQUIRED_BY_POLICY', 'A política do painel exige 2FA para o seu papel');
+    }
+
+    const admin = await storage.admins.buscarPorId(req.user.id);
+    if (!doisFatoresAtivo(admin)) {
+      throw new AppError(400, 'AUTH_2FA_NOT_ENABLED', 'A autenticação em dois fatores não está ativa');
+    }
+
+    if (!await bcrypt.compare(password, admin.senha)) {
+      throw new AppError(401, 'AUTH_WRONG_PASSWORD', 'Senha atual incorreta');
+    }
+
+    if (!await consumirCodigo(admin.id, { code, recoveryCode })) {
+      throw new AppError(401, 'AUTH_2FA_INVALID_CODE', 'Código de verificação inválido');
+    }
+
+    await removerDoisFatores(admin.id, { removidoPor: admin.id });
+
+    res.json({
+      success: true,
+      message: 'Autenticação em dois fatores desativada'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Gerar novos códigos de recuperação (invalida os anteriores)
+router.post('/2fa/recovery-codes', authenticateAdminToken, async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      throw new AppError(400, 'AUTH_2FA_CODE_REQUIRED', 'Código de verificação é obrigatório');
+    }
+
+    if (!await consumirCodigo(req.user.id, { code })) {
+      throw new AppError(401, 'AUTH_2FA_INVALID_CODE', 'Código de verificação inválido');
+    }
+
+    const recoveryCodes = await regenerarCodigosRecuperacao(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Novos códigos de recuperação gerados; os anteriores deixaram de valer',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/auth/sessions - Listar as sessões ativas do usuário logado
+router.get('/sessions', authenticateAdminToken, async (req, res, next) => {
+  try {
+    const sessoes = await listarSessoes(req.user.id);
+
+    res.json({
+      success: true,
+      data: sessoes.map(sessao => sessaoPublica(sessao, req.user.sid)),
+      total: sessoes.length
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/auth/sessions - Encerrar todas as outras sessões do usuário logado
+router.delete('/sessions', authenticateAdminToken, async (req, res, next) => {
+  try {
+    const revogadas = await revogarSessoesDoAdmin(req.user.id, {
+      motivo: 'revogada_pelo_usuario',
+      exceto: req.user.sid
+    });
+
+    res.json({
+      success: true,
+      message: 'Outras sessões encerradas com sucesso',
+      data: { revogadas }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Encerrar uma sessão do usuário logado
+router.delete('/sessions/:id', authenticateAdminToken, async (req, res, next) => {
+  try {
+    const revogou = await revogarSessao(req.params.id, 'revogada_pelo_usuario', { adminId: req.user.id });
+
+    if (!revogou) {
+      throw new AppError(404, 'SESSION_NOT_FOUND', 'Sessão não encontrada');
+    }
+
+    res.json({
+      success: true,
+      message: 'Sessão encerrada com sucesso'
+    });
+
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -0,0 +1,49 @@
+const express = require('express');
+const { AppError } = require('../utils/errors');
+const {
+  buscarCertificado,
+  gerarPdf,
+  nomeDoArquivo,
+  certificadoPublico
+} = require('../services/certificados');
+
+// Verificação pública de certificados; a emissão fica em routes/inscricoes.js
+const router = express.Router();
+
+const certificadoOu404 = async (codigo) => {
+  const certificado = await buscarCertificado(codigo);
+  if (!certificado) {
+    throw new AppError(404, 'CERTIFICATE_NOT_FOUND', 'Certificado não encontrado');
+  }
+  return certificado;
+};
+
+// GET /api/certificados/:codigo - Confirmar a autenticidade de um certificado
+router.get('/:codigo', async (req, res, next) => {
+  try {
+    const certificado = await certificadoOu404(req.params.codigo);
+
+    res.json({
+      success: true,
+      message: 'Certificado válido',
+      data: certificadoPublico(certificado)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/certificados/:codigo/pdf - Baixar o PDF do certificado
+router.get('/:codigo/pdf', async (req, res, next) => {
+  try {
+    const certificado = await certificadoOu404(req.params.codigo);
+
+    res.set('Content-Type', 'application/pdf');
+    res.attachment(nomeDoArquivo(certificado));
+    res.send(await gerarPdf(certificado));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
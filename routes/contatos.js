@@ -1,98 +1,28 @@
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
-const { authenticateToken, requireAdmin } = require('../middlewares/auth');
+const storage = require('../storage');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
+const { AppError } = require('../utils/errors');
+const { validarCorpo } = require('../middlewares/validacao');
+const schemas = require('../schemas');
 
 const router = express.Router();
 
-const CONTATOS_FILE = path.join(__dirname, '../data/contatos.json');
-const MENSAGENS_FILE = path.join(__dirname, '../data/mensagens.json');
-
-// Função para ler contatos do arquivo
-const lerContatos = async () => {
-  try {
-    const data = await fs.readFile(CONTATOS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Erro ao ler contatos:', error);
-    
-    // Se o arquivo não existe, criar com dados padrão
-    const contatosDefault = {
-      email: "contato@blockchaininsper.com.br",
-      telefone: "(11) 3000-0000",
-      endereco: "Rua Quatá, 300 - Vila Olímpia, São Paulo - SP, 04546-042",
-      horarioFuncionamento: "Segunda a Sexta: 8h às 18h",
-      redesSociais: {
-        linkedin: "https://linkedin.com/company/blockchain-insper",
-        instagram: "https://instagram.com/blockchaininsper",
-        twitter: "https://twitter.com/blockchaininsper"
-      },
-      atualizadoEm: new Date().toISOString()
-    };
-    
-    try {
-      await fs.writeFile(CONTATOS_FILE, JSON.stringify(contatosDefault, null, 2));
-    } catch (writeError) {
-      console.error('Erro ao criar arquivo de contatos:', writeError);
-    }
-    
-    return contatosDefault;
-  }
-};
-
-// Função para salvar contatos no arquivo
-const salvarContatos = async (contatos) => {
-  try {
-    await fs.writeFile(CONTATOS_FILE, JSON.stringify(contatos, null, 2));
-    return true;
-  } catch (error) {
-    console.error('Erro ao salvar contatos:', error);
-    return false;
-  }
-};
-
-// Função para ler mensagens do arquivo
-const lerMensagens = async () => {
-  try {
-    const data = await fs.readFile(MENSAGENS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Erro ao ler mensagens:', error);
-    return [];
-  }
-};
-
-// Função para salvar mensagens no arquivo
-const salvarMensagens = async (mensagens) => {
-  try {
-    await fs.writeFile(MENSAGENS_FILE, JSON.stringify(mensagens, null, 2));
-    return true;
-  } catch (error) {
-    console.error('Erro ao salvar mensagens:', error);
-    return false;
-  }
-};
-
 // GET /api/contatos - Buscar informações de contato (público)
-router.get('/', async (req, res) => {
+router.get('/', async (req, res, next) => {
   try {
-    const contatos = await lerContatos();
+    const contatos = await storage.contatos.ler();
     
     res.json({
       success: true,
       data: contatos
     });
   } catch (error) {
-    console.error('Erro ao buscar contatos:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
-// PUT /api/contatos - Atualizar informações de contato (Admin only)
-router.put('/', authenticateToken, requireAdmin, async (req, res) => {
+// PUT /api/contatos - Atualizar informações de contato (contatos:write)
+router.put('/', authenticateToken, requirePermission('contatos:write'), validarCorpo(schemas.contatos), async (req, res, next) => {
   try {
     const {
       email,
@@ -102,14 +32,6 @@ router.put('/', authenticateToken, requireAdmin, async (req, res) => {
       redesSociais
     } = req.body;
 
-    // Validações básicas
-    if (!email || !telefone || !endereco) {
-      return res.status(400).json({
-        success: false,
-        message: 'Campos obrigatórios: email, telefone, endereco'
-      });
-    }
-
     const contatosAtualizados = {
       email,
       telefone,
@@ -119,14 +41,7 @@ router.put('/', authenticateToken, requireAdmin, async (req, res) => {
       atualizadoEm: new Date().toISOString()
     };
 
-    const salvou = await salvarContatos(contatosAtualizados);
-    
-    if (!salvou) {
-      return res.status(500).json({
-        success: false,
-        message: 'Erro ao salvar informações de contato'
-      });
-    }
+    await storage.contatos.salvar(contatosAtualizados);
 
     res.json({
       success: true,
@@ -134,59 +49,32 @@ router.put('/', authenticateToken, requireAdmin, async (req, res) => {
       data: contatosAtualizados
     });
   } catch (error) {
-    console.error('Erro ao atualizar contatos:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
 // POST /api/contatos/mensagem - Enviar mensagem de contato (público)
-router.post('/mensagem', async (req, res) => {
+router.post('/mensagem', validarCorpo(schemas.mensagem), async (req, res, next) => {
   try {
     const { nome, email, mensagem } = req.body;
 
-    // Validações básicas
-    if (!nome || !email || !mensagem) {
-      return res.status(400).json({
-        success: false,
-        message: 'Todos os campos são obrigatórios: nome, email, mensagem'
-      });
-    }
-
-    // Validar formato do email
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Formato de email inválido'
-      });
-    }
-
     // Salvar a mensagem
-    const mensagens = await lerMensagens();
-    const novoId = Math.max(...mensagens.map(m => m.id || 0), 0) + 1;
-    
-    const novaMensagem = {
-      id: novoId,
-      nome,
-      email,
-      mensagem,
-      dataEnvio: new Date().toISOString(),
-      lida: false,
-      respondida: false
-    };
+    const novaMensagem = await storage.mensagens.atualizar((mensagens) => {
+      const novoId = Math.max(...mensagens.map(m => m.id || 0), 0) + 1;
 
-    mensagens.push(novaMensagem);
-    const salvou = await salvarMensagens(mensagens);
-    
-    if (!salvou) {
-      return res.status(500).json({
-        success: false,
-        message: 'Erro ao salvar mensagem'
-      });
-    }
+      const mensagemNova = {
+        id: novoId,
+        nome,
+        email,
+        mensagem,
+        dataEnvio: new Date().toISOString(),
+        lida: false,
+        respondida: false
+      };
+
+      mensagens.push(mensagemNova);
+      return mensagemNova;
+    });
 
     console.log('Nova mensagem de contato recebida e salva:', novaMensagem);
 
@@ -194,25 +82,21 @@ router.post('/mensagem', async (req, res) => {
       success: true,
       message: 'Mensagem enviada com sucesso! Entraremos em contato em breve.',
       data: {
-        id: novoId,
+        id: novaMensagem.id,
         nome,
         email,
         enviadoEm: new Date().toISOString()
       }
     });
   } catch (error) {
-    console.error('Erro ao processar mensagem de contato:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
-// GET /api/contatos/mensagens - Listar mensagens (Admin only)
-router.get('/mensagens', authenticateToken, requireAdmin, async (req, res) => {
+// GET /api/contatos/mensagens - Listar mensagens (mensagens:read)
+router.get('/mensagens', authenticateToken, requirePermission('mensagens:read'), async (req, res, next) => {
   try {
-    const mensagens = await lerMensagens();
+    const mensagens = await storage.mensagens.ler();
     
     // Ordenar por data mais recente primeiro
     const mensagensOrdenadas = mensagens.sort((a, b) => new Date(b.dataEnvio) - new Date(a.dataEnvio));
@@ -222,85 +106,63 @@ router.get('/mensagens', authenticateToken, requireAdmin, async (req, res) => {
       data: mensagensOrdenadas
     });
   } catch (error) {
-    console.error('Erro ao buscar mensagens:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
-// PUT /api/contatos/mensagens/:id - Marcar mensagem como lida/respondida (Admin only)
-router.put('/mensagens/:id', authenticateToken, requireAdmin, async (req, res) => {
+// PUT /api/contatos/mensagens/:id - Marcar mensagem como lida/respondida (mensagens:write)
+router.put('/mensagens/:id', authenticateToken, requirePermission('mensagens:write'), validarCorpo(schemas.mensagem, { parcial: true }), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { lida, respondida } = req.body;
     
-    const mensagens = await lerMensagens();
-    const mensagemIndex = mensagens.findIndex(m => m.id === parseInt(id));
-    
-    if (mensagemIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Mensagem não encontrada'
-      });
-    }
-    
-    if (typeof lida === 'boolean') {
-      mensagens[mensagemIndex].lida = lida;
-    }
-    if (typeof respondida === 'boolean') {
-      mensagens[mensagemIndex].respondida = respondida;
-    }
-    
-    mensagens[mensagemIndex].atualizadaEm = new Date().toISOString();
-    
-    const salvou = await salvarMensagens(mensagens);
+    const mensagemAtualizada = await storage.mensagens.atualizar((mensagens) => {
+      const mensagemEncontrada = mensagens.find(m => m.id === parseInt(id));
+      if (!mensagemEncontrada) {
+        return null;
+      }
+
+      if (typeof lida === 'boolean') {
+        mensagemEncontrada.lida = lida;
+      }
+      if (typeof respondida === 'boolean') {
+        mensagemEncontrada.respondida = respondida;
+      }
+      
+      mensagemEncontrada.atualizadaEm = new Date().toISOString();
+      return mensagemEncontrada;
+    });
     
-    if (!salvou) {
-      return res.status(500).json({
-        success: false,
-        message: 'Erro ao atualizar mensagem'
-      });
+    if (!mensagemAtualizada) {
+      throw new AppError(404, 'MESSAGE_NOT_FOUND', 'Mensagem não encontrada');
     }
     
     res.json({
       success: true,
       message: 'Mensagem atualizada com sucesso',
-      data: mensagens[mensagemIndex]
+      data: mensagemAtualizada
     });
   } catch (error) {
-    console.error('Erro ao atualizar mensagem:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
-// DELETE /api/contatos/mensagens/:id - Excluir mensagem (Admin only)
-router.delete('/mensagens/:id', authenticateToken, requireAdmin, async (req, res) => {
+// DELETE /api/contatos/mensagens/:id - Excluir mensagem (mensagens:write)
+router.delete('/mensagens/:id', authenticateToken, requirePermission('mensagens:write'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const mensagens = await lerMensagens();
-    const mensagemIndex = mensagens.findIndex(m => m.id === parseInt(id));
-    
-    if (mensagemIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Mensagem não encontrada'
-      });
-    }
-    
-    const mensagemRemovida = mensagens.splice(mensagemIndex, 1)[0];
-    const salvou = await salvarMensagens(mensagens);
+    const mensagemRemovida = await storage.mensagens.atualizar((mensagens) => {
+      const mensagemIndex = mensagens.findIndex(m => m.id === parseInt(id));
+      if (mensagemIndex === -1) {
+        return null;
+      }
+
+      return mensagens.splice(mensagemIndex, 1)[0];
+    });
     
-    if (!salvou) {
-      return res.status(500).json({
-        success: false,
-        message: 'Erro ao excluir mensagem'
-      });
+    if (!mensagemRemovida) {
+      throw new AppError(404, 'MESSAGE_NOT_FOUND', 'Mensagem não encontrada');
     }
     
     res.json({
@@ -309,11 +171,7 @@ router.delete('/mensagens/:id', authenticateToken, requireAdmin, async (req, res
       data: mensagemRemovida
     });
   } catch (error) {
-    console.error('Erro ao excluir mensagem:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
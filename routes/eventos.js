@@ -1,244 +1,322 @@
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
-const { authenticateToken, requireAdmin } = require('../middlewares/auth');
+const storage = require('../storage');
+const { formatarData } = require('../utils/datas');
+const { consultaListagem, aplicarConsulta } = require('../utils/listagem');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
+const { AppError } = require('../utils/errors');
+const { validarCorpo } = require('../middlewares/validacao');
+const schemas = require('../schemas');
+const { comInscricoes, reavaliarListaDeEspera } = require('../services/inscricoes');
+const { gerarIcal } = require('../services/calendario');
+const {
+  verificarPeriodoInscricoes,
+  verificarHorario,
+  montarEvento,
+  proximoId,
+  definirSlugDoEvento,
+  revisaoEventos
+} = require('../services/eventos');
+const { aguardandoAprovacao, aprovarAoPublicar } = require('../services/revisao');
+const { registrarVersao, registrarVersoes } = require('../services/versoes');
+const { registrarExclusao } = require('../services/lixeira');
+const { resolverSlug, redirecionarParaSlug } = require('../utils/slug');
+const {
+  ESCOPOS,
+  alterarOcorrencias,
+  excluirOcorrencias,
+  marcarExcecao
+} = require('../services/series');
 const router = express.Router();
 
-const EVENTOS_FILE = path.join(__dirname, '../data/eventos.json');
+// ?escopo= das alterações em ocorrências de séries (padrão: só a ocorrência)
+const escopoDaAlteracao = (escopo = 'ocorrencia') => {
+  if (!ESCOPOS.includes(escopo)) {
+    throw new AppError(400, 'VALIDATION_FAILED', 'Dados inválidos', [
+      { campo: 'escopo', mensagem: `deve ser um dos valores: ${ESCOPOS.join(', ')}` }
+    ]);
+  }
+  return escopo;
+};
 
-// Função para ler eventos do arquivo
-const lerEventos = async () => {
-  try {
-    const data = await fs.readFile(EVENTOS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Erro ao ler eventos:', error);
-    
-    // Se o arquivo não existe, criar com dados padrão
-    const eventosDefault = [];
-    try {
-      await fs.writeFile(EVENTOS_FILE, JSON.stringify(eventosDefault, null, 2));
-    } catch (writeError) {
-      console.error('Erro ao criar arquivo de eventos:', writeError);
-    }
-    
-    return eventosDefault;
+// Ativar, desativar e destacar exigem eventos:publish
+const exigirPublicacao = (req) => {
+  const alteraPublicacao = req.body.ativo !== undefined || req.body.destaque !== undefined;
+  if (alteraPublicacao && !req.user.permissoes.includes('eventos:publish')) {
+    throw new AppError(403, 'AUTH_FORBIDDEN', 'Acesso negado. Permissão necessária: eventos:publish');
   }
 };
 
-// Função para salvar eventos no arquivo
-const salvarEventos = async (eventos) => {
-  try {
-    await fs.writeFile(EVENTOS_FILE, JSON.stringify(eventos, null, 2));
-    return true;
-  } catch (error) {
-    console.error('Erro ao salvar eventos:', error);
-    return false;
+const buscarEvento = async (id) => {
+  const evento = await storage.eventos.buscarPorId(parseInt(id));
+  if (!evento) {
+    throw new AppError(404, 'EVENT_NOT_FOUND', 'Evento não encontrado');
   }
+  return evento;
+};
+
+const enviarIcal = (res, nomeArquivo, conteudo) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${nomeArquivo}"`);
+  res.send(conteudo);
 };
 
-// GET /api/eventos - Listar todos os eventos públicos
-router.get('/', async (req, res) => {
+// GET /api/eventos - Listar eventos públicos (aceita filtros, ordenação e paginação)
+router.get('/', consultaListagem({
+  filtros: { categoria: 'texto', destaque: 'booleano', serieId: 'inteiro' },
+  periodo: true
+}), async (req, res, next) => {
   try {
-    const eventos = await lerEventos();
-    const eventosPublicos = eventos.filter(evento => evento.ativo);
+    const [eventos, inscricoes] = await Promise.all([
+      storage.eventos.filtrar({ ...req.consulta.criterios, ativo: true }),
+      storage.inscricoes.ler()
+    ]);
+    const eventosPublicos = eventos.map(evento => comInscricoes(evento, inscricoes));
+    const { data, total, paginacao } = aplicarConsulta(eventosPublicos, req.consulta);
     
     res.json({
       success: true,
-      data: eventosPublicos,
-      total: eventosPublicos.length
+      data,
+      total,
+      paginacao
     });
   } catch (error) {
-    console.error('Erro ao buscar eventos:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
-// GET /api/eventos/:id - Buscar evento específico
-router.get('/:id', async (req, res) => {
+// GET /api/eventos/calendar.ics - Feed iCalendar dos eventos (aceita ?categoria=)
+// Eventos excluídos seguem no feed como cancelados, para saírem das agendas de quem assina;
+// os que ainda aguardam aprovação nunca foram publicados e ficam de fora.
+router.get('/calendar.ics', async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const eventos = await lerEventos();
-    const evento = eventos.find(e => e.id === parseInt(id) && e.ativo);
+    const categoria = typeof req.query.categoria === 'string' ? req.query.categoria.trim() : '';
+    const eventos = (await storage.eventos.ler())
+      .filter(evento => !aguardandoAprovacao(evento))
+      .filter(evento => !categoria || String(evento.categoria).toLowerCase() === categoria.toLowerCase());
+
+    enviarIcal(res, 'eventos-blockchain-insper.ics', gerarIcal(eventos, {
+      nome: categoria ? `Eventos Blockchain Insper - ${categoria}` : undefined
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/eventos/:id.ics - Evento em iCalendar, para adicionar à agenda (aceita ID ou slug)
+router.get('/:id.ics', async (req, res, next) => {
+  try {
+    const { registro: evento, antigo } = resolverSlug(await storage.eventos.ler(), req.params.id);
+
+    if (!evento || !evento.ativo) {
+      throw new AppError(404, 'EVENT_NOT_FOUND', 'Evento não encontrado');
+    }
+    if (antigo) {
+      return redirecionarParaSlug(req, res, evento.slug, '.ics');
+    }
+
+    enviarIcal(res, `evento-${evento.id}.ics`, gerarIcal([evento], { nome: evento.titulo }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/eventos/:id - Buscar evento específico pelo ID ou slug (slug anterior redireciona com 301)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { registro: evento, antigo } = resolverSlug(await storage.eventos.ler(), req.params.id);
     
-    if (!evento) {
-      return res.status(404).json({
-        success: false,
-        message: 'Evento não encontrado'
-      });
+    if (!evento || !evento.ativo) {
+      throw new AppError(404, 'EVENT_NOT_FOUND', 'Evento não encontrado');
+    }
+    if (antigo) {
+      return redirecionarParaSlug(req, res, evento.slug);
     }
     
     res.json({
       success: true,
-      data: evento
+      data: comInscricoes(evento, await storage.inscricoes.filtrar({ eventoId: evento.id }))
     });
   } catch (error) {
-    console.error('Erro ao buscar evento:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
-// POST /api/eventos - Criar novo evento (Admin only)
-router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+// POST /api/eventos - Criar novo evento (eventos:write)
+// Sem eventos:publish o evento nasce inativo, como rascunho a enviar para revisão.
+router.post('/', authenticateToken, requirePermission('eventos:write'), validarCorpo(schemas.evento), async (req, res, next) => {
   try {
-    const {
-      titulo,
-      descricao,
-      data,
-      local,
-      participantes,
-      categoria,
-      imagem,
-      destaque = false
-    } = req.body;
-
-    if (!titulo || !descricao || !data || !local || !categoria) {
-      return res.status(400).json({
-        success: false,
-        message: 'Campos obrigatórios: titulo, descricao, data, local, categoria'
-      });
-    }
+    exigirPublicacao(req);
+    verificarPeriodoInscricoes(req.body);
+    verificarHorario(req.body);
 
-    const eventos = await lerEventos();
-    const novoId = Math.max(...eventos.map(e => e.id), 0) + 1;
-    
-    const novoEvento = {
-      id: novoId,
-      titulo,
-      descricao,
-      data,
-      dataFormatada: new Date(data).toLocaleDateString('pt-BR', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      }),
-      local,
-      participantes: participantes || '0',
-      categoria,
-      imagem: imagem || 'https://images.unsplash.com/photo-1560472354-b33ff0c44a43?ixlib=rb-4.0.3&auto=format&fit=crop&w=1000&q=80',
-      destaque,
-      ativo: true,
-      criadoEm: new Date().toISOString(),
-      atualizadoEm: new Date().toISOString()
-    };
-
-    eventos.push(novoEvento);
-    const salvou = await salvarEventos(eventos);
-    
-    if (!salvou) {
-      return res.status(500).json({
-        success: false,
-        message: 'Erro ao salvar evento'
-      });
-    }
+    const podePublicar = req.user.permissoes.includes('eventos:publish');
+
+    const novoEvento = await storage.eventos.atualizar((eventos) => {
+      const evento = montarEvento(proximoId(eventos), req.body);
+      definirSlugDoEvento(evento, eventos, req.body.slug);
+      if (!podePublicar) {
+        evento.ativo = false;
+        evento.estadoRevisao = 'rascunho';
+      }
+      eventos.push(evento);
+      return evento;
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Evento criado com sucesso',
+      message: podePublicar
+        ? 'Evento criado com sucesso'
+        : 'Evento criado como rascunho; envie-o para revisão em /api/eventos/:id/review/submit',
       data: novoEvento
     });
   } catch (error) {
-    console.error('Erro ao criar evento:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
-// PUT /api/eventos/:id - Atualizar evento (Admin only)
-router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+// PUT /api/eventos/:id - Atualizar evento (eventos:write; evento ativo exige eventos:publish)
+// Em ocorrências de séries, ?escopo=seguintes|serie altera também as próximas ou todas (eventos:publish).
+router.put('/:id', authenticateToken, requirePermission('eventos:write'), validarCorpo(schemas.evento, { parcial: true }), async (req, res, next) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
-    
-    const eventos = await lerEventos();
-    const eventoIndex = eventos.findIndex(e => e.id === parseInt(id));
-    
-    if (eventoIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Evento não encontrado'
+    const escopo = escopoDaAlteracao(req.query.escopo);
+    exigirPublicacao(req);
+
+    if (escopo !== 'ocorrencia') {
+      // Alterar a série muda ocorrências no ar, como as rotas de /api/series
+      if (!req.user.permissoes.includes('eventos:publish')) {
+        throw new AppError(403, 'AUTH_FORBIDDEN', 'Acesso negado. Permissão necessária: eventos:publish');
+      }
+
+      const evento = await buscarEvento(id);
+      const anteriores = evento.serieId ? await storage.eventos.filtrar({ serieId: evento.serieId }) : [];
+      const { ocorrencias } = await alterarOcorrencias(evento, updateData, escopo);
+      await registrarVersoes('eventos', anteriores, ocorrencias, { por: req.user.id });
+
+      return res.json({
+        success: true,
+        message: 'Ocorrências atualizadas com sucesso',
+        data: ocorrencias.find(ocorrencia => ocorrencia.id === parseInt(id))
       });
     }
 
-    // Atualizar campos permitidos
-    const camposPermitidos = [
-      'titulo', 'descricao', 'data', 'local', 'participantes', 
-      'categoria', 'imagem', 'destaque', 'ativo'
-    ];
-    
-    camposPermitidos.forEach(campo => {
-      if (updateData[campo] !== undefined) {
-        eventos[eventoIndex][campo] = updateData[campo];
+    let anterior;
+    const eventoAtualizado = await storage.eventos.atualizar((eventos) => {
+      const evento = eventos.find(e => e.id === parseInt(id));
+      if (!evento) {
+        return null;
       }
-    });
-    
-    // Atualizar data formatada se a data foi alterada
-    if (updateData.data) {
-      eventos[eventoIndex].dataFormatada = new Date(updateData.data).toLocaleDateString('pt-BR', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
+      revisaoEventos.verificarEdicao(evento, req.user.permissoes);
+      anterior = { ...evento };
+
+      // Atualizar campos permitidos
+      const camposPermitidos = [
+        'titulo', 'descricao', 'data', 'horaInicio', 'horaFim', 'local', 'participantes', 
+        'categoria', 'imagem', 'destaque', 'ativo',
+        'inscricoesAbertas', 'capacidade', 'inscricoesInicio', 'inscricoesFim', 'cargaHoraria'
+      ];
+      
+      camposPermitidos.forEach(campo => {
+        if (updateData[campo] !== undefined) {
+          evento[campo] = updateData[campo];
+        }
       });
+      
+      // Atualizar data formatada se a data foi alterada
+      if (updateData.data) {
+        evento.dataFormatada = formatarData(updateData.data);
+      }
+
+      // Novo título gera novo slug; o anterior continua redirecionando
+      if (updateData.slug !== undefined || evento.titulo !== anterior.titulo) {
+        definirSlugDoEvento(evento, eventos, updateData.slug);
+      }
+
+      verificarPeriodoInscricoes(evento);
+      verificarHorario(evento);
+
+      if (evento.ativo) {
+        aprovarAoPublicar(evento, req.user.id);
+      }
+
+      // Desativar manda o evento para a lixeira; reativar o tira de lá
+      if (anterior.ativo && !evento.ativo) {
+        registrarExclusao(evento, req.user.id);
+      } else if (evento.ativo && evento.exclusao) {
+        evento.exclusao = null;
+      }
+      
+      // SEQUENCE do iCalendar: faz as agendas aplicarem a alteração
+      evento.sequencia = (evento.sequencia || 0) + 1;
+      evento.atualizadoEm = new Date().toISOString();
+      return evento;
+    });
+
+    if (!eventoAtualizado) {
+      throw new AppError(404, 'EVENT_NOT_FOUND', 'Evento não encontrado');
     }
-    
-    eventos[eventoIndex].atualizadoEm = new Date().toISOString();
-    
-    const salvou = await salvarEventos(eventos);
-    
-    if (!salvou) {
-      return res.status(500).json({
-        success: false,
-        message: 'Erro ao salvar alterações'
-      });
+
+    await registrarVersao('eventos', anterior, eventoAtualizado, { por: req.user.id });
+
+    // Vagas a mais (ou sem limite) confirmam quem está na lista de espera
+    if (updateData.capacidade !== undefined) {
+      await reavaliarListaDeEspera(eventoAtualizado);
+    }
+
+    // Ocorrência desativada ou reativada sozinha vira (ou deixa de ser) exceção da série
+    if (eventoAtualizado.serieId && updateData.ativo !== undefined) {
+      await marcarExcecao(eventoAtualizado.serieId, eventoAtualizado.dataOriginal, !eventoAtualizado.ativo);
     }
 
     res.json({
       success: true,
       message: 'Evento atualizado com sucesso',
-      data: eventos[eventoIndex]
+      data: eventoAtualizado
     });
   } catch (error) {
-    console.error('Erro ao atualizar evento:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
-// DELETE /api/eventos/:id - Excluir evento (Admin only)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+// DELETE /api/eventos/:id - Excluir evento (eventos:publish)
+// Em ocorrências de séries, ?escopo=seguintes|serie exclui também as próximas ou todas.
+router.delete('/:id', authenticateToken, requirePermission('eventos:publish'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const eventos = await lerEventos();
-    const eventoIndex = eventos.findIndex(e => e.id === parseInt(id));
-    
-    if (eventoIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Evento não encontrado'
+    const escopo = escopoDaAlteracao(req.query.escopo);
+
+    if (escopo !== 'ocorrencia') {
+      await excluirOcorrencias(await buscarEvento(id), escopo);
+
+      return res.json({
+        success: true,
+        message: 'Ocorrências excluídas com sucesso'
       });
     }
 
-    // Soft delete - marcar como inativo
-    eventos[eventoIndex].ativo = false;
-    eventos[eventoIndex].atualizadoEm = new Date().toISOString();
-    
-    const salvou = await salvarEventos(eventos);
+    const evento = await storage.eventos.atualizar((eventos) => {
+      const encontrado = eventos.find(e => e.id === parseInt(id));
+      if (!encontrado) {
+        return null;
+      }
+
+      // Soft delete - marcar como inativo e mandar para a lixeira (/api/admin/lixeira)
+      if (!encontrado.exclusao) {
+        registrarExclusao(encontrado, req.user.id);
+      }
+      encontrado.ativo = false;
+      encontrado.sequencia = (encontrado.sequencia || 0) + 1;
+      encontrado.atualizadoEm = new Date().toISOString();
+      return encontrado;
+    });
     
-    if (!salvou) {
-      return res.status(500).json({
-        success: false,
-        message: 'Erro ao excluir evento'
-      });
+    if (!evento) {
+      throw new AppError(404, 'EVENT_NOT_FOUND', 'Evento não encontrado');
+    }
+
+    if (evento.serieId) {
+      await marcarExcecao(evento.serieId, evento.dataOriginal, true);
     }
 
     res.json({
@@ -246,11 +324,52 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
       message: 'Evento excluído com sucesso'
     });
   } catch (error) {
-    console.error('Erro ao excluir evento:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
+    next(error);
+  }
+});
+
+// POST /api/eventos/:id/review/submit - Enviar rascunho para revisão (eventos:write)
+router.post('/:id/review/submit', authenticateToken, requirePermission('eventos:write'), validarCorpo(schemas.revisao), async (req, res, next) => {
+  try {
+    const evento = await revisaoEventos.enviar(parseInt(req.params.id), { ...req.body, por: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Evento enviado para revisão',
+      data: evento
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/eventos/:id/review/approve - Aprovar e publicar (eventos:publish)
+router.post('/:id/review/approve', authenticateToken, requirePermission('eventos:publish'), validarCorpo(schemas.revisao), async (req, res, next) => {
+  try {
+    const evento = await revisaoEventos.aprovar(parseInt(req.params.id), { ...req.body, por: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Evento aprovado e publicado',
+      data: evento
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/eventos/:id/review/reject - Rejeitar com comentário para o autor (eventos:publish)
+router.post('/:id/review/reject', authenticateToken, requirePermission('eventos:publish'), validarCorpo(schemas.revisao), async (req, res, next) => {
+  try {
+    const evento = await revisaoEventos.rejeitar(parseInt(req.params.id), { ...req.body, por: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Evento rejeitado',
+      data: evento
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -0,0 +1,16 @@
+// Prefixo de montagem de cada roteador da API.
+// server.js monta a partir desta lista e o teste da especificação OpenAPI a percorre.
+module.exports = [
+  ['/api/auth', require('./auth')],
+  ['/api/eventos', require('./eventos')],
+  ['/api/eventos', require('./inscricoes')],
+  ['/api/eventos', require('./versoes').eventos],
+  ['/api/series', require('./series')],
+  ['/api/certificados', require('./certificados')],
+  ['/api/noticias', require('./noticias')],
+  ['/api/noticias', require('./versoes').noticias],
+  ['/api/contatos', require('./contatos')],
+  ['/api/admins', require('./admins')],
+  ['/api/roles', require('./roles')],
+  ['/api/admin', require('./admin')]
+];
@@ -0,0 +1,296 @@
+const express = require('express');
+const storage = require('../storage');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
+const { AppError } = require('../utils/errors');
+const { validarCorpo } = require('../middlewares/validacao');
+const { gerarCsv } = require('../utils/csv');
+const schemas = require('../schemas');
+const {
+  STATUS,
+  porOrdemDeChegada,
+  resumo,
+  inscrever,
+  cancelar,
+  alterarStatus,
+  removerInscricao,
+  inscricaoPublica
+} = require('../services/inscricoes');
+const {
+  gerarIngresso,
+  lerIngresso,
+  urlIngresso,
+  gerarQrCode,
+  gerarQrCodeDataUrl,
+  registrarCheckin
+} = require('../services/ingressos');
+const {
+  certificadosDoEvento,
+  emitirCertificados,
+  gerarPdfs,
+  gerarZip,
+  certificadoPublico
+} = require('../services/certificados');
+
+// Montado em /api/eventos junto com o roteador de eventos
+const router = express.Router();
+
+const COLUNAS_EXPORTACAO = [
+  { campo: 'id', titulo: 'ID' },
+  { campo: 'nome', titulo: 'Nome' },
+  { campo: 'email', titulo: 'Email' },
+  { campo: 'curso', titulo: 'Curso' },
+  { campo: 'semestre', titulo: 'Semestre' },
+  { campo: 'status', titulo: 'Status' },
+  { campo: 'criadoEm', titulo: 'Inscrito em' },
+  { campo: 'promovidaEm', titulo: 'Promovido da espera em' },
+  { campo: 'canceladaEm', titulo: 'Cancelado em' },
+  { campo: 'checkinEm', titulo: 'Check-in em' }
+];
+
+const buscarEvento = async (id) => {
+  const evento = await storage.eventos.buscarPorId(parseInt(id));
+  if (!evento) {
+    throw new AppError(404, 'EVENT_NOT_FOUND', 'Evento não encontrado');
+  }
+  return evento;
+};
+
+// Inscrições do evento em ordem de chegada, opcionalmente filtradas por status
+const inscricoesDoEvento = async (eventoId, status) => {
+  const criterios = status ? { eventoId, status } : { eventoId };
+  return (await storage.inscricoes.filtrar(criterios)).sort(porOrdemDeChegada);
+};
+
+const validarStatus = (status, { obrigatorio = false } = {}) => {
+  if ((status !== undefined || obrigatorio) && !STATUS.includes(status)) {
+    throw new AppError(400, 'VALIDATION_FAILED', 'Dados inválidos', [
+      { campo: 'status', mensagem: `deve ser um dos valores: ${STATUS.join(', ')}` }
+    ]);
+  }
+};
+
+// POST /api/eventos/:id/inscricoes - Inscrever-se no evento (público)
+router.post('/:id/inscricoes', validarCorpo(schemas.inscricao), async (req, res, next) => {
+  try {
+    const { inscricao, token } = await inscrever(parseInt(req.params.id), req.body);
+
+    res.status(201).json({
+      success: true,
+      message: inscricao.status === 'confirmada'
+        ? 'Inscrição confirmada'
+        : 'Evento lotado: você está na lista de espera',
+      data: {
+        id: inscricao.id,
+        eventoId: inscricao.eventoId,
+        nome: inscricao.nome,
+        email: inscricao.email,
+        status: inscricao.status,
+        cancelToken: token,
+        ticket: inscricao.status === 'confirmada' ? gerarIngresso(inscricao) : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/eventos/:id/inscricoes/cancel - Cancelar a inscrição pelo token do email (público)
+router.post('/:id/inscricoes/cancel', async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      throw new AppError(400, 'RSVP_CANCEL_TOKEN_REQUIRED', 'Token de cancelamento é obrigatório');
+    }
+
+    await cancelar(parseInt(req.params.id), { token });
+
+    res.json({
+      success: true,
+      message: 'Inscrição cancelada com sucesso'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/eventos/:id/ticket - Imagem PNG do QR code de um ingresso (público; o ingresso é assinado)
+router.get('/:id/ticket', async (req, res, next) => {
+  try {
+    const dados = lerIngresso(req.query.token);
+    if (!dados || dados.eventoId !== parseInt(req.params.id)) {
+      throw new AppError(404, 'TICKET_NOT_FOUND', 'Ingresso não encontrado');
+    }
+
+    res.set('Content-Type', 'image/png');
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.send(await gerarQrCode(req.query.token));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/eventos/:id/checkin - Registrar a presença de quem apresentou o ingresso (checkin:write)
+router.post('/:id/checkin', authenticateToken, requirePermission('checkin:write'), async (req, res, next) => {
+  try {
+    const { ticket } = req.body;
+
+    if (!ticket || typeof ticket !== 'string') {
+      throw new AppError(400, 'CHECKIN_TICKET_REQUIRED', 'Ingresso é obrigatório');
+    }
+
+    const evento = await buscarEvento(req.params.id);
+    const inscricao = await registrarCheckin(evento.id, ticket, { registradoPor: req.user.id });
+
+    res.json({
+      success: true,
+      message: `Check-in de ${inscricao.nome} realizado`,
+      data: inscricaoPublica(inscricao)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/eventos/:id/inscricoes - Listar inscrições do evento (inscricoes:manage)
+router.get('/:id/inscricoes', authenticateToken, requirePermission('inscricoes:manage'), async (req, res, next) => {
+  try {
+    validarStatus(req.query.status);
+
+    const evento = await buscarEvento(req.params.id);
+    const inscricoes = await inscricoesDoEvento(evento.id, req.query.status);
+
+    res.json({
+      success: true,
+      data: inscricoes.map(inscricaoPublica),
+      total: inscricoes.length,
+      resumo: resumo(evento, await inscricoesDoEvento(evento.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/eventos/:id/inscricoes/export - Exportar inscrições em CSV (inscricoes:manage)
+router.get('/:id/inscricoes/export', authenticateToken, requirePermission('inscricoes:manage'), async (req, res, next) => {
+  try {
+    validarStatus(req.query.status);
+
+    const evento = await buscarEvento(req.params.id);
+    const inscricoes = await inscricoesDoEvento(evento.id, req.query.status);
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`inscricoes-evento-${evento.id}.csv`);
+    res.send(gerarCsv(COLUNAS_EXPORTACAO, inscricoes));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/eventos/:id/inscricoes/:inscricaoId/ticket - Ingresso de uma inscrição confirmada (inscricoes:manage)
+router.get('/:id/inscricoes/:inscricaoId/ticket', authenticateToken, requirePermission('inscricoes:manage'), async (req, res, next) => {
+  try {
+    const inscricao = await storage.inscricoes.buscarPorId(parseInt(req.params.inscricaoId));
+    if (!inscricao || inscricao.eventoId !== parseInt(req.params.id)) {
+      throw new AppError(404, 'RSVP_NOT_FOUND', 'Inscrição não encontrada');
+    }
+    if (inscricao.status !== 'confirmada') {
+      throw new AppError(400, 'RSVP_NOT_CONFIRMED', 'Só inscrições confirmadas têm ingresso');
+    }
+
+    const ticket = gerarIngresso(inscricao);
+
+    res.json({
+      success: true,
+      data: {
+        ticket,
+        url: urlIngresso(ticket),
+        qrCode: await gerarQrCodeDataUrl(ticket)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/eventos/:id/certificados - Certificados já emitidos (inscricoes:manage)
+router.get('/:id/certificados', authenticateToken, requirePermission('inscricoes:manage'), async (req, res, next) => {
+  try {
+    const evento = await buscarEvento(req.params.id);
+    const certificados = await certificadosDoEvento(evento.id);
+
+    res.json({
+      success: true,
+      data: certificados.map(certificadoPublico),
+      total: certificados.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/eventos/:id/certificados - Emitir os certificados de quem fez check-in (inscricoes:manage)
+router.post('/:id/certificados', authenticateToken, requirePermission('inscricoes:manage'), async (req, res, next) => {
+  try {
+    const evento = await buscarEvento(req.params.id);
+    const certificados = await emitirCertificados(evento, { emitidoPor: req.user.id });
+
+    res.json({
+      success: true,
+      message: `${certificados.length} certificado(s) emitido(s)`,
+      data: certificados.map(certificadoPublico),
+      total: certificados.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/eventos/:id/certificados/zip - Emitir os que faltam e baixar todos os PDFs em ZIP (inscricoes:manage)
+router.get('/:id/certificados/zip', authenticateToken, requirePermission('inscricoes:manage'), async (req, res, next) => {
+  try {
+    const evento = await buscarEvento(req.params.id);
+    const certificados = await emitirCertificados(evento, { emitidoPor: req.user.id });
+    const pdfs = await gerarPdfs(certificados);
+
+    res.set('Content-Type', 'application/zip');
+    res.attachment(`certificados-evento-${evento.id}.zip`);
+    await gerarZip(pdfs, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/eventos/:id/inscricoes/:inscricaoId - Alterar o status de uma inscrição (inscricoes:manage)
+router.put('/:id/inscricoes/:inscricaoId', authenticateToken, requirePermission('inscricoes:manage'), async (req, res, next) => {
+  try {
+    const { status } = req.body;
+    validarStatus(status, { obrigatorio: true });
+
+    const inscricao = await alterarStatus(parseInt(req.params.id), parseInt(req.params.inscricaoId), status);
+
+    res.json({
+      success: true,
+      message: 'Inscrição atualizada com sucesso',
+      data: inscricaoPublica(inscricao)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/eventos/:id/inscricoes/:inscricaoId - Excluir uma inscrição (inscricoes:manage)
+router.delete('/:id/inscricoes/:inscricaoId', authenticateToken, requirePermission('inscricoes:manage'), async (req, res, next) => {
+  try {
+    await removerInscricao(parseInt(req.params.id), parseInt(req.params.inscricaoId));
+
+    res.json({
+      success: true,
+      message: 'Inscrição excluída com sucesso'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
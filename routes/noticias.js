@@ -1,100 +1,84 @@
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
-const { authenticateToken, requireAdmin } = require('../middlewares/auth');
+const storage = require('../storage');
+const { formatarData } = require('../utils/datas');
+const { consultaListagem, aplicarConsulta } = require('../utils/listagem');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
+const { AppError } = require('../utils/errors');
+const { validarCorpo } = require('../middlewares/validacao');
+const schemas = require('../schemas');
+const {
+  noticiaAtual,
+  noticiasPublicadas,
+  definirStatus,
+  definirSlugDaNoticia,
+  publicarSeVencida,
+  revisaoNoticias
+} = require('../services/noticias');
+const { aprovarAoPublicar } = require('../services/revisao');
+const { registrarVersao } = require('../services/versoes');
+const { registrarExclusao } = require('../services/lixeira');
+const { resolverSlug, redirecionarParaSlug } = require('../utils/slug');
 const router = express.Router();
 
-const NOTICIAS_FILE = path.join(__dirname, '../data/noticias.json');
-
-// Função para ler notícias do arquivo
-const lerNoticias = async () => {
-  try {
-    const data = await fs.readFile(NOTICIAS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Erro ao ler notícias:', error);
-    
-    // Se o arquivo não existe, criar com dados padrão
-    const noticiasDefault = [];
-    try {
-      await fs.writeFile(NOTICIAS_FILE, JSON.stringify(noticiasDefault, null, 2));
-    } catch (writeError) {
-      console.error('Erro ao criar arquivo de notícias:', writeError);
-    }
-    
-    return noticiasDefault;
+// Mudar status, agendamento ou destaque exige noticias:publish
+const exigirPublicacao = (req, campos) => {
+  const alteraPublicacao = campos.some(campo => req.body[campo] !== undefined);
+  if (alteraPublicacao && !req.user.permissoes.includes('noticias:publish')) {
+    throw new AppError(403, 'AUTH_FORBIDDEN', 'Acesso negado. Permissão necessária: noticias:publish');
   }
 };
 
-// Função para salvar notícias no arquivo
-const salvarNoticias = async (noticias) => {
+// GET /api/noticias - Listar notícias publicadas (mais recentes primeiro, salvo ?sort=)
+router.get('/', consultaListagem({
+  filtros: { categoria: 'texto', destaque: 'booleano', autor: 'texto' },
+  ordenacaoPadrao: '-data'
+}), async (req, res, next) => {
   try {
-    await fs.writeFile(NOTICIAS_FILE, JSON.stringify(noticias, null, 2));
-    return true;
-  } catch (error) {
-    console.error('Erro ao salvar notícias:', error);
-    return false;
-  }
-};
-
-// GET /api/noticias - Listar todas as notícias públicas
-router.get('/', async (req, res) => {
-  try {
-    const noticias = await lerNoticias();
-    const noticiasPublicas = noticias.filter(noticia => noticia.ativo);
-    
-    // Ordenar por data (mais recentes primeiro)
-    noticiasPublicas.sort((a, b) => new Date(b.data) - new Date(a.data));
+    const noticiasPublicas = noticiasPublicadas(await storage.noticias.filtrar(req.consulta.criterios));
+    const { data, total, paginacao } = aplicarConsulta(noticiasPublicas, req.consulta);
     
     res.json({
       success: true,
-      data: noticiasPublicas,
-      total: noticiasPublicas.length
+      data,
+      total,
+      paginacao
     });
   } catch (error) {
-    console.error('Erro ao buscar notícias:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
 // GET /api/noticias/destaques - Listar notícias em destaque
-router.get('/destaques', async (req, res) => {
+router.get('/destaques', consultaListagem({
+  filtros: { categoria: 'texto', autor: 'texto' },
+  ordenacaoPadrao: '-data'
+}), async (req, res, next) => {
   try {
-    const noticias = await lerNoticias();
-    const noticiasDestaque = noticias.filter(noticia => noticia.ativo && noticia.destaque);
-    
-    // Ordenar por data (mais recentes primeiro)
-    noticiasDestaque.sort((a, b) => new Date(b.data) - new Date(a.data));
+    const noticiasDestaque = noticiasPublicadas(await storage.noticias.filtrar({ ...req.consulta.criterios, destaque: true }));
+    const { data, total, paginacao } = aplicarConsulta(noticiasDestaque, req.consulta);
     
     res.json({
       success: true,
-      data: noticiasDestaque,
-      total: noticiasDestaque.length
+      data,
+      total,
+      paginacao
     });
   } catch (error) {
-    console.error('Erro ao buscar notícias em destaque:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
-// GET /api/noticias/:id - Buscar notícia específica
-router.get('/:id', async (req, res) => {
+// GET /api/noticias/:id - Buscar notícia publicada pelo ID ou slug (slug anterior redireciona com 301)
+router.get('/:id', async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const noticias = await lerNoticias();
-    const noticia = noticias.find(n => n.id === parseInt(id) && n.ativo);
+    const { registro: encontrada, antigo } = resolverSlug(await storage.noticias.ler(), req.params.id);
+    const noticia = encontrada && noticiaAtual(encontrada);
     
-    if (!noticia) {
-      return res.status(404).json({
-        success: false,
-        message: 'Notícia não encontrada'
-      });
+    if (!noticia || noticia.status !== 'publicado') {
+      throw new AppError(404, 'NEWS_NOT_FOUND', 'Notícia não encontrada');
+    }
+    if (antigo) {
+      return redirecionarParaSlug(req, res, noticia.slug);
     }
     
     res.json({
@@ -102,16 +86,12 @@ router.get('/:id', async (req, res) => {
       data: noticia
     });
   } catch (error) {
-    console.error('Erro ao buscar notícia:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
-// POST /api/noticias - Criar nova notícia (Admin only)
-router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+// POST /api/noticias - Criar nova notícia (noticias:write)
+router.post('/', authenticateToken, requirePermission('noticias:write'), validarCorpo(schemas.noticia), async (req, res, next) => {
   try {
     const {
       titulo,
@@ -122,153 +102,155 @@ router.post('/', authenticateToken, requireAdmin, async (req, res) => {
       categoria,
       imagem,
       link,
-      destaque = false
+      destaque = false,
+      status = 'rascunho',
+      publicarEm
     } = req.body;
 
-    if (!titulo || !resumo || !conteudo || !autor || !categoria) {
-      return res.status(400).json({
-        success: false,
-        message: 'Campos obrigatórios: titulo, resumo, conteudo, autor, categoria'
-      });
+    // Sem noticias:publish a notícia só pode nascer como rascunho, aguardando quem possa publicá-la
+    if (status !== 'rascunho' || destaque) {
+      exigirPublicacao(req, ['status', 'destaque']);
     }
 
-    const noticias = await lerNoticias();
-    const novoId = Math.max(...noticias.map(n => n.id), 0) + 1;
-    
-    const dataNoticia = data || new Date().toISOString().split('T')[0];
-    
-    const novaNoticia = {
-      id: novoId,
-      titulo,
-      resumo,
-      conteudo,
-      data: dataNoticia,
-      dataFormatada: new Date(dataNoticia).toLocaleDateString('pt-BR', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      }),
-      autor,
-      categoria,
-      imagem: imagem || 'https://images.unsplash.com/photo-1639762681485-074b7f938ba0?ixlib=rb-4.0.3&auto=format&fit=crop&w=1000&q=80',
-      link: link || '#',
-      destaque,
-      ativo: true,
-      criadoEm: new Date().toISOString(),
-      atualizadoEm: new Date().toISOString()
-    };
+    // Rascunho de quem não publica entra no fluxo de revisão (POST /api/noticias/:id/review/submit)
+    const podePublicar = req.user.permissoes.includes('noticias:publish');
 
-    noticias.push(novaNoticia);
-    const salvou = await salvarNoticias(noticias);
-    
-    if (!salvou) {
-      return res.status(500).json({
-        success: false,
-        message: 'Erro ao salvar notícia'
-      });
-    }
+    // Sem data explícita vale o dia da publicação agendada (ou hoje)
+    const dataNoticia = data || (publicarEm ? new Date(publicarEm) : new Date()).toISOString().split('T')[0];
+
+    const novaNoticia = await storage.noticias.atualizar((noticias) => {
+      const novoId = Math.max(...noticias.map(n => n.id), 0) + 1;
+
+      const noticia = {
+        id: novoId,
+        titulo,
+        slug: null,
+        slugsAnteriores: [],
+        resumo,
+        conteudo,
+        data: dataNoticia,
+        dataFormatada: formatarData(dataNoticia),
+        autor,
+        categoria,
+        imagem: imagem || 'https://images.unsplash.com/photo-1639762681485-074b7f938ba0?ixlib=rb-4.0.3&auto=format&fit=crop&w=1000&q=80',
+        link: link || '#',
+        destaque,
+        status: 'rascunho',
+        publicarEm: null,
+        publicadoEm: null,
+        estadoRevisao: podePublicar ? null : 'rascunho',
+        criadoEm: new Date().toISOString(),
+        atualizadoEm: new Date().toISOString()
+      };
+      definirStatus(noticia, { status, publicarEm });
+      definirSlugDaNoticia(noticia, noticias, req.body.slug);
+
+      noticias.push(noticia);
+      return noticia;
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Notícia criada com sucesso',
+      message: novaNoticia.status === 'rascunho' ? 'Rascunho criado com sucesso' : 'Notícia criada com sucesso',
       data: novaNoticia
     });
   } catch (error) {
-    console.error('Erro ao criar notícia:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
-// PUT /api/noticias/:id - Atualizar notícia (Admin only)
-router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+// PUT /api/noticias/:id - Atualizar notícia (noticias:write; publicada ou agendada exige noticias:publish)
+router.put('/:id', authenticateToken, requirePermission('noticias:write'), validarCorpo(schemas.noticia, { parcial: true }), async (req, res, next) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
+
+    exigirPublicacao(req, ['status', 'publicarEm', 'destaque']);
+    let anterior;
     
-    const noticias = await lerNoticias();
-    const noticiaIndex = noticias.findIndex(n => n.id === parseInt(id));
-    
-    if (noticiaIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Notícia não encontrada'
+    const noticiaAtualizada = await storage.noticias.atualizar((noticias) => {
+      const noticia = noticias.find(n => n.id === parseInt(id));
+      if (!noticia) {
+        return null;
+      }
+
+      // Uma agendada que já venceu é editada como publicada
+      const agora = new Date();
+      publicarSeVencida(noticia, agora);
+      revisaoNoticias.verificarEdicao(noticia, req.user.permissoes);
+      anterior = { ...noticia };
+      if (updateData.status !== undefined || updateData.publicarEm !== undefined) {
+        definirStatus(noticia, updateData, agora);
+        if (noticia.status !== 'rascunho') {
+          aprovarAoPublicar(noticia, req.user.id, agora);
+        }
+      }
+
+      // Atualizar campos permitidos
+      const camposPermitidos = [
+        'titulo', 'resumo', 'conteudo', 'data', 'autor', 
+        'categoria', 'imagem', 'link', 'destaque'
+      ];
+      
+      camposPermitidos.forEach(campo => {
+        if (updateData[campo] !== undefined) {
+          noticia[campo] = updateData[campo];
+        }
       });
-    }
+      
+      // Atualizar data formatada se a data foi alterada
+      if (updateData.data) {
+        noticia.dataFormatada = formatarData(updateData.data);
+      }
 
-    // Atualizar campos permitidos
-    const camposPermitidos = [
-      'titulo', 'resumo', 'conteudo', 'data', 'autor', 
-      'categoria', 'imagem', 'link', 'destaque', 'ativo'
-    ];
-    
-    camposPermitidos.forEach(campo => {
-      if (updateData[campo] !== undefined) {
-        noticias[noticiaIndex][campo] = updateData[campo];
+      // Novo título gera novo slug; o anterior continua redirecionando
+      if (updateData.slug !== undefined || noticia.titulo !== anterior.titulo) {
+        definirSlugDaNoticia(noticia, noticias, updateData.slug);
       }
+      
+      noticia.atualizadoEm = new Date().toISOString();
+      return noticia;
     });
-    
-    // Atualizar data formatada se a data foi alterada
-    if (updateData.data) {
-      noticias[noticiaIndex].dataFormatada = new Date(updateData.data).toLocaleDateString('pt-BR', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      });
-    }
-    
-    noticias[noticiaIndex].atualizadoEm = new Date().toISOString();
-    
-    const salvou = await salvarNoticias(noticias);
-    
-    if (!salvou) {
-      return res.status(500).json({
-        success: false,
-        message: 'Erro ao salvar alterações'
-      });
+
+    if (!noticiaAtualizada) {
+      throw new AppError(404, 'NEWS_NOT_FOUND', 'Notícia não encontrada');
     }
 
+    await registrarVersao('noticias', anterior, noticiaAtualizada, { por: req.user.id });
+
     res.json({
       success: true,
       message: 'Notícia atualizada com sucesso',
-      data: noticias[noticiaIndex]
+      data: noticiaAtualizada
     });
   } catch (error) {
-    console.error('Erro ao atualizar notícia:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
+    next(error);
   }
 });
 
-// DELETE /api/noticias/:id - Excluir notícia (Admin only)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+// DELETE /api/noticias/:id - Excluir notícia, movendo-a para a lixeira (noticias:publish)
+router.delete('/:id', authenticateToken, requirePermission('noticias:publish'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const noticias = await lerNoticias();
-    const noticiaIndex = noticias.findIndex(n => n.id === parseInt(id));
-    
-    if (noticiaIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Notícia não encontrada'
-      });
-    }
+    const noticia = await storage.noticias.atualizar((noticias) => {
+      const encontrada = noticias.find(n => n.id === parseInt(id));
+      if (!encontrada) {
+        return null;
+      }
 
-    // Soft delete - marcar como inativa
-    noticias[noticiaIndex].ativo = false;
-    noticias[noticiaIndex].atualizadoEm = new Date().toISOString();
-    
-    const salvou = await salvarNoticias(noticias);
+      // Soft delete - a notícia sai do site e fica na lixeira (/api/admin/lixeira), que guarda o status
+      // anterior para a restauração
+      if (!encontrada.exclusao) {
+        publicarSeVencida(encontrada);
+        registrarExclusao(encontrada, req.user.id, { status: encontrada.status, publicarEm: encontrada.publicarEm });
+      }
+      definirStatus(encontrada, { status: 'arquivado' });
+      encontrada.atualizadoEm = new Date().toISOString();
+      return encontrada;
+    });
     
-    if (!salvou) {
-      return res.status(500).json({
-        success: false,
-        message: 'Erro ao excluir notícia'
-      });
+    if (!noticia) {
+      throw new AppError(404, 'NEWS_NOT_FOUND', 'Notícia não encontrada');
     }
 
     res.json({
@@ -276,11 +258,52 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
       message: 'Notícia excluída com sucesso'
     });
   } catch (error) {
-    console.error('Erro ao excluir notícia:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
+    next(error);
+  }
+});
+
+// POST /api/noticias/:id/review/submit - Enviar rascunho para revisão (noticias:write)
+router.post('/:id/review/submit', authenticateToken, requirePermission('noticias:write'), validarCorpo(schemas.revisao), async (req, res, next) => {
+  try {
+    const noticia = await revisaoNoticias.enviar(parseInt(req.params.id), { ...req.body, por: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Notícia enviada para revisão',
+      data: noticia
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/noticias/:id/review/approve - Aprovar e publicar (ou agendar com publicarEm) (noticias:publish)
+router.post('/:id/review/approve', authenticateToken, requirePermission('noticias:publish'), validarCorpo(schemas.revisao), async (req, res, next) => {
+  try {
+    const noticia = await revisaoNoticias.aprovar(parseInt(req.params.id), { ...req.body, por: req.user.id });
+
+    res.json({
+      success: true,
+      message: noticia.status === 'agendado' ? 'Notícia aprovada e agendada' : 'Notícia aprovada e publicada',
+      data: noticia
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/noticias/:id/review/reject - Rejeitar com comentário para o autor (noticias:publish)
+router.post('/:id/review/reject', authenticateToken, requirePermission('noticias:publish'), validarCorpo(schemas.revisao), async (req, res, next) => {
+  try {
+    const noticia = await revisaoNoticias.rejeitar(parseInt(req.params.id), { ...req.body, por: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Notícia rejeitada',
+      data: noticia
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -0,0 +1,162 @@
+const express = require('express');
+const storage = require('../storage');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
+const { AppError } = require('../utils/errors');
+const { validarCorpo } = require('../middlewares/validacao');
+const { PERMISSOES, TODAS } = require('../utils/permissoes');
+const schemas = require('../schemas');
+
+const router = express.Router();
+
+// Ninguém concede a um papel permissões que não tem
+const verificarPermissoesAoAlcance = (permissoes, usuario) => {
+  const excedentes = permissoes.filter(permissao => !usuario.permissoes.includes(permissao));
+  if (excedentes.length) {
+    throw new AppError(403, 'AUTH_FORBIDDEN', `Você não pode conceder permissões que não tem: ${excedentes.join(', ')}`);
+  }
+};
+
+// GET /api/roles - Listar papéis e quantos administradores usam cada um
+router.get('/', authenticateToken, async (req, res, next) => {
+  try {
+    const [roles, admins] = await Promise.all([storage.roles.ler(), storage.admins.ler()]);
+
+    const data = roles.map(role => ({
+      ...role,
+      totalAdmins: admins.filter(admin => admin.role === role.id).length
+    }));
+
+    res.json({
+      success: true,
+      data,
+      total: data.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/roles/permissions - Catálogo de permissões disponíveis
+router.get('/permissions', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(PERMISSOES).map(([id, descricao]) => ({ id, descricao }))
+  });
+});
+
+// POST /api/roles - Criar papel (roles:manage)
+router.post('/', authenticateToken, requirePermission('roles:manage'), validarCorpo(schemas.role), async (req, res, next) => {
+  try {
+    const { id, nome, descricao = '', permissoes } = req.body;
+    const permissoesUnicas = [...new Set(permissoes)];
+
+    verificarPermissoesAoAlcance(permissoesUnicas, req.user);
+
+    const novoRole = await storage.roles.atualizar((roles) => {
+      if (roles.some(role => role.id === id)) {
+        throw new AppError(400, 'ROLE_ID_TAKEN', 'Já existe um papel com este identificador');
+      }
+
+      const role = {
+        id,
+        nome,
+        descricao,
+        permissoes: permissoesUnicas,
+        sistema: false,
+        criadoEm: new Date().toISOString(),
+        atualizadoEm: new Date().toISOString()
+      };
+
+      roles.push(role);
+      return role;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Papel criado com sucesso',
+      data: novoRole
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/roles/:id - Atualizar papel (roles:manage)
+router.put('/:id', authenticateToken, requirePermission('roles:manage'), validarCorpo(schemas.role, { parcial: true }), async (req, res, next) => {
+  try {
+    const { nome, descricao, permissoes } = req.body;
+    const permissoesUnicas = permissoes && [...new Set(permissoes)];
+
+    if (permissoesUnicas) {
+      verificarPermissoesAoAlcance(permissoesUnicas, req.user);
+    }
+
+    const roleAtualizado = await storage.roles.atualizar((roles) => {
+      const role = roles.find(r => r.id === req.params.id);
+
+      if (!role) {
+        throw new AppError(404, 'ROLE_NOT_FOUND', 'Papel não encontrado');
+      }
+
+      // O papel com acesso total não pode ser alterado, para não trancar o painel
+      if (role.permissoes.includes(TODAS)) {
+        throw new AppError(400, 'ROLE_PROTECTED', 'Este papel não pode ser alterado');
+      }
+
+      if (nome) role.nome = nome;
+      if (descricao !== undefined) role.descricao = descricao;
+      if (permissoesUnicas) role.permissoes = permissoesUnicas;
+
+      role.atualizadoEm = new Date().toISOString();
+      return role;
+    });
+
+    res.json({
+      success: true,
+      message: 'Papel atualizado com sucesso',
+      data: roleAtualizado
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/roles/:id - Excluir papel sem administradores (roles:manage)
+router.delete('/:id', authenticateToken, requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const admins = await storage.admins.filtrar({ role: id });
+    if (admins.length) {
+      throw new AppError(400, 'ROLE_IN_USE', `Há ${admins.length} administrador(es) com este papel`);
+    }
+
+    await storage.roles.atualizar((roles) => {
+      const indice = roles.findIndex(role => role.id === id);
+
+      if (indice === -1) {
+        throw new AppError(404, 'ROLE_NOT_FOUND', 'Papel não encontrado');
+      }
+
+      if (roles[indice].sistema) {
+        throw new AppError(400, 'ROLE_PROTECTED', 'Papéis do sistema não podem ser excluídos');
+      }
+
+      roles.splice(indice, 1);
+    });
+
+    // Remover o papel da política de 2FA
+    await storage.configuracoes.atualizar((configuracoes) => {
+      configuracoes.doisFatoresObrigatorio = (configuracoes.doisFatoresObrigatorio || []).filter(role => role !== id);
+    });
+
+    res.json({
+      success: true,
+      message: 'Papel excluído com sucesso'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const storage = require('../storage');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
+const { AppError } = require('../utils/errors');
+const { validarCorpo } = require('../middlewares/validacao');
+const schemas = require('../schemas');
+const {
+  criarSerie,
+  atualizarSerie,
+  excluirSerie,
+  comOcorrencias
+} = require('../services/series');
+const { registrarVersoes } = require('../services/versoes');
+
+// Séries de eventos recorrentes; cada ocorrência também é um evento em /api/eventos
+const router = express.Router();
+
+// GET /api/series - Listar séries ativas com as ocorrências
+router.get('/', async (req, res, next) => {
+  try {
+    const [series, eventos] = await Promise.all([
+      storage.series.filtrar({ ativo: true }),
+      storage.eventos.ler()
+    ]);
+
+    res.json({
+      success: true,
+      data: series.map(serie => comOcorrencias(serie, eventos)),
+      total: series.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/series/:id - Buscar série com as ocorrências
+router.get('/:id', async (req, res, next) => {
+  try {
+    const serie = await storage.series.buscarPorId(parseInt(req.params.id));
+
+    if (!serie || !serie.ativo) {
+      throw new AppError(404, 'SERIES_NOT_FOUND', 'Série não encontrada');
+    }
+
+    res.json({
+      success: true,
+      data: comOcorrencias(serie, await storage.eventos.filtrar({ serieId: serie.id }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/series - Criar série e gerar as ocorrências (eventos:publish)
+router.post('/', authenticateToken, requirePermission('eventos:publish'), validarCorpo(schemas.serie), async (req, res, next) => {
+  try {
+    const { serie, ocorrencias } = await criarSerie(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: `Série criada com ${ocorrencias.length} ocorrência(s)`,
+      data: comOcorrencias(serie, ocorrencias)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/series/:id - Alterar a série inteira: modelo, regra e exceções (eventos:publish)
+router.put('/:id', authenticateToken, requirePermission('eventos:publish'), validarCorpo(schemas.serie, { parcial: true }), async (req, res, next) => {
+  try {
+    const anteriores = await storage.eventos.filtrar({ serieId: parseInt(req.params.id) });
+    const { serie, ocorrencias } = await atualizarSerie(parseInt(req.params.id), req.body);
+    await registrarVersoes('eventos', anteriores, ocorrencias, { por: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Série atualizada com sucesso',
+      data: comOcorrencias(serie, ocorrencias)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/series/:id - Excluir a série e todas as ocorrências (eventos:publish)
+router.delete('/:id', authenticateToken, requirePermission('eventos:publish'), async (req, res, next) => {
+  try {
+    await excluirSerie(parseInt(req.params.id));
+
+    res.json({
+      success: true,
+      message: 'Série excluída com sucesso'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
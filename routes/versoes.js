@@ -0,0 +1,100 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
+const { AppError } = require('../utils/errors');
+const {
+  listarVersoes,
+  buscarVersao,
+  compararVersoes,
+  restaurarVersao
+} = require('../services/versoes');
+
+// Número de versão na URL ou na query; "atual" (quando aceito) é o registro como está agora
+const numeroDaVersao = (valor, campo, { aceitaAtual = false } = {}) => {
+  if (aceitaAtual && valor === 'atual') {
+    return valor;
+  }
+
+  const numero = Number(valor);
+  if (!Number.isInteger(numero) || numero < 1) {
+    throw new AppError(400, 'VALIDATION_FAILED', 'Dados inválidos', [
+      { campo, mensagem: aceitaAtual ? 'deve ser o número de uma versão ou "atual"' : 'deve ser o número de uma versão' }
+    ]);
+  }
+  return numero;
+};
+
+// Histórico de versões de uma coleção, montado no mesmo prefixo das rotas dela (ver routes/index.js)
+const criarRotasVersoes = ({ colecao, permissao }) => {
+  const router = express.Router();
+  const protegida = [authenticateToken, requirePermission(permissao)];
+
+  // GET /:id/versoes - Listar versões anteriores (mais recentes primeiro)
+  router.get('/:id/versoes', ...protegida, async (req, res, next) => {
+    try {
+      const versoes = await listarVersoes(colecao, parseInt(req.params.id));
+
+      res.json({
+        success: true,
+        data: versoes,
+        total: versoes.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /:id/versoes/diff?de=&para= - Diferenças campo a campo entre duas versões (para padrão: atual)
+  router.get('/:id/versoes/diff', ...protegida, async (req, res, next) => {
+    try {
+      const de = numeroDaVersao(req.query.de, 'de', { aceitaAtual: true });
+      const para = numeroDaVersao(req.query.para || 'atual', 'para', { aceitaAtual: true });
+
+      res.json({
+        success: true,
+        data: await compararVersoes(colecao, parseInt(req.params.id), de, para)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /:id/versoes/:numero - Buscar versão com o conteúdo completo
+  router.get('/:id/versoes/:numero', ...protegida, async (req, res, next) => {
+    try {
+      const numero = numeroDaVersao(req.params.numero, 'numero');
+
+      res.json({
+        success: true,
+        data: await buscarVersao(colecao, parseInt(req.params.id), numero)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /:id/versoes/:numero/restore - Restaurar o conteúdo de uma versão (registro no ar exige a permissão de publicar)
+  router.post('/:id/versoes/:numero/restore', ...protegida, async (req, res, next) => {
+    try {
+      const numero = numeroDaVersao(req.params.numero, 'numero');
+      const registro = await restaurarVersao(colecao, parseInt(req.params.id), numero, {
+        por: req.user.id,
+        permissoes: req.user.permissoes
+      });
+
+      res.json({
+        success: true,
+        message: `Versão ${numero} restaurada com sucesso`,
+        data: registro
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  eventos: criarRotasVersoes({ colecao: 'eventos', permissao: 'eventos:write' }),
+  noticias: criarRotasVersoes({ colecao: 'noticias', permissao: 'noticias:write' })
+};
@@ -0,0 +1,9 @@
+// Schema do aceite de convite em POST /api/auth/accept-invite
+module.exports = {
+  nome: 'AceiteConvite',
+  campos: {
+    token: { tipo: 'string', obrigatorio: true, max: 200 },
+    password: { tipo: 'string', obrigatorio: true, min: 8, max: 200 },
+    nome: { tipo: 'string', min: 2, max: 150 }
+  }
+};
@@ -0,0 +1,11 @@
+// Schema de administrador usado em PUT /api/admins/:id
+// (novos administradores entram por convite; ver schemas/convite.js)
+module.exports = {
+  nome: 'Admin',
+  campos: {
+    nome: { tipo: 'string', obrigatorio: true, min: 2, max: 150 },
+    email: { tipo: 'string', formato: 'email', obrigatorio: true, max: 254 },
+    role: { tipo: 'string', formato: 'slug', max: 50 },
+    ativo: { tipo: 'boolean' }
+  }
+};
@@ -0,0 +1,20 @@
+// Schema da chave de API em POST /api/admins/api-keys
+const { PERMISSOES } = require('../utils/permissoes');
+
+// Gestão de administradores e papéis fica restrita a pessoas logadas
+const PERMISSOES_CONCEDIVEIS = Object.keys(PERMISSOES).filter(permissao => !['admins:manage', 'roles:manage'].includes(permissao));
+
+module.exports = {
+  nome: 'ChaveApi',
+  campos: {
+    nome: { tipo: 'string', obrigatorio: true, min: 2, max: 100 },
+    permissoes: {
+      tipo: 'array',
+      obrigatorio: true,
+      min: 1,
+      max: PERMISSOES_CONCEDIVEIS.length,
+      itens: { tipo: 'string', valores: PERMISSOES_CONCEDIVEIS }
+    },
+    expiraEm: { tipo: 'string', formato: 'date' }
+  }
+};
@@ -0,0 +1,18 @@
+// Schema das informações de contato usado em PUT /api/contatos
+module.exports = {
+  nome: 'Contatos',
+  campos: {
+    email: { tipo: 'string', formato: 'email', obrigatorio: true, max: 254 },
+    telefone: { tipo: 'string', obrigatorio: true, max: 50 },
+    endereco: { tipo: 'string', obrigatorio: true, max: 300 },
+    horarioFuncionamento: { tipo: 'string', max: 200 },
+    redesSociais: {
+      tipo: 'object',
+      campos: {
+        linkedin: { tipo: 'string', formato: 'uri', max: 500 },
+        instagram: { tipo: 'string', formato: 'uri', max: 500 },
+        twitter: { tipo: 'string', formato: 'uri', max: 500 }
+      }
+    }
+  }
+};
@@ -0,0 +1,9 @@
+// Schema do convite de administrador em POST /api/admins
+module.exports = {
+  nome: 'Convite',
+  campos: {
+    email: { tipo: 'string', formato: 'email', obrigatorio: true, max: 254 },
+    nome: { tipo: 'string', min: 2, max: 150 },
+    role: { tipo: 'string', formato: 'slug', max: 50 }
+  }
+};
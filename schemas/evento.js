@@ -0,0 +1,23 @@
+// Schema de evento usado em POST /api/eventos e PUT /api/eventos/:id
+module.exports = {
+  nome: 'Evento',
+  campos: {
+    titulo: { tipo: 'string', obrigatorio: true, min: 3, max: 200 },
+    slug: { tipo: 'string', formato: 'slug', max: 100 },
+    descricao: { tipo: 'string', obrigatorio: true, max: 5000 },
+    data: { tipo: 'string', formato: 'date', obrigatorio: true },
+    horaInicio: { tipo: 'string', formato: 'hora', nulo: true },
+    horaFim: { tipo: 'string', formato: 'hora', nulo: true },
+    local: { tipo: 'string', obrigatorio: true, max: 200 },
+    participantes: { tipo: 'string', max: 50 },
+    categoria: { tipo: 'string', obrigatorio: true, max: 100 },
+    imagem: { tipo: 'string', formato: 'uri', max: 2000 },
+    destaque: { tipo: 'boolean' },
+    ativo: { tipo: 'boolean' },
+    inscricoesAbertas: { tipo: 'boolean' },
+    capacidade: { tipo: 'integer', min: 1, max: 100000, nulo: true },
+    inscricoesInicio: { tipo: 'string', formato: 'date', nulo: true },
+    inscricoesFim: { tipo: 'string', formato: 'date', nulo: true },
+    cargaHoraria: { tipo: 'integer', min: 1, max: 200, nulo: true }
+  }
+};
@@ -0,0 +1,16 @@
+module.exports = {
+  evento: require('./evento'),
+  noticia: require('./noticia'),
+  contatos: require('./contatos'),
+  mensagem: require('./mensagem'),
+  admin: require('./admin'),
+  senha: require('./senha'),
+  politicaDoisFatores: require('./politicaDoisFatores'),
+  role: require('./role'),
+  convite: require('./convite'),
+  aceiteConvite: require('./aceiteConvite'),
+  chaveApi: require('./chaveApi'),
+  inscricao: require('./inscricao'),
+  serie: require('./serie'),
+  revisao: require('./revisao')
+};
@@ -0,0 +1,10 @@
+// Schema da inscrição pública em POST /api/eventos/:id/inscricoes
+module.exports = {
+  nome: 'Inscricao',
+  campos: {
+    nome: { tipo: 'string', obrigatorio: true, min: 2, max: 150 },
+    email: { tipo: 'string', formato: 'email', obrigatorio: true, max: 254 },
+    curso: { tipo: 'string', obrigatorio: true, min: 2, max: 100 },
+    semestre: { tipo: 'integer', obrigatorio: true, min: 1, max: 12 }
+  }
+};
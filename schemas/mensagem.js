@@ -0,0 +1,11 @@
+// Schema de mensagem de contato: envio público e marcação de status pelo admin
+module.exports = {
+  nome: 'Mensagem',
+  campos: {
+    nome: { tipo: 'string', obrigatorio: true, max: 150 },
+    email: { tipo: 'string', formato: 'email', obrigatorio: true, max: 254 },
+    mensagem: { tipo: 'string', obrigatorio: true, max: 5000 },
+    lida: { tipo: 'boolean' },
+    respondida: { tipo: 'boolean' }
+  }
+};
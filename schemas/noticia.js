@@ -0,0 +1,23 @@
+// Schema de notícia usado em POST /api/noticias e PUT /api/noticias/:id
+
+// Ciclo de publicação; "agendado" exige publicarEm (ver services/noticias.js)
+const STATUS = ['rascunho', 'agendado', 'publicado', 'arquivado'];
+
+module.exports = {
+  nome: 'Noticia',
+  STATUS,
+  campos: {
+    titulo: { tipo: 'string', obrigatorio: true, min: 3, max: 200 },
+    slug: { tipo: 'string', formato: 'slug', max: 100 },
+    resumo: { tipo: 'string', obrigatorio: true, max: 500 },
+    conteudo: { tipo: 'string', obrigatorio: true, max: 50000 },
+    data: { tipo: 'string', formato: 'date' },
+    autor: { tipo: 'string', obrigatorio: true, max: 150 },
+    categoria: { tipo: 'string', obrigatorio: true, max: 100 },
+    imagem: { tipo: 'string', formato: 'uri', max: 2000 },
+    link: { tipo: 'string', formato: 'uri', max: 2000 },
+    destaque: { tipo: 'boolean' },
+    status: { tipo: 'string', valores: STATUS },
+    publicarEm: { tipo: 'string', formato: 'date-time', nulo: true }
+  }
+};
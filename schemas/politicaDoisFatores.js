@@ -0,0 +1,12 @@
+// Schema da política de 2FA em PUT /api/admins/2fa-policy
+module.exports = {
+  nome: 'PoliticaDoisFatores',
+  campos: {
+    roles: {
+      tipo: 'array',
+      obrigatorio: true,
+      max: 50,
+      itens: { tipo: 'string', formato: 'slug', max: 50 }
+    }
+  }
+};
@@ -0,0 +1,14 @@
+// Schema das ações de revisão em /api/eventos/:id/review/* e /api/noticias/:id/review/*
+
+// Estados da revisão editorial (ver services/revisao.js)
+const ESTADOS = ['rascunho', 'pendente', 'aprovado', 'rejeitado'];
+
+module.exports = {
+  nome: 'Revisao',
+  ESTADOS,
+  campos: {
+    comentario: { tipo: 'string', max: 2000 },
+    // Só na aprovação de notícias: agenda a publicação em vez de publicar na hora
+    publicarEm: { tipo: 'string', formato: 'date-time' }
+  }
+};
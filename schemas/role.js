@@ -0,0 +1,17 @@
+// Schema de papel usado em POST /api/roles e PUT /api/roles/:id
+const { PERMISSOES } = require('../utils/permissoes');
+
+module.exports = {
+  nome: 'Role',
+  campos: {
+    id: { tipo: 'string', formato: 'slug', obrigatorio: true, max: 50, somenteCriacao: true },
+    nome: { tipo: 'string', obrigatorio: true, min: 2, max: 100 },
+    descricao: { tipo: 'string', max: 300 },
+    permissoes: {
+      tipo: 'array',
+      obrigatorio: true,
+      max: Object.keys(PERMISSOES).length,
+      itens: { tipo: 'string', valores: Object.keys(PERMISSOES) }
+    }
+  }
+};
@@ -0,0 +1,7 @@
+// Schema da redefinição de senha em PUT /api/admins/:id/password
+module.exports = {
+  nome: 'NovaSenha',
+  campos: {
+    novaSenha: { tipo: 'string', obrigatorio: true, min: 8, max: 200 }
+  }
+};
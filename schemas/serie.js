@@ -0,0 +1,32 @@
+// Schema da série de eventos em POST /api/series e PUT /api/series/:id
+const evento = require('./evento');
+
+// Campos copiados para cada ocorrência, com as mesmas regras do evento
+const CAMPOS_MODELO = [
+  'titulo', 'descricao', 'horaInicio', 'horaFim', 'local', 'categoria', 'imagem',
+  'inscricoesAbertas', 'capacidade', 'cargaHoraria'
+];
+
+const MAXIMO_OCORRENCIAS = 100;
+
+const listaDeDatas = { tipo: 'array', max: MAXIMO_OCORRENCIAS, itens: { tipo: 'string', formato: 'date' } };
+
+module.exports = {
+  nome: 'Serie',
+  CAMPOS_MODELO,
+  MAXIMO_OCORRENCIAS,
+  campos: {
+    ...Object.fromEntries(CAMPOS_MODELO.map(campo => [campo, evento.campos[campo]])),
+    recorrencia: {
+      tipo: 'object',
+      obrigatorio: true,
+      campos: {
+        frequencia: { tipo: 'string', obrigatorio: true, valores: ['semanal', 'quinzenal', 'datas'] },
+        inicio: { tipo: 'string', formato: 'date' },
+        fim: { tipo: 'string', formato: 'date' },
+        datas: { ...listaDeDatas, min: 1 }
+      }
+    },
+    excecoes: listaDeDatas
+  }
+};
@@ -0,0 +1,37 @@
+// Importa os arquivos data/*.json para o banco SQLite.
+// Uso: npm run db:import [-- --force]
+require('dotenv').config({ path: './config.env' });
+
+const fs = require('fs');
+const { COLECOES, criarDriver, criarColecoes } = require('../storage');
+
+const importar = async ({ forcar }) => {
+  const driverSqlite = criarDriver('sqlite');
+
+  // Evita sobrescrever um banco que já recebeu escritas pela API
+  if (fs.existsSync(driverSqlite.arquivo) && !forcar) {
+    throw new Error(`${driverSqlite.arquivo} já existe; use --force para sobrescrever`);
+  }
+
+  const origem = criarColecoes(criarDriver('json'));
+  const destino = criarColecoes(driverSqlite);
+
+  try {
+    for (const nome of Object.keys(COLECOES)) {
+      const dados = await origem[nome].ler();
+      await destino[nome].salvar(dados);
+
+      const resumo = Array.isArray(dados) ? `${dados.length} registros importados` : 'documento importado';
+      console.log(`✅ ${nome}: ${resumo}`);
+    }
+  } finally {
+    driverSqlite.fechar();
+  }
+};
+
+importar({ forcar: process.argv.includes('--force') })
+  .then(() => console.log('Importação concluída'))
+  .catch(error => {
+    console.error('Erro na importação:', error.message);
+    process.exit(1);
+  });
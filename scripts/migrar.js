@@ -0,0 +1,16 @@
+// Aplica as migrações de schema pendentes aos dados armazenados.
+// Uso: npm run db:migrate
+require('dotenv').config({ path: './config.env' });
+
+const { executarMigracoes } = require('../storage/migrations');
+
+executarMigracoes()
+  .then(({ versao, aplicadas }) => {
+    console.log(aplicadas
+      ? `Dados migrados para a versão ${versao} (${aplicadas} migrações aplicadas)`
+      : `Dados já estão na versão ${versao}`);
+  })
+  .catch(error => {
+    console.error('Erro ao migrar dados:', error);
+    process.exit(1);
+  });
@@ -3,11 +3,19 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const swaggerUi = require('swagger-ui-express');
 require('dotenv').config({ path: './config.env' });
+const { executarMigracoes } = require('./storage/migrations');
+const { iniciarAgendador } = require('./services/agendador');
+const { requestId, errorHandler, notFoundHandler } = require('./middlewares/erros');
+const { AppError } = require('./utils/errors');
+const rotas = require('./routes');
+const openapi = require('./docs/openapi');
 
 // Definir variáveis de ambiente padrão se não existirem
 process.env.JWT_SECRET = process.env.JWT_SECRET || 'blockchain_insper_jwt_secret_key_2024_muito_segura';
-process.env.JWT_EXPIRE = process.env.JWT_EXPIRE || '24h';
+process.env.JWT_EXPIRE = process.env.JWT_EXPIRE || '15m';
+process.env.REFRESH_TOKEN_EXPIRE_DAYS = process.env.REFRESH_TOKEN_EXPIRE_DAYS || '7';
 process.env.ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'admin@blockchaininsper.com.br';
 process.env.ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'BlockchainInsper2024!';
 process.env.MAX_FILE_SIZE = process.env.MAX_FILE_SIZE || '10485760';
@@ -16,6 +24,8 @@ process.env.ALLOWED_FILE_TYPES = process.env.ALLOWED_FILE_TYPES || 'image/jpeg,i
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+app.use(requestId);
+
 // Middlewares de segurança
 app.use(helmet({
   contentSecurityPolicy: {
@@ -41,15 +51,17 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
-  exposedHeaders: ['Content-Length', 'Content-Type']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-Request-Id', 'X-API-Key'],
+  exposedHeaders: ['Content-Length', 'Content-Type', 'X-Request-Id']
 }));
 
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutos
   max: 100, // limite de 100 requests por IP
-  message: 'Muitas requisições deste IP, tente novamente em 15 minutos.'
+  handler: (req, res, next) => {
+    next(new AppError(429, 'RATE_LIMITED', 'Muitas requisições deste IP, tente novamente em 15 minutos.'));
+  }
 });
 app.use('/api/', limiter);
 
@@ -68,12 +80,13 @@ app.use('/uploads', (req, res, next) => {
 }, express.static('uploads'));
 
 // Rotas da API
-app.use('/api/auth', require('./routes/auth'));
-app.use('/api/eventos', require('./routes/eventos'));
-app.use('/api/noticias', require('./routes/noticias'));
-app.use('/api/contatos', require('./routes/contatos'));
-app.use('/api/admins', require('./routes/admins'));
-app.use('/api/admin', require('./routes/admin'));
+rotas.forEach(([prefixo, router]) => app.use(prefixo, router));
+
+// Documentação OpenAPI
+app.get('/api/docs/openapi.json', (req, res) => res.json(openapi));
+app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openapi, {
+  customSiteTitle: 'Blockchain Insper API'
+}));
 
 // Rota de health check
 app.get('/health', (req, res) => {
@@ -84,23 +97,27 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Middleware para rotas não encontradas
+app.use('*', notFoundHandler);
+
 // Middleware de tratamento de erros
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    message: 'Algo deu errado!',
-    error: process.env.NODE_ENV === 'production' ? {} : err.stack
-  });
-});
+app.use(errorHandler);
 
-// Middleware para rotas não encontradas
-app.use('*', (req, res) => {
-  res.status(404).json({
-    message: 'Rota não encontrada'
-  });
-});
+// Atualizar os dados para o schema atual antes de aceitar requisições
+if (require.main === module) {
+  executarMigracoes()
+    .then(() => {
+      app.listen(PORT, () => {
+        console.log(`🚀 Servidor rodando na porta ${PORT}`);
+        console.log(`📊 Health check: http://localhost:${PORT}/health`);
+        console.log(`📖 Documentação: http://localhost:${PORT}/api/docs`);
+        iniciarAgendador();
+      });
+    })
+    .catch(error => {
+      console.error('Erro ao migrar dados, servidor não iniciado:', error);
+      process.exit(1);
+    });
+}
 
-app.listen(PORT, () => {
-  console.log(`🚀 Servidor rodando na porta ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-});
+module.exports = app;
@@ -0,0 +1,71 @@
+// Tarefas periódicas executadas dentro do processo do servidor.
+//
+// Nada depende do horário exato de execução: notícias agendadas também são avaliadas na leitura (aparecem
+// assim que publicarEm passa) e itens vencidos da lixeira só são removidos mais tarde se o agendador atrasar.
+//
+// Variáveis de ambiente:
+//   SCHEDULER_INTERVAL_SECONDS  intervalo entre execuções (padrão 60; 0 desliga)
+
+const { publicarAgendadas } = require('./noticias');
+const { purgarExpirados } = require('./lixeira');
+
+const INTERVALO_PADRAO_SEGUNDOS = 60;
+
+const TAREFAS = [
+  { nome: 'Notícias agendadas publicadas', executar: publicarAgendadas },
+  { nome: 'Itens da lixeira excluídos definitivamente', executar: purgarExpirados }
+];
+
+let timer = null;
+let executando = false;
+
+// Executa todas as tarefas; uma falha não impede as demais nem derruba o servidor
+const executarTarefas = async () => {
+  if (executando) {
+    return;
+  }
+
+  executando = true;
+  try {
+    for (const tarefa of TAREFAS) {
+      try {
+        const quantidade = await tarefa.executar();
+        if (quantidade) {
+          console.log(`⏰ ${tarefa.nome}: ${quantidade}`);
+        }
+      } catch (error) {
+        console.error(`Erro na tarefa agendada "${tarefa.nome}":`, error);
+      }
+    }
+  } finally {
+    executando = false;
+  }
+};
+
+const intervaloSegundos = () => {
+  const valor = parseInt(process.env.SCHEDULER_INTERVAL_SECONDS);
+  return Number.isNaN(valor) ? INTERVALO_PADRAO_SEGUNDOS : valor;
+};
+
+// O timer não segura o processo aberto (unref), então testes e scripts terminam normalmente
+const iniciarAgendador = () => {
+  const segundos = intervaloSegundos();
+  if (timer || segundos <= 0) {
+    return;
+  }
+
+  timer = setInterval(executarTarefas, segundos * 1000);
+  timer.unref();
+  executarTarefas();
+};
+
+const pararAgendador = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  executarTarefas,
+  iniciarAgendador,
+  pararAgendador
+};
@@ -0,0 +1,105 @@
+// Eventos no formato iCalendar, para assinatura no Google Agenda, Outlook etc.
+//
+// Os horários (horaInicio/horaFim, HH:MM) são do fuso de São Paulo; evento sem horaInicio entra como dia
+// inteiro e sem horaFim dura DURACAO_PADRAO_MINUTOS. O UID é fixo por evento e evento.sequencia (SEQUENCE)
+// sobe a cada alteração, então quem assina o feed recebe as mudanças; eventos excluídos (inativos)
+// continuam no feed com STATUS:CANCELLED para sumirem das agendas.
+
+const { escaparTexto, formatarUtc, gerarCalendario } = require('../utils/ical');
+
+const FUSO = 'America/Sao_Paulo';
+const DURACAO_PADRAO_MINUTOS = 120;
+
+// São Paulo não tem horário de verão desde 2019
+const VTIMEZONE = {
+  tipo: 'VTIMEZONE',
+  propriedades: [['TZID', FUSO], ['X-LIC-LOCATION', FUSO]],
+  componentes: [{
+    tipo: 'STANDARD',
+    propriedades: [
+      ['DTSTART', '19700101T000000'],
+      ['TZOFFSETFROM', '-0300'],
+      ['TZOFFSETTO', '-0300'],
+      ['TZNAME', '-03']
+    ]
+  }]
+};
+
+const uidEvento = (evento) => `evento-${evento.id}@blockchaininsper.com.br`;
+
+const urlEvento = (evento) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/eventos/${evento.id}`;
+
+// Data (AAAA-MM-DD) e hora (HH:MM) locais, somando minutos; a conta é feita em UTC só para virar o dia
+const horarioLocal = (data, hora, minutosAMais = 0) => {
+  const instante = new Date(`${data}T${hora}:00Z`);
+  instante.setUTCMinutes(instante.getUTCMinutes() + minutosAMais);
+  return formatarUtc(instante).slice(0, -1);
+};
+
+const diaInteiro = (data, diasAMais = 0) => {
+  const dia = new Date(`${data}T00:00:00Z`);
+  dia.setUTCDate(dia.getUTCDate() + diasAMais);
+  return dia.toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+const periodo = (evento) => {
+  if (!evento.horaInicio) {
+    return [
+      ['DTSTART;VALUE=DATE', diaInteiro(evento.data)],
+      ['DTEND;VALUE=DATE', diaInteiro(evento.data, 1)]
+    ];
+  }
+
+  return [
+    [`DTSTART;TZID=${FUSO}`, horarioLocal(evento.data, evento.horaInicio)],
+    [`DTEND;TZID=${FUSO}`, evento.horaFim
+      ? horarioLocal(evento.data, evento.horaFim)
+      : horarioLocal(evento.data, evento.horaInicio, DURACAO_PADRAO_MINUTOS)]
+  ];
+};
+
+const eventoParaVevent = (evento) => {
+  const modificadoEm = formatarUtc(evento.atualizadoEm || evento.criadoEm);
+
+  return {
+    tipo: 'VEVENT',
+    propriedades: [
+      ['UID', uidEvento(evento)],
+      ['DTSTAMP', modificadoEm],
+      ['LAST-MODIFIED', modificadoEm],
+      ['SEQUENCE', evento.sequencia || 0],
+      ...periodo(evento),
+      ['SUMMARY', escaparTexto(evento.titulo)],
+      ['DESCRIPTION', escaparTexto(evento.descricao)],
+      ['LOCATION', escaparTexto(evento.local)],
+      ['CATEGORIES', escaparTexto(evento.categoria)],
+      ['URL', urlEvento(evento)],
+      ['STATUS', evento.ativo ? 'CONFIRMED' : 'CANCELLED']
+    ]
+  };
+};
+
+// Calendário com os eventos informados, mais antigos primeiro
+const gerarIcal = (eventos, { nome = 'Eventos Blockchain Insper' } = {}) => gerarCalendario({
+  propriedades: [
+    ['VERSION', '2.0'],
+    ['PRODID', '-//Blockchain Insper//Eventos//PT-BR'],
+    ['CALSCALE', 'GREGORIAN'],
+    ['METHOD', 'PUBLISH'],
+    ['X-WR-CALNAME', escaparTexto(nome)],
+    ['X-WR-TIMEZONE', FUSO],
+    ['REFRESH-INTERVAL;VALUE=DURATION', 'PT1H'],
+    ['X-PUBLISHED-TTL', 'PT1H']
+  ],
+  componentes: [
+    VTIMEZONE,
+    ...[...eventos]
+      .sort((a, b) => String(a.data).localeCompare(String(b.data)) || a.id - b.id)
+      .map(eventoParaVevent)
+  ]
+});
+
+module.exports = {
+  FUSO,
+  gerarIcal
+};
@@ -0,0 +1,183 @@
+// Certificados de participação (horas complementares) para quem fez check-in no evento.
+//
+// Emitir grava um certificado por inscrição presente, com um retrato dos dados impressos (nome, título e
+// data do evento, carga horária), para que a verificação continue igual mesmo se o evento for editado.
+// O id do registro é o código de verificação impresso no PDF; emitir de novo não duplica certificados.
+//
+// Variáveis de ambiente:
+//   CERTIFICATE_VERIFY_URL  página do frontend que recebe ?codigo= (padrão FRONTEND_URL/certificados/verificar)
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const storage = require('../storage');
+const { AppError } = require('../utils/errors');
+const { formatarData } = require('../utils/datas');
+const { gerarSlug } = require('../utils/slug');
+
+// Sem 0/O e 1/I, que se confundem quando o código é digitado
+const ALFABETO = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// BI-XXXX-XXXX-XXXX
+const gerarCodigo = () => {
+  const caracteres = Array.from({ length: 12 }, () => ALFABETO[crypto.randomInt(ALFABETO.length)]).join('');
+  return `BI-${caracteres.match(/.{4}/g).join('-')}`;
+};
+
+const normalizarCodigo = (codigo) => String(codigo || '').trim().toUpperCase();
+
+const urlVerificacao = (codigo) => {
+  const base = process.env.CERTIFICATE_VERIFY_URL
+    || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/certificados/verificar`;
+  return `${base}?codigo=${encodeURIComponent(codigo)}`;
+};
+
+const porNome = (a, b) => a.nome.localeCompare(b.nome, 'pt-BR') || a.inscricaoId - b.inscricaoId;
+
+const certificadosDoEvento = async (eventoId) => (await storage.certificados.filtrar({ eventoId })).sort(porNome);
+
+// Emitir os certificados que faltam para os presentes; devolve todos os do evento
+const emitirCertificados = async (evento, { emitidoPor }) => {
+  if (!evento.cargaHoraria) {
+    throw new AppError(400, 'CERTIFICATE_WORKLOAD_REQUIRED', 'Defina a cargaHoraria do evento antes de emitir certificados');
+  }
+
+  const presentes = (await storage.inscricoes.filtrar({ eventoId: evento.id }))
+    .filter(i => i.status === 'confirmada' && i.checkinEm);
+
+  if (presentes.length === 0) {
+    throw new AppError(400, 'CERTIFICATE_NO_ATTENDEES', 'Nenhum inscrito fez check-in neste evento');
+  }
+
+  await storage.certificados.atualizar((certificados) => {
+    const emitidas = new Set(certificados.filter(c => c.eventoId === evento.id).map(c => c.inscricaoId));
+    const agora = new Date().toISOString();
+
+    presentes
+      .filter(inscricao => !emitidas.has(inscricao.id))
+      .forEach(inscricao => {
+        let codigo;
+        do {
+          codigo = gerarCodigo();
+        } while (certificados.some(c => c.id === codigo));
+
+        certificados.push({
+          id: codigo,
+          eventoId: evento.id,
+          inscricaoId: inscricao.id,
+          nome: inscricao.nome,
+          eventoTitulo: evento.titulo,
+          eventoData: evento.data,
+          cargaHoraria: evento.cargaHoraria,
+          emitidoEm: agora,
+          emitidoPor
+        });
+      });
+  });
+
+  return certificadosDoEvento(evento.id);
+};
+
+const buscarCertificado = (codigo) => storage.certificados.buscarPorId(normalizarCodigo(codigo));
+
+// PDF do certificado (A4 paisagem)
+const gerarPdf = (certificado) => new Promise((resolve, reject) => {
+  const documento = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: 60,
+    info: { Title: `Certificado ${certificado.id}`, Author: 'Blockchain Insper' }
+  });
+  const partes = [];
+  documento.on('data', parte => partes.push(parte));
+  documento.on('end', () => resolve(Buffer.concat(partes)));
+  documento.on('error', reject);
+
+  const { width, height } = documento.page;
+  const largura = width - 120;
+  const horas = certificado.cargaHoraria === 1 ? 'hora' : 'horas';
+
+  documento.lineWidth(3).rect(30, 30, width - 60, height - 60).stroke('#1a237e');
+
+  documento.moveDown(3)
+    .font('Helvetica-Bold').fontSize(32).fillColor('#1a237e')
+    .text('CERTIFICADO DE PARTICIPAÇÃO', { align: 'center', width: largura })
+    .moveDown(1.5)
+    .font('Helvetica').fontSize(16).fillColor('#000000')
+    .text('Certificamos que', { align: 'center', width: largura })
+    .moveDown(0.5)
+    .font('Helvetica-Bold').fontSize(26)
+    .text(certificado.nome, { align: 'center', width: largura })
+    .moveDown(0.5)
+    .font('Helvetica').fontSize(16)
+    .text(
+      `participou do evento "${certificado.eventoTitulo}", promovido pela Blockchain Insper em `
+      + `${formatarData(certificado.eventoData)}, com carga horária de ${certificado.cargaHoraria} ${horas}.`,
+      { align: 'center', width: largura }
+    );
+
+  documento.font('Helvetica').fontSize(10).fillColor('#555555')
+    .text(`Código de verificação: ${certificado.id}`, 60, height - 100, { align: 'center', width: largura })
+    .text(`Confira a autenticidade em ${urlVerificacao(certificado.id)}`, { align: 'center', width: largura });
+
+  documento.end();
+});
+
+const nomeDoArquivo = (certificado) =>
+  `certificado-${gerarSlug(certificado.nome) || 'participante'}-${certificado.id}.pdf`;
+
+// PDFs dos certificados para o ZIP, gerados antes de enviar qualquer byte: uma falha aqui ainda vira uma
+// resposta de erro comum
+const gerarPdfs = async (certificados) => {
+  const pdfs = [];
+  for (const certificado of certificados) {
+    pdfs.push({ conteudo: await gerarPdf(certificado), nome: nomeDoArquivo(certificado) });
+  }
+  return pdfs;
+};
+
+// Gravar um ZIP com os PDFs no stream de destino; se o ZIP falhar no meio do envio, o destino é encerrado para o
+// cliente não receber um arquivo truncado como se estivesse completo
+const gerarZip = async (pdfs, destino) => {
+  const arquivo = archiver('zip');
+  const interromper = () => {
+    arquivo.abort();
+    destino.destroy();
+  };
+  arquivo.on('error', interromper);
+  arquivo.on('warning', interromper);
+  arquivo.pipe(destino);
+
+  pdfs.forEach(({ conteudo, nome }) => arquivo.append(conteudo, { name: nome }));
+
+  try {
+    await arquivo.finalize();
+  } catch (error) {
+    interromper();
+    throw error;
+  }
+};
+
+// Dados exibidos na verificação pública
+const certificadoPublico = (certificado) => ({
+  codigo: certificado.id,
+  nome: certificado.nome,
+  evento: {
+    id: certificado.eventoId,
+    titulo: certificado.eventoTitulo,
+    data: certificado.eventoData
+  },
+  cargaHoraria: certificado.cargaHoraria,
+  emitidoEm: certificado.emitidoEm
+});
+
+module.exports = {
+  certificadosDoEvento,
+  emitirCertificados,
+  buscarCertificado,
+  gerarPdf,
+  gerarPdfs,
+  gerarZip,
+  nomeDoArquivo,
+  certificadoPublico
+};
@@ -0,0 +1,133 @@
+// Chaves de API para integrações (scripts, automações) que não devem usar a senha de um admin.
+//
+// A chave tem o formato "bik_<id>_<segredo>" e só o hash SHA-256 é gravado. Cada chave tem
+// um escopo próprio (lista de permissões do catálogo), validade opcional e registro do último uso.
+// É aceita no header X-API-Key ou como "Authorization: Bearer bik_...".
+
+const crypto = require('crypto');
+const storage = require('../storage');
+const { AppError } = require('../utils/errors');
+
+const PREFIXO = 'bik_';
+const FORMATO_CHAVE = /^bik_([a-f0-9]{16})_[A-Za-z0-9_-]+$/;
+
+// Intervalo mínimo entre gravações de ultimoUsoEm, para não escrever a cada requisição
+const INTERVALO_REGISTRO_USO = 60 * 1000;
+
+const hashChave = (chave) => crypto.createHash('sha256').update(chave).digest('hex');
+
+const ehChaveApi = (token) => typeof token === 'string' && token.startsWith(PREFIXO);
+
+const chaveAtiva = (registro, agora = new Date()) => !registro.revogadaEm
+  && (!registro.expiraEm || new Date(registro.expiraEm) > agora);
+
+// expiraEm chega como AAAA-MM-DD; a chave vale até o fim desse dia (UTC)
+const fimDoDia = (data) => new Date(`${data}T23:59:59.999Z`).toISOString();
+
+// Criar uma chave; devolve { chave, registro }. A chave em claro só existe nesta resposta.
+const criarChave = async ({ nome, permissoes, expiraEm = null, criadoPor }) => {
+  const agora = new Date();
+  const expiracao = expiraEm ? fimDoDia(expiraEm) : null;
+
+  if (expiracao && new Date(expiracao) <= agora) {
+    throw new AppError(400, 'API_KEY_INVALID_EXPIRY', 'A data de expiração deve estar no futuro');
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const chave = `${PREFIXO}${id}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const registro = {
+    id,
+    nome,
+    prefixo: chave.slice(0, PREFIXO.length + id.length + 5),
+    hash: hashChave(chave),
+    permissoes: [...new Set(permissoes)],
+    expiraEm: expiracao,
+    criadoPor,
+    criadoEm: agora.toISOString(),
+    ultimoUsoEm: null,
+    ultimoUsoIp: null,
+    revogadaEm: null,
+    revogadaPor: null
+  };
+
+  await storage.chavesApi.atualizar((chaves) => {
+    chaves.push(registro);
+  });
+
+  return { chave, registro };
+};
+
+// Conferir a chave apresentada; devolve o registro ou null se inválida, revogada ou expirada
+const autenticarChave = async (chave, ip) => {
+  const formato = FORMATO_CHAVE.exec(chave);
+  if (!formato) return null;
+
+  const registro = await storage.chavesApi.buscarPorId(formato[1]);
+  if (!registro || !chaveAtiva(registro)) return null;
+
+  const esperado = Buffer.from(registro.hash);
+  const recebido = Buffer.from(hashChave(chave));
+  if (!crypto.timingSafeEqual(esperado, recebido)) return null;
+
+  const agora = new Date();
+  if (!registro.ultimoUsoEm || agora - new Date(registro.ultimoUsoEm) >= INTERVALO_REGISTRO_USO
+    || registro.ultimoUsoIp !== ip) {
+    await storage.chavesApi.atualizar((chaves) => {
+      const atual = chaves.find(c => c.id === registro.id);
+      if (atual) {
+        atual.ultimoUsoEm = agora.toISOString();
+        atual.ultimoUsoIp = ip;
+      }
+    });
+  }
+
+  return registro;
+};
+
+// Revogar uma chave; devolve false se ela não existe ou já estava revogada
+const revogarChave = (id, { revogadaPor }) => storage.chavesApi.atualizar((chaves) => {
+  const registro = chaves.find(c => c.id === id);
+  if (!registro || registro.revogadaEm) {
+    return false;
+  }
+
+  registro.revogadaEm = new Date().toISOString();
+  registro.revogadaPor = revogadaPor;
+  return true;
+});
+
+// Chaves mais recentes primeiro; por padrão só as ativas
+const listarChaves = async ({ incluirEncerradas = false } = {}) => {
+  const agora = new Date();
+  const chaves = await storage.chavesApi.ler();
+
+  return chaves
+    .filter(chave => incluirEncerradas || chaveAtiva(chave, agora))
+    .sort((a, b) => new Date(b.criadoEm) - new Date(a.criadoEm));
+};
+
+// Dados de uma chave que podem ser expostos (sem o hash)
+const chavePublica = (registro) => ({
+  id: registro.id,
+  nome: registro.nome,
+  prefixo: registro.prefixo,
+  permissoes: registro.permissoes,
+  expiraEm: registro.expiraEm,
+  ativa: chaveAtiva(registro),
+  criadoPor: registro.criadoPor,
+  criadoEm: registro.criadoEm,
+  ultimoUsoEm: registro.ultimoUsoEm,
+  ultimoUsoIp: registro.ultimoUsoIp,
+  revogadaEm: registro.revogadaEm,
+  revogadaPor: registro.revogadaPor
+});
+
+module.exports = {
+  ehChaveApi,
+  criarChave,
+  autenticarChave,
+  revogarChave,
+  listarChaves,
+  chavePublica
+};
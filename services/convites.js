@@ -0,0 +1,188 @@
+// Convites de novos administradores.
+//
+// Convidar grava o admin como pendente (inativo, sem senha) com admin.convite:
+//   tokenHash     hash SHA-256 do token enviado por email
+//   expiraEm      validade do link
+//   enviadoEm     último envio (criação ou reenvio)
+//   convidadoPor  id de quem convidou
+//   envios        quantidade de emails enviados
+// Ao aceitar, o convidado escolhe a senha, o convite é apagado e a conta é ativada.
+//
+// Variáveis de ambiente:
+//   INVITE_EXPIRE_HOURS  validade do link (padrão 72)
+//   INVITE_URL           página do frontend que recebe ?token= (padrão FRONTEND_URL/admin/aceitar-convite)
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const storage = require('../storage');
+const { AppError } = require('../utils/errors');
+const { enviarEmail } = require('./mailer');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const horasDeValidade = () => parseInt(process.env.INVITE_EXPIRE_HOURS) || 72;
+
+const urlConvite = (token) => {
+  const base = process.env.INVITE_URL
+    || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/admin/aceitar-convite`;
+  return `${base}?token=${encodeURIComponent(token)}`;
+};
+
+const convitePendente = (admin) => Boolean(admin.convite);
+
+const novoConvite = (agora) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return {
+    token,
+    dados: {
+      tokenHash: hashToken(token),
+      expiraEm: new Date(agora.getTime() + horasDeValidade() * 60 * 60 * 1000).toISOString(),
+      enviadoEm: agora.toISOString()
+    }
+  };
+};
+
+const conviteNaoEncontrado = () => new AppError(404, 'INVITE_NOT_FOUND', 'Convite não encontrado');
+
+// Enviar o email do convite; falha de envio não desfaz o convite, que pode ser reenviado
+const enviarConvite = async (admin, token, papel) => {
+  try {
+    await enviarEmail({
+      para: admin.email,
+      assunto: 'Convite para o painel Blockchain Insper',
+      texto: [
+        admin.nome ? `Olá, ${admin.nome}.` : 'Olá.',
+        '',
+        `Você foi convidado para administrar o site da Blockchain Insper com o papel "${papel ? papel.nome : admin.role}".`,
+        `Para criar sua senha e ativar a conta, acesse o link abaixo (válido por ${horasDeValidade()} horas):`,
+        '',
+        urlConvite(token)
+      ].join('\n')
+    });
+  } catch {
+    throw new AppError(502, 'MAIL_SEND_FAILED', 'Convite registrado, mas o email não pôde ser enviado. Tente reenviar.',
+      { adminId: admin.id });
+  }
+};
+
+// Registrar o admin pendente e enviar o convite; devolve o admin criado
+const criarConvite = async ({ nome = null, email, role, convidadoPor }) => {
+  const agora = new Date();
+  const { token, dados } = novoConvite(agora);
+
+  const admin = await storage.admins.atualizar((admins) => {
+    const existente = admins.find(a => a.email === email);
+    if (existente && convitePendente(existente)) {
+      throw new AppError(400, 'ADMIN_INVITE_PENDING', 'Já existe um convite pendente para este email; reenvie-o');
+    }
+    if (existente) {
+      throw new AppError(400, 'ADMIN_EMAIL_TAKEN', 'Já existe um administrador com este email');
+    }
+
+    const registro = {
+      id: Math.max(...admins.map(a => a.id), 0) + 1,
+      nome,
+      email,
+      senha: null,
+      role,
+      ativo: false,
+      convite: { ...dados, convidadoPor, envios: 1 },
+      criadoEm: agora.toISOString(),
+      atualizadoEm: agora.toISOString(),
+      ultimoLogin: null
+    };
+
+    admins.push(registro);
+    return registro;
+  });
+
+  await enviarConvite(admin, token, await storage.roles.buscarPorId(role));
+  return admin;
+};
+
+// Gerar um novo link (o anterior deixa de valer) e reenviar o email
+const reenviarConvite = async (adminId) => {
+  const agora = new Date();
+  const { token, dados } = novoConvite(agora);
+
+  const admin = await storage.admins.atualizar((admins) => {
+    const registro = admins.find(a => a.id === adminId);
+    if (!registro || !convitePendente(registro)) {
+      throw conviteNaoEncontrado();
+    }
+
+    registro.convite = { ...registro.convite, ...dados, envios: (registro.convite.envios || 1) + 1 };
+    return registro;
+  });
+
+  await enviarConvite(admin, token, await storage.roles.buscarPorId(admin.role));
+  return admin;
+};
+
+// Cancelar um convite pendente, removendo o admin que ainda não o aceitou
+const revogarConvite = (adminId) => storage.admins.atualizar((admins) => {
+  const indice = admins.findIndex(a => a.id === adminId && convitePendente(a));
+  if (indice === -1) {
+    throw conviteNaoEncontrado();
+  }
+  admins.splice(indice, 1);
+});
+
+// Aceitar o convite: definir a senha (e o nome, se informado) e ativar a conta
+const aceitarConvite = async (token, { senha, nome }) => {
+  const hash = hashToken(String(token));
+  const agora = new Date();
+  const senhaHash = await bcrypt.hash(senha, 10);
+
+  const admin = await storage.admins.atualizar((admins) => {
+    const registro = admins.find(a => a.convite && a.convite.tokenHash === hash);
+    if (!registro || new Date(registro.convite.expiraEm) <= agora) {
+      throw new AppError(400, 'AUTH_INVITE_INVALID', 'Convite inválido ou expirado');
+    }
+    if (!nome && !registro.nome) {
+      throw new AppError(400, 'AUTH_NAME_REQUIRED', 'Informe seu nome para concluir o cadastro');
+    }
+
+    delete registro.convite;
+    if (nome) registro.nome = nome;
+    registro.senha = senhaHash;
+    registro.ativo = true;
+    registro.conviteAceitoEm = agora.toISOString();
+    registro.atualizadoEm = agora.toISOString();
+    return registro;
+  });
+
+  return admin;
+};
+
+// Convites pendentes, mais recentes primeiro
+const listarConvites = async () => {
+  const admins = await storage.admins.ler();
+  return admins
+    .filter(convitePendente)
+    .sort((a, b) => new Date(b.convite.enviadoEm) - new Date(a.convite.enviadoEm));
+};
+
+// Dados de um convite que podem ser expostos (sem o hash do token)
+const convitePublico = (admin) => ({
+  id: admin.id,
+  nome: admin.nome,
+  email: admin.email,
+  role: admin.role,
+  convidadoPor: admin.convite.convidadoPor,
+  enviadoEm: admin.convite.enviadoEm,
+  expiraEm: admin.convite.expiraEm,
+  expirado: new Date(admin.convite.expiraEm) <= new Date(),
+  envios: admin.convite.envios || 1,
+  criadoEm: admin.criadoEm
+});
+
+module.exports = {
+  convitePendente,
+  criarConvite,
+  reenviarConvite,
+  revogarConvite,
+  aceitarConvite,
+  listarConvites,
+  convitePublico
+};
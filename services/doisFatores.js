@@ -0,0 +1,184 @@
+// Autenticação em dois fatores (TOTP) dos administradores.
+//
+// Estado guardado em admin.doisFatores:
+//   ativo                 2FA exigido no login deste admin
+//   segredo               segredo TOTP em uso (base32)
+//   segredoPendente       segredo gerado em /2fa/setup aguardando o primeiro código
+//   codigosRecuperacao    hashes SHA-256 dos códigos de recuperação ainda não usados
+//   ultimoPasso           último passo TOTP aceito, para recusar reuso do mesmo código
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const storage = require('../storage');
+const { AppError } = require('../utils/errors');
+const { gerarSegredo, verificarCodigo, gerarUriOtpauth } = require('../utils/totp');
+
+const EMISSOR = 'Blockchain Insper';
+const QUANTIDADE_CODIGOS_RECUPERACAO = 10;
+const TIPO_DESAFIO = 'desafio_2fa';
+
+const hashCodigo = (codigo) => crypto.createHash('sha256')
+  .update(String(codigo).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+// Gera códigos de recuperação no formato xxxxx-xxxxx; devolve { codigos, hashes }
+const gerarCodigosRecuperacao = () => {
+  const codigos = Array.from({ length: QUANTIDADE_CODIGOS_RECUPERACAO }, () => {
+    const texto = crypto.randomBytes(5).toString('hex');
+    return `${texto.slice(0, 5)}-${texto.slice(5)}`;
+  });
+  return { codigos, hashes: codigos.map(hashCodigo) };
+};
+
+const doisFatoresAtivo = (admin) => Boolean(admin.doisFatores && admin.doisFatores.ativo);
+
+// Papéis que a política obriga a usar 2FA
+const papeisObrigados = async () => {
+  const configuracoes = await storage.configuracoes.ler();
+  return configuracoes.doisFatoresObrigatorio || [];
+};
+
+const doisFatoresObrigatorio = async (role) => (await papeisObrigados()).includes(role);
+
+// Gerar (ou substituir) o segredo pendente de cadastro
+const iniciarCadastro = async (adminId) => {
+  const segredo = gerarSegredo();
+
+  const admin = await storage.admins.atualizar((admins) => {
+    const registro = admins.find(a => a.id === adminId);
+    if (!registro) {
+      throw new AppError(404, 'USER_NOT_FOUND', 'Usuário não encontrado');
+    }
+    if (doisFatoresAtivo(registro)) {
+      throw new AppError(400, 'AUTH_2FA_ALREADY_ENABLED', 'A autenticação em dois fatores já está ativa');
+    }
+
+    registro.doisFatores = { ...registro.doisFatores, ativo: false, segredoPendente: segredo };
+    return registro;
+  });
+
+  return {
+    secret: segredo,
+    otpauthUri: gerarUriOtpauth({ segredo, conta: admin.email, emissor: EMISSOR })
+  };
+};
+
+// Confirmar o cadastro com o primeiro código; devolve os códigos de recuperação
+const concluirCadastro = async (adminId, codigo) => {
+  const { codigos, hashes } = gerarCodigosRecuperacao();
+
+  await storage.admins.atualizar((admins) => {
+    const registro = admins.find(a => a.id === adminId);
+    if (!registro) {
+      throw new AppError(404, 'USER_NOT_FOUND', 'Usuário não encontrado');
+    }
+    if (doisFatoresAtivo(registro)) {
+      throw new AppError(400, 'AUTH_2FA_ALREADY_ENABLED', 'A autenticação em dois fatores já está ativa');
+    }
+
+    const segredo = registro.doisFatores && registro.doisFatores.segredoPendente;
+    if (!segredo) {
+      throw new AppError(400, 'AUTH_2FA_SETUP_REQUIRED', 'Inicie o cadastro em /api/auth/2fa/setup');
+    }
+
+    const passo = verificarCodigo(segredo, codigo);
+    if (passo === null) {
+      throw new AppError(400, 'AUTH_2FA_INVALID_CODE', 'Código de verificação inválido');
+    }
+
+    registro.doisFatores = {
+      ativo: true,
+      segredo,
+      codigosRecuperacao: hashes,
+      ultimoPasso: passo,
+      ativadoEm: new Date().toISOString()
+    };
+  });
+
+  return codigos;
+};
+
+// Confere um código TOTP ou de recuperação e o consome.
+// Devolve { metodo: 'totp' | 'recuperacao', codigosRestantes } ou null.
+const consumirCodigo = (adminId, { code, recoveryCode }) => storage.admins.atualizar((admins) => {
+  const registro = admins.find(a => a.id === adminId);
+  if (!registro || !doisFatoresAtivo(registro)) {
+    return null;
+  }
+
+  const estado = registro.doisFatores;
+
+  if (recoveryCode) {
+    const indice = estado.codigosRecuperacao.indexOf(hashCodigo(recoveryCode));
+    if (indice === -1) return null;
+
+    estado.codigosRecuperacao.splice(indice, 1);
+    return { metodo: 'recuperacao', codigosRestantes: estado.codigosRecuperacao.length };
+  }
+
+  const passo = verificarCodigo(estado.segredo, code, { ultimoPasso: estado.ultimoPasso ?? null });
+  if (passo === null) return null;
+
+  estado.ultimoPasso = passo;
+  return { metodo: 'totp', codigosRestantes: estado.codigosRecuperacao.length };
+});
+
+// Substituir os códigos de recuperação; devolve os novos códigos
+const regenerarCodigosRecuperacao = async (adminId) => {
+  const { codigos, hashes } = gerarCodigosRecuperacao();
+
+  await storage.admins.atualizar((admins) => {
+    const registro = admins.find(a => a.id === adminId);
+    if (registro && doisFatoresAtivo(registro)) {
+      registro.doisFatores.codigosRecuperacao = hashes;
+    }
+  });
+
+  return codigos;
+};
+
+// Remover o 2FA de um admin (desativação pelo próprio ou reset por super admin)
+const removerDoisFatores = (adminId, { removidoPor = null } = {}) => storage.admins.atualizar((admins) => {
+  const registro = admins.find(a => a.id === adminId);
+  if (!registro) {
+    return false;
+  }
+
+  registro.doisFatores = {
+    ativo: false,
+    removidoEm: new Date().toISOString(),
+    removidoPor
+  };
+  registro.atualizadoEm = new Date().toISOString();
+  return true;
+});
+
+// Token de desafio entregue após a senha correta, trocado em /api/auth/login/2fa
+const gerarTokenDesafio = (admin) => jwt.sign(
+  { id: admin.id, tipo: TIPO_DESAFIO, ver: admin.versaoToken || 0 },
+  process.env.JWT_SECRET,
+  { expiresIn: '5m' }
+);
+
+// Validar o token de desafio; devolve o payload ou null
+const verificarTokenDesafio = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.tipo === TIPO_DESAFIO ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  doisFatoresAtivo,
+  papeisObrigados,
+  doisFatoresObrigatorio,
+  iniciarCadastro,
+  concluirCadastro,
+  consumirCodigo,
+  regenerarCodigosRecuperacao,
+  removerDoisFatores,
+  gerarTokenDesafio,
+  verificarTokenDesafio
+};
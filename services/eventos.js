@@ -0,0 +1,88 @@
+// Regras comuns aos eventos avulsos (routes/eventos.js) e às ocorrências de séries (services/series.js).
+
+const { AppError } = require('../utils/errors');
+const { formatarData } = require('../utils/datas');
+const { definirSlug } = require('../utils/slug');
+const { criarFluxoRevisao, aguardandoAprovacao } = require('./revisao');
+
+const IMAGEM_PADRAO = 'https://images.unsplash.com/photo-1560472354-b33ff0c44a43?ixlib=rb-4.0.3&auto=format&fit=crop&w=1000&q=80';
+
+// O período de inscrição não pode terminar antes de começar
+const verificarPeriodoInscricoes = (evento) => {
+  if (evento.inscricoesInicio && evento.inscricoesFim && evento.inscricoesFim < evento.inscricoesInicio) {
+    throw new AppError(400, 'EVENT_INVALID_RSVP_WINDOW', 'inscricoesFim não pode ser anterior a inscricoesInicio');
+  }
+};
+
+// horaFim exige horaInicio e precisa ser depois dela (eventos não atravessam a meia-noite)
+const verificarHorario = (evento) => {
+  if (evento.horaFim && !evento.horaInicio) {
+    throw new AppError(400, 'EVENT_INVALID_TIME', 'Informe horaInicio junto com horaFim');
+  }
+  if (evento.horaFim && evento.horaFim <= evento.horaInicio) {
+    throw new AppError(400, 'EVENT_INVALID_TIME', 'horaFim deve ser posterior a horaInicio');
+  }
+};
+
+// Registro de um evento novo com os valores padrão dos campos opcionais
+const montarEvento = (id, dados) => {
+  const agora = new Date().toISOString();
+
+  return {
+    id,
+    titulo: dados.titulo,
+    slug: null,
+    slugsAnteriores: [],
+    descricao: dados.descricao,
+    data: dados.data,
+    dataFormatada: formatarData(dados.data),
+    horaInicio: dados.horaInicio || null,
+    horaFim: dados.horaFim || null,
+    local: dados.local,
+    participantes: dados.participantes || '0',
+    categoria: dados.categoria,
+    imagem: dados.imagem || IMAGEM_PADRAO,
+    destaque: dados.destaque || false,
+    inscricoesAbertas: dados.inscricoesAbertas || false,
+    capacidade: dados.capacidade || null,
+    inscricoesInicio: dados.inscricoesInicio || null,
+    inscricoesFim: dados.inscricoesFim || null,
+    cargaHoraria: dados.cargaHoraria || null,
+    ativo: true,
+    sequencia: 0,
+    criadoEm: agora,
+    atualizadoEm: agora
+  };
+};
+
+const proximoId = (eventos) => Math.max(...eventos.map(e => e.id), 0) + 1;
+
+// Slug informado pelo editor ou gerado do título; ocorrências de séries levam a data para não repetirem
+const definirSlugDoEvento = (evento, eventos, slug) => definirSlug(evento, eventos, {
+  slug,
+  texto: evento.serieId ? `${evento.titulo} ${evento.dataOriginal}` : evento.titulo,
+  padrao: 'evento'
+});
+
+// Revisão editorial: eventos criados sem eventos:publish nascem inativos e a aprovação os ativa
+const revisaoEventos = criarFluxoRevisao({
+  colecao: 'eventos',
+  permissao: 'eventos:publish',
+  noAr: (evento) => evento.ativo,
+  podeEnviar: (evento) => !evento.ativo && aguardandoAprovacao(evento),
+  publicar: (evento) => {
+    evento.ativo = true;
+    evento.sequencia = (evento.sequencia || 0) + 1;
+  },
+  naoEncontrado: () => new AppError(404, 'EVENT_NOT_FOUND', 'Evento não encontrado')
+});
+
+module.exports = {
+  IMAGEM_PADRAO,
+  verificarPeriodoInscricoes,
+  verificarHorario,
+  montarEvento,
+  proximoId,
+  definirSlugDoEvento,
+  revisaoEventos
+};
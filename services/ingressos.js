@@ -0,0 +1,99 @@
+// Ingressos das inscrições confirmadas e check-in na entrada do evento.
+//
+// O ingresso é "<eventoId>.<inscricaoId>.<assinatura>", com assinatura HMAC-SHA256 (TICKET_SECRET,
+// ou JWT_SECRET se ausente). Ele não é gravado: qualquer ingresso com assinatura válida pode ser
+// conferido sem consultar tokens, e o QR code é só esse texto.
+//
+// Variáveis de ambiente:
+//   TICKET_SECRET  segredo das assinaturas (padrão JWT_SECRET)
+//   API_URL        endereço público da API, usado no link da imagem do ingresso (padrão http://localhost:PORT)
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const storage = require('../storage');
+const { AppError } = require('../utils/errors');
+
+const FORMATO_INGRESSO = /^(\d+)\.(\d+)\.([A-Za-z0-9_-]{43})$/;
+
+const assinar = (eventoId, inscricaoId) => crypto
+  .createHmac('sha256', process.env.TICKET_SECRET || process.env.JWT_SECRET)
+  .update(`ingresso:${eventoId}.${inscricaoId}`)
+  .digest('base64url');
+
+const gerarIngresso = (inscricao) => `${inscricao.eventoId}.${inscricao.id}.${assinar(inscricao.eventoId, inscricao.id)}`;
+
+// Conferir a assinatura; devolve { eventoId, inscricaoId } ou null
+const lerIngresso = (ingresso) => {
+  const partes = FORMATO_INGRESSO.exec(String(ingresso || '').trim());
+  if (!partes) return null;
+
+  const [, eventoId, inscricaoId, assinatura] = partes;
+  const esperada = Buffer.from(assinar(eventoId, inscricaoId));
+  if (!crypto.timingSafeEqual(esperada, Buffer.from(assinatura))) return null;
+
+  return { eventoId: parseInt(eventoId), inscricaoId: parseInt(inscricaoId) };
+};
+
+const urlIngresso = (ingresso) => {
+  const base = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  const { eventoId } = lerIngresso(ingresso);
+  return `${base}/api/eventos/${eventoId}/ticket?token=${encodeURIComponent(ingresso)}`;
+};
+
+// Imagem PNG do QR code do ingresso
+const gerarQrCode = (ingresso) => QRCode.toBuffer(ingresso, { type: 'png', width: 400, margin: 2 });
+
+const gerarQrCodeDataUrl = (ingresso) => QRCode.toDataURL(ingresso, { width: 400, margin: 2 });
+
+// Registrar a presença do dono do ingresso; devolve a inscrição atualizada
+const registrarCheckin = async (eventoId, ingresso, { registradoPor }) => {
+  const dados = lerIngresso(ingresso);
+  if (!dados) {
+    throw new AppError(400, 'CHECKIN_TICKET_INVALID', 'Ingresso inválido');
+  }
+  if (dados.eventoId !== eventoId) {
+    throw new AppError(400, 'CHECKIN_WRONG_EVENT', 'Este ingresso é de outro evento', { eventoId: dados.eventoId });
+  }
+
+  return storage.inscricoes.atualizar((inscricoes) => {
+    const inscricao = inscricoes.find(i => i.id === dados.inscricaoId && i.eventoId === eventoId);
+    if (!inscricao || inscricao.status !== 'confirmada') {
+      throw new AppError(400, 'CHECKIN_NOT_CONFIRMED', 'A inscrição deste ingresso não está confirmada');
+    }
+    if (inscricao.checkinEm) {
+      throw new AppError(409, 'CHECKIN_DUPLICATE', 'Check-in já realizado para este ingresso',
+        { checkinEm: inscricao.checkinEm });
+    }
+
+    inscricao.checkinEm = new Date().toISOString();
+    inscricao.checkinPor = registradoPor;
+    return inscricao;
+  });
+};
+
+// Presença por evento (somente eventos com inscrições), mais recentes primeiro
+const resumoPresencas = (eventos, inscricoes) => eventos
+  .map(evento => {
+    const confirmadas = inscricoes.filter(i => i.eventoId === evento.id && i.status === 'confirmada');
+    const presentes = confirmadas.filter(i => i.checkinEm).length;
+    return {
+      eventoId: evento.id,
+      titulo: evento.titulo,
+      data: evento.data,
+      confirmadas: confirmadas.length,
+      presentes,
+      taxaPresenca: confirmadas.length ? Math.round((presentes / confirmadas.length) * 1000) / 10 : null
+    };
+  })
+  .filter(resumo => resumo.confirmadas > 0)
+  .sort((a, b) => String(b.data).localeCompare(String(a.data)));
+
+module.exports = {
+  gerarIngresso,
+  lerIngresso,
+  urlIngresso,
+  gerarQrCode,
+  gerarQrCodeDataUrl,
+  registrarCheckin,
+  resumoPresencas
+};
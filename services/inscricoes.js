@@ -0,0 +1,303 @@
+// Inscrições (RSVP) em eventos, com limite de vagas e lista de espera.
+//
+// Campos do evento que controlam as inscrições:
+//   inscricoesAbertas  o evento aceita inscrições
+//   capacidade         vagas confirmadas (null = sem limite)
+//   inscricoesInicio   primeiro dia de inscrição, AAAA-MM-DD (opcional)
+//   inscricoesFim      último dia de inscrição, AAAA-MM-DD (opcional; nunca depois da data do evento)
+//
+// Cada inscrição fica com status confirmada, espera ou cancelada. Quem se inscreve recebe por email
+// um link de cancelamento com token de uso único (só o hash é gravado). Quando uma vaga é liberada,
+// a inscrição mais antiga da lista de espera é confirmada e avisada por email. Inscrições
+// confirmadas recebem o link do ingresso (QR code) usado no check-in (ver services/ingressos.js).
+//
+// Variáveis de ambiente:
+//   RSVP_CANCEL_URL  página do frontend que recebe ?evento=&token= (padrão FRONTEND_URL/eventos/cancelar-inscricao)
+
+const crypto = require('crypto');
+const storage = require('../storage');
+const { AppError } = require('../utils/errors');
+const { enviarEmail } = require('./mailer');
+const { gerarIngresso, urlIngresso } = require('./ingressos');
+
+const STATUS = ['confirmada', 'espera', 'cancelada'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const hoje = () => new Date().toISOString().slice(0, 10);
+
+const urlCancelamento = (eventoId, token) => {
+  const base = process.env.RSVP_CANCEL_URL
+    || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/eventos/cancelar-inscricao`;
+  return `${base}?evento=${eventoId}&token=${encodeURIComponent(token)}`;
+};
+
+const ativa = (inscricao) => inscricao.status !== 'cancelada';
+
+// Ordem de chegada; define quem sai primeiro da lista de espera
+const porOrdemDeChegada = (a, b) => new Date(a.criadoEm) - new Date(b.criadoEm) || a.id - b.id;
+
+const inscricoesAbertas = (evento) => {
+  const dia = hoje();
+  return Boolean(evento.ativo && evento.inscricoesAbertas)
+    && (!evento.inscricoesInicio || dia >= evento.inscricoesInicio)
+    && (!evento.inscricoesFim || dia <= evento.inscricoesFim)
+    && (!evento.data || dia <= String(evento.data).slice(0, 10));
+};
+
+// Contagens de um evento a partir das inscrições dele
+const resumo = (evento, inscricoes) => {
+  const confirmadas = inscricoes.filter(i => i.status === 'confirmada').length;
+  const emEspera = inscricoes.filter(i => i.status === 'espera').length;
+  const capacidade = evento.capacidade ?? null;
+
+  return {
+    abertas: inscricoesAbertas(evento),
+    capacidade,
+    confirmadas,
+    emEspera,
+    vagasRestantes: capacidade === null ? null : Math.max(capacidade - confirmadas, 0)
+  };
+};
+
+// Evento com participantes derivado das inscrições confirmadas e o resumo das inscrições.
+// Eventos que nunca abriram inscrições mantêm o texto livre de participantes.
+const comInscricoes = (evento, todasInscricoes) => {
+  const doEvento = todasInscricoes.filter(i => i.eventoId === evento.id);
+  if (!evento.inscricoesAbertas && !doEvento.length) {
+    return evento;
+  }
+
+  const dados = resumo(evento, doEvento);
+  return { ...evento, participantes: String(dados.confirmadas), inscricoes: dados };
+};
+
+const linhasIngresso = (inscricao) => [
+  '',
+  'Seu ingresso (apresente o QR code na entrada):',
+  urlIngresso(gerarIngresso(inscricao))
+];
+
+const enviarConfirmacao = (evento, inscricao, token) => enviarEmail({
+  para: inscricao.email,
+  assunto: inscricao.status === 'confirmada'
+    ? `Inscrição confirmada: ${evento.titulo}`
+    : `Lista de espera: ${evento.titulo}`,
+  texto: [
+    `Olá, ${inscricao.nome}.`,
+    '',
+    inscricao.status === 'confirmada'
+      ? `Sua inscrição em "${evento.titulo}" (${evento.dataFormatada || evento.data}, ${evento.local}) está confirmada.`
+      : `O evento "${evento.titulo}" está lotado e você entrou na lista de espera. Avisaremos se uma vaga for liberada.`,
+    ...(inscricao.status === 'confirmada' ? linhasIngresso(inscricao) : []),
+    '',
+    'Se não puder participar, cancele pelo link abaixo para liberar a vaga:',
+    urlCancelamento(evento.id, token)
+  ].join('\n')
+});
+
+const enviarPromocao = (evento, inscricao) => enviarEmail({
+  para: inscricao.email,
+  assunto: `Vaga confirmada: ${evento.titulo}`,
+  texto: [
+    `Olá, ${inscricao.nome}.`,
+    '',
+    `Uma vaga foi liberada e sua inscrição em "${evento.titulo}" (${evento.dataFormatada || evento.data}, ${evento.local}) está confirmada.`,
+    ...linhasIngresso(inscricao),
+    '',
+    'Se não puder mais participar, use o link de cancelamento do primeiro email.'
+  ].join('\n')
+});
+
+// Envio de email não deve desfazer uma inscrição já gravada
+const enviarSemFalhar = (envio) => envio.catch(erro => console.error('Erro ao enviar email de inscrição:', erro));
+
+// Confirmar inscrições da lista de espera enquanto houver vagas; devolve as promovidas.
+// Deve ser chamada dentro de storage.inscricoes.atualizar.
+const promoverNaLista = (inscricoes, evento) => {
+  const doEvento = inscricoes.filter(i => i.eventoId === evento.id);
+  const confirmadas = doEvento.filter(i => i.status === 'confirmada').length;
+  const capacidade = evento.capacidade ?? null;
+  const vagas = capacidade === null ? Infinity : capacidade - confirmadas;
+  if (vagas <= 0) return [];
+
+  const agora = new Date().toISOString();
+  const promovidas = doEvento
+    .filter(i => i.status === 'espera')
+    .sort(porOrdemDeChegada)
+    .slice(0, vagas);
+
+  promovidas.forEach(inscricao => {
+    inscricao.status = 'confirmada';
+    inscricao.promovidaEm = agora;
+    inscricao.atualizadoEm = agora;
+  });
+  return promovidas;
+};
+
+const buscarEvento = async (eventoId) => {
+  const evento = await storage.eventos.buscarPorId(eventoId);
+  if (!evento || !evento.ativo) {
+    throw new AppError(404, 'EVENT_NOT_FOUND', 'Evento não encontrado');
+  }
+  return evento;
+};
+
+// Inscrever no evento; confirma se houver vaga, senão coloca na lista de espera.
+// Devolve { inscricao, token } com o token de cancelamento em claro.
+const inscrever = async (eventoId, { nome, email, curso, semestre }) => {
+  const evento = await buscarEvento(eventoId);
+  if (!inscricoesAbertas(evento)) {
+    throw new AppError(400, 'RSVP_CLOSED', 'As inscrições para este evento não estão abertas');
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const emailNormalizado = email.trim().toLowerCase();
+  const agora = new Date().toISOString();
+
+  const inscricao = await storage.inscricoes.atualizar((inscricoes) => {
+    const doEvento = inscricoes.filter(i => i.eventoId === eventoId && ativa(i));
+    if (doEvento.some(i => i.email === emailNormalizado)) {
+      throw new AppError(400, 'RSVP_ALREADY_REGISTERED', 'Este email já está inscrito no evento');
+    }
+
+    const confirmadas = doEvento.filter(i => i.status === 'confirmada').length;
+    const lotado = evento.capacidade != null && confirmadas >= evento.capacidade;
+
+    const registro = {
+      id: Math.max(...inscricoes.map(i => i.id), 0) + 1,
+      eventoId,
+      nome,
+      email: emailNormalizado,
+      curso,
+      semestre,
+      status: lotado ? 'espera' : 'confirmada',
+      tokenCancelamentoHash: hashToken(token),
+      criadoEm: agora,
+      atualizadoEm: agora,
+      promovidaEm: null,
+      canceladaEm: null,
+      canceladaPor: null
+    };
+
+    inscricoes.push(registro);
+    return registro;
+  });
+
+  enviarSemFalhar(enviarConfirmacao(evento, inscricao, token));
+  return { inscricao, token };
+};
+
+// Cancelar (pelo token do email ou por um admin) e promover a lista de espera.
+// canceladaPor fica registrado como 'inscrito' ou 'admin'.
+const cancelar = async (eventoId, { token = null, inscricaoId = null, canceladaPor = 'inscrito' }) => {
+  const evento = await storage.eventos.buscarPorId(eventoId);
+  if (!evento) {
+    throw new AppError(404, 'EVENT_NOT_FOUND', 'Evento não encontrado');
+  }
+
+  const hash = token ? hashToken(String(token)) : null;
+
+  const promovidas = await storage.inscricoes.atualizar((inscricoes) => {
+    const inscricao = inscricoes.find(i => i.eventoId === eventoId && ativa(i)
+      && (hash ? i.tokenCancelamentoHash === hash : i.id === inscricaoId));
+    if (!inscricao) {
+      throw token
+        ? new AppError(400, 'RSVP_CANCEL_TOKEN_INVALID', 'Link de cancelamento inválido ou já utilizado')
+        : new AppError(404, 'RSVP_NOT_FOUND', 'Inscrição não encontrada');
+    }
+
+    const agora = new Date().toISOString();
+    inscricao.status = 'cancelada';
+    inscricao.canceladaEm = agora;
+    inscricao.canceladaPor = canceladaPor;
+    inscricao.atualizadoEm = agora;
+
+    return promoverNaLista(inscricoes, evento);
+  });
+
+  promovidas.forEach(inscricao => enviarSemFalhar(enviarPromocao(evento, inscricao)));
+  return promovidas;
+};
+
+// Alterar o status de uma inscrição manualmente (admin). Confirmar manualmente ignora a capacidade.
+const alterarStatus = async (eventoId, inscricaoId, status) => {
+  if (status === 'cancelada') {
+    await cancelar(eventoId, { inscricaoId, canceladaPor: 'admin' });
+    return storage.inscricoes.buscarPorId(inscricaoId);
+  }
+
+  const evento = await storage.eventos.buscarPorId(eventoId);
+  if (!evento) {
+    throw new AppError(404, 'EVENT_NOT_FOUND', 'Evento não encontrado');
+  }
+
+  const { inscricao, promovidas } = await storage.inscricoes.atualizar((inscricoes) => {
+    const registro = inscricoes.find(i => i.eventoId === eventoId && i.id === inscricaoId);
+    if (!registro) {
+      throw new AppError(404, 'RSVP_NOT_FOUND', 'Inscrição não encontrada');
+    }
+
+    const agora = new Date().toISOString();
+    const estavaConfirmada = registro.status === 'confirmada';
+    registro.status = status;
+    registro.canceladaEm = null;
+    registro.canceladaPor = null;
+    registro.atualizadoEm = agora;
+
+    // Mover alguém confirmado para a espera libera a vaga para o primeiro da fila
+    return {
+      inscricao: registro,
+      promovidas: estavaConfirmada && status === 'espera'
+        ? promoverNaLista(inscricoes.filter(i => i.id !== registro.id), evento)
+        : []
+    };
+  });
+
+  promovidas.forEach(promovida => enviarSemFalhar(enviarPromocao(evento, promovida)));
+  return inscricao;
+};
+
+// Apagar uma inscrição (ex.: a pedido do inscrito); a vaga liberada vai para a lista de espera
+const removerInscricao = async (eventoId, inscricaoId) => {
+  const evento = await storage.eventos.buscarPorId(eventoId);
+  if (!evento) {
+    throw new AppError(404, 'EVENT_NOT_FOUND', 'Evento não encontrado');
+  }
+
+  const promovidas = await storage.inscricoes.atualizar((inscricoes) => {
+    const indice = inscricoes.findIndex(i => i.eventoId === eventoId && i.id === inscricaoId);
+    if (indice === -1) {
+      throw new AppError(404, 'RSVP_NOT_FOUND', 'Inscrição não encontrada');
+    }
+
+    inscricoes.splice(indice, 1);
+    return promoverNaLista(inscricoes, evento);
+  });
+
+  promovidas.forEach(inscricao => enviarSemFalhar(enviarPromocao(evento, inscricao)));
+};
+
+// Após mudar capacidade ou abrir inscrições, ocupar as vagas novas com a lista de espera
+const reavaliarListaDeEspera = async (evento) => {
+  const promovidas = await storage.inscricoes.atualizar(inscricoes => promoverNaLista(inscricoes, evento));
+  promovidas.forEach(inscricao => enviarSemFalhar(enviarPromocao(evento, inscricao)));
+  return promovidas;
+};
+
+// Dados de uma inscrição que podem ser expostos (sem o hash do token)
+const inscricaoPublica = ({ tokenCancelamentoHash, ...inscricao }) => inscricao;
+
+module.exports = {
+  STATUS,
+  porOrdemDeChegada,
+  inscricoesAbertas,
+  resumo,
+  comInscricoes,
+  inscrever,
+  cancelar,
+  alterarStatus,
+  removerInscricao,
+  reavaliarListaDeEspera,
+  inscricaoPublica
+};
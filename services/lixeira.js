@@ -0,0 +1,215 @@
+// Lixeira de eventos e notícias excluídos.
+//
+// Excluir um evento (DELETE ou ativo: false) ou uma notícia (DELETE) grava registro.exclusao = { em, por }
+// e o registro sai do site; notícias só arquivadas (status arquivado) não estão na lixeira. Da lixeira o
+// registro pode ser restaurado ou excluído definitivamente; o agendador (services/agendador.js) exclui os
+// que passaram do prazo de retenção. A exclusão definitiva apaga também
+// as versões do registro, as inscrições do evento e as imagens enviadas que nenhum outro registro usa;
+// certificados já emitidos continuam verificáveis. Ocorrências excluídas junto com a série não passam
+// pela lixeira.
+//
+// Variáveis de ambiente:
+//   TRASH_RETENTION_DAYS  dias na lixeira antes da exclusão definitiva (padrão 30; 0 mantém para sempre)
+
+const fs = require('fs').promises;
+const path = require('path');
+const storage = require('../storage');
+const { AppError } = require('../utils/errors');
+const { definirStatus } = require('./noticias');
+const { aguardandoAprovacao } = require('./revisao');
+const { marcarExcecao } = require('./series');
+
+const RETENCAO_PADRAO_DIAS = 30;
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+const TIPOS = {
+  eventos: {
+    permissao: 'eventos:publish',
+    // Rascunho que ainda não foi aprovado volta como rascunho, fora do site
+    restaurar: (evento) => {
+      evento.ativo = !aguardandoAprovacao(evento);
+      evento.sequencia = (evento.sequencia || 0) + 1;
+    },
+    // Ocorrência restaurada deixa de ser exceção da série
+    aposRestaurar: (evento) => evento.serieId && marcarExcecao(evento.serieId, evento.dataOriginal, false),
+    aposExcluir: (evento) => storage.inscricoes.atualizar((inscricoes) => {
+      removerOnde(inscricoes, inscricao => inscricao.eventoId === evento.id);
+    })
+  },
+  noticias: {
+    permissao: 'noticias:publish',
+    // Volta ao status de antes da exclusão; agendada cujo horário passou na lixeira é publicada
+    restaurar: (noticia, agora) => {
+      const { status = 'rascunho', publicarEm = null } = noticia.exclusao;
+      const vencida = status === 'agendado' && new Date(publicarEm) <= agora;
+      definirStatus(noticia, {
+        status: vencida ? 'publicado' : status,
+        publicarEm: status === 'agendado' && !vencida ? publicarEm : undefined
+      }, agora);
+    }
+  }
+};
+
+const removerOnde = (lista, criterio) => {
+  for (let i = lista.length - 1; i >= 0; i--) {
+    if (criterio(lista[i])) {
+      lista.splice(i, 1);
+    }
+  }
+};
+
+const retencaoDias = () => {
+  const valor = parseInt(process.env.TRASH_RETENTION_DAYS);
+  return Number.isNaN(valor) ? RETENCAO_PADRAO_DIAS : valor;
+};
+
+// Data da exclusão definitiva automática (null se a retenção estiver desligada)
+const expiraEm = (exclusao) => {
+  const dias = retencaoDias();
+  if (dias <= 0) {
+    return null;
+  }
+
+  const data = new Date(exclusao.em);
+  data.setDate(data.getDate() + dias);
+  return data.toISOString();
+};
+
+const tipoDaLixeira = (tipo) => {
+  if (!TIPOS[tipo]) {
+    throw new AppError(400, 'VALIDATION_FAILED', 'Dados inválidos', [
+      { campo: 'tipo', mensagem: `deve ser um dos valores: ${Object.keys(TIPOS).join(', ')}` }
+    ]);
+  }
+  return TIPOS[tipo];
+};
+
+// Registro ativo não está na lixeira, mesmo que ainda tenha exclusao de antes de ser reativado
+const naLixeira = (registro) => Boolean(registro.exclusao) && registro.ativo !== true;
+
+const itemNaoEncontrado = () => new AppError(404, 'TRASH_ITEM_NOT_FOUND', 'Item não encontrado na lixeira');
+
+// Marca o registro como excluído; extras guardam o que a restauração precisa (ex.: status anterior)
+const registrarExclusao = (registro, por = null, extras = {}, agora = new Date()) => {
+  registro.exclusao = { em: agora.toISOString(), por, ...extras };
+};
+
+const itemDaLixeira = (tipo, registro) => ({
+  tipo,
+  id: registro.id,
+  titulo: registro.titulo,
+  imagem: registro.imagem || null,
+  excluidoEm: registro.exclusao.em,
+  excluidoPor: registro.exclusao.por,
+  expiraEm: expiraEm(registro.exclusao)
+});
+
+// Itens na lixeira, dos excluídos mais recentemente aos mais antigos
+const listarLixeira = async (tipos = Object.keys(TIPOS)) => {
+  const itens = [];
+  for (const tipo of tipos) {
+    (await storage[tipo].ler())
+      .filter(naLixeira)
+      .forEach(registro => itens.push(itemDaLixeira(tipo, registro)));
+  }
+  return itens.sort((a, b) => b.excluidoEm.localeCompare(a.excluidoEm));
+};
+
+const restaurarDaLixeira = async (tipo, id) => {
+  const { restaurar, aposRestaurar } = tipoDaLixeira(tipo);
+
+  const registro = await storage[tipo].atualizar((registros) => {
+    const encontrado = registros.find(r => r.id === id && naLixeira(r));
+    if (!encontrado) {
+      throw itemNaoEncontrado();
+    }
+
+    const agora = new Date();
+    restaurar(encontrado, agora);
+    encontrado.exclusao = null;
+    encontrado.atualizadoEm = agora.toISOString();
+    return encontrado;
+  });
+
+  if (aposRestaurar) {
+    await aposRestaurar(registro);
+  }
+  return registro;
+};
+
+// Nome do arquivo em uploads/ referenciado por uma URL de imagem (/uploads/arquivo ou http://.../uploads/arquivo)
+const arquivoEnviado = (imagem) => {
+  const encontrado = typeof imagem === 'string' && imagem.match(/\/uploads\/([^/?#]+)$/);
+  return encontrado ? encontrado[1] : null;
+};
+
+// Apaga as imagens enviadas que nenhum evento, notícia, série ou versão ainda usa
+const limparImagens = async (arquivos) => {
+  if (!arquivos.size) {
+    return;
+  }
+
+  const [eventos, noticias, series, versoes] = await Promise.all([
+    storage.eventos.ler(), storage.noticias.ler(), storage.series.ler(), storage.versoes.ler()
+  ]);
+  const emUso = new Set([...eventos, ...noticias, ...series, ...versoes.map(v => v.dados)]
+    .map(registro => arquivoEnviado(registro.imagem)));
+
+  for (const arquivo of arquivos) {
+    if (emUso.has(arquivo)) continue;
+    try {
+      await fs.unlink(path.join(UPLOADS_DIR, arquivo));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+};
+
+const excluirDefinitivamente = async (tipo, id) => {
+  const { aposExcluir } = tipoDaLixeira(tipo);
+
+  const registro = await storage[tipo].atualizar((registros) => {
+    const indice = registros.findIndex(r => r.id === id && naLixeira(r));
+    if (indice === -1) {
+      throw itemNaoEncontrado();
+    }
+    return registros.splice(indice, 1)[0];
+  });
+
+  // Imagens usadas pelo registro em qualquer versão dele
+  const arquivos = new Set([arquivoEnviado(registro.imagem)]);
+  await storage.versoes.atualizar((versoes) => {
+    versoes
+      .filter(versao => versao.colecao === tipo && versao.registroId === id)
+      .forEach(versao => arquivos.add(arquivoEnviado(versao.dados.imagem)));
+    removerOnde(versoes, versao => versao.colecao === tipo && versao.registroId === id);
+  });
+  arquivos.delete(null);
+
+  if (aposExcluir) {
+    await aposExcluir(registro);
+  }
+  await limparImagens(arquivos);
+  return registro;
+};
+
+// Exclui definitivamente os itens além do prazo de retenção; devolve quantos foram excluídos
+const purgarExpirados = async () => {
+  const agora = new Date().toISOString();
+  const expirados = (await listarLixeira()).filter(item => item.expiraEm && item.expiraEm <= agora);
+
+  for (const item of expirados) {
+    await excluirDefinitivamente(item.tipo, item.id);
+  }
+  return expirados.length;
+};
+
+module.exports = {
+  TIPOS,
+  tipoDaLixeira,
+  registrarExclusao,
+  listarLixeira,
+  restaurarDaLixeira,
+  excluirDefinitivamente,
+  purgarExpirados
+};
@@ -0,0 +1,78 @@
+// Envio de emails do painel (redefinição de senha, convites...).
+//
+// O transporte é escolhido por MAIL_TRANSPORT:
+//   outbox  grava cada email como JSON em MAIL_OUTBOX_DIR (padrão data/outbox); para desenvolvimento e testes
+//   smtp    envia pelo servidor em SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+// O remetente vem de MAIL_FROM.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const REMETENTE_PADRAO = 'Blockchain Insper <no-reply@blockchaininsper.com.br>';
+
+const criarTransporteOutbox = ({ diretorio }) => ({
+  nome: 'outbox',
+  enviar: async (mensagem) => {
+    await fs.mkdir(diretorio, { recursive: true });
+
+    const enviadoEm = new Date().toISOString();
+    const id = `${enviadoEm.replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.writeFile(path.join(diretorio, `${id}.json`), JSON.stringify({ id, enviadoEm, ...mensagem }, null, 2));
+
+    return { id };
+  }
+});
+
+const criarTransporteSmtp = () => {
+  const nodemailer = require('nodemailer');
+  const transportador = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    nome: 'smtp',
+    enviar: async ({ de, para, assunto, texto, html }) => {
+      const info = await transportador.sendMail({ from: de, to: para, subject: assunto, text: texto, html });
+      return { id: info.messageId };
+    }
+  };
+};
+
+// Instancia o transporte escolhido (MAIL_TRANSPORT=outbox|smtp)
+const criarTransporte = (nome = process.env.MAIL_TRANSPORT || 'outbox') => {
+  switch (nome) {
+    case 'outbox':
+      return criarTransporteOutbox({
+        diretorio: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../data/outbox')
+      });
+    case 'smtp':
+      return criarTransporteSmtp();
+    default:
+      throw new Error(`Transporte de email desconhecido: ${nome}`);
+  }
+};
+
+let transporte = null;
+
+// Enviar um email; devolve { id } do transporte
+const enviarEmail = ({ para, assunto, texto, html }) => {
+  transporte = transporte || criarTransporte();
+  return transporte.enviar({
+    de: process.env.MAIL_FROM || REMETENTE_PADRAO,
+    para,
+    assunto,
+    texto,
+    html
+  });
+};
+
+module.exports = {
+  criarTransporte,
+  enviarEmail
+};
@@ -0,0 +1,101 @@
+// Ciclo de publicação das notícias: rascunho → agendado (publicarEm) → publicado → arquivado.
+//
+// Uma notícia agendada cujo publicarEm já passou conta como publicada em toda leitura, mesmo antes de o
+// agendador (services/agendador.js) gravar a mudança; assim nada depende do timer estar rodando.
+
+const storage = require('../storage');
+const { AppError } = require('../utils/errors');
+const { definirSlug } = require('../utils/slug');
+const { criarFluxoRevisao } = require('./revisao');
+
+const vencida = (noticia, agora) => noticia.status === 'agendado' && new Date(noticia.publicarEm) <= agora;
+
+// Publica (no próprio registro) a notícia agendada que já venceu; devolve se houve mudança
+const publicarSeVencida = (noticia, agora = new Date()) => {
+  if (!vencida(noticia, agora)) {
+    return false;
+  }
+
+  noticia.status = 'publicado';
+  noticia.publicadoEm = noticia.publicarEm;
+  noticia.publicarEm = null;
+  return true;
+};
+
+// Notícia como deve ser exibida agora, sem alterar o registro guardado
+const noticiaAtual = (noticia, agora = new Date()) => {
+  const copia = { ...noticia };
+  publicarSeVencida(copia, agora);
+  return copia;
+};
+
+// Notícias visíveis no site neste momento
+const noticiasPublicadas = (noticias, agora = new Date()) => noticias
+  .map(noticia => noticiaAtual(noticia, agora))
+  .filter(noticia => noticia.status === 'publicado');
+
+// Aplica status e publicarEm pedidos ao registro (no lugar), validando o agendamento.
+// Arquivar só tira a notícia do site; ela vai para a lixeira (services/lixeira.js) apenas pelo DELETE.
+// Uma notícia excluída que volta a ter outro status sai da lixeira.
+const definirStatus = (noticia, { status = noticia.status, publicarEm }, agora = new Date()) => {
+  if (status !== 'arquivado' && noticia.exclusao) {
+    noticia.exclusao = null;
+  }
+
+  if (status === 'agendado') {
+    const quando = publicarEm !== undefined ? publicarEm : noticia.publicarEm;
+    if (!quando) {
+      throw new AppError(400, 'NEWS_SCHEDULE_REQUIRED', 'Informe publicarEm para agendar a notícia');
+    }
+    if (new Date(quando) <= agora) {
+      throw new AppError(400, 'NEWS_INVALID_SCHEDULE', 'publicarEm deve estar no futuro');
+    }
+    noticia.publicarEm = new Date(quando).toISOString();
+  } else {
+    if (publicarEm) {
+      throw new AppError(400, 'NEWS_INVALID_SCHEDULE', 'publicarEm só pode ser usado com status "agendado"');
+    }
+    noticia.publicarEm = null;
+  }
+
+  if (status === 'publicado' && noticia.status !== 'publicado') {
+    noticia.publicadoEm = agora.toISOString();
+  }
+  noticia.status = status;
+};
+
+// Slug informado pelo editor ou gerado do título
+const definirSlugDaNoticia = (noticia, noticias, slug) => definirSlug(noticia, noticias, {
+  slug,
+  texto: noticia.titulo,
+  padrao: 'noticia'
+});
+
+// Grava a publicação das agendadas vencidas; devolve quantas foram publicadas
+const publicarAgendadas = async () => {
+  const agora = new Date();
+  return storage.noticias.atualizar((noticias) => noticias.filter(noticia => publicarSeVencida(noticia, agora)).length);
+};
+
+// Revisão editorial: só rascunhos são enviados; a aprovação publica na hora ou agenda para publicarEm
+const revisaoNoticias = criarFluxoRevisao({
+  colecao: 'noticias',
+  permissao: 'noticias:publish',
+  noAr: (noticia) => ['agendado', 'publicado'].includes(noticia.status),
+  podeEnviar: (noticia) => noticia.status === 'rascunho',
+  publicar: (noticia, { publicarEm }, agora) => definirStatus(noticia, {
+    status: publicarEm ? 'agendado' : 'publicado',
+    publicarEm
+  }, agora),
+  naoEncontrado: () => new AppError(404, 'NEWS_NOT_FOUND', 'Notícia não encontrada')
+});
+
+module.exports = {
+  publicarSeVencida,
+  noticiaAtual,
+  noticiasPublicadas,
+  definirStatus,
+  definirSlugDaNoticia,
+  publicarAgendadas,
+  revisaoNoticias
+};
@@ -0,0 +1,108 @@
+// Redefinição de senha pelo próprio admin ("esqueci minha senha").
+//
+// O link enviado por email leva um token aleatório de uso único; só o hash SHA-256 fica
+// gravado em admin.redefinicaoSenha, junto com a validade. Pedir outro link substitui o anterior.
+//
+// Variáveis de ambiente:
+//   PASSWORD_RESET_EXPIRE_MINUTES  validade do link (padrão 60)
+//   PASSWORD_RESET_URL             página do frontend que recebe ?token= (padrão FRONTEND_URL/admin/redefinir-senha)
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const storage = require('../storage');
+const { AppError } = require('../utils/errors');
+const { enviarEmail } = require('./mailer');
+const { revogarSessoesDoAdmin } = require('./sessoes');
+
+// Intervalo mínimo entre dois emails de redefinição para a mesma conta
+const INTERVALO_MINIMO_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const minutosDeValidade = () => parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+const urlRedefinicao = (token) => {
+  const base = process.env.PASSWORD_RESET_URL
+    || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/admin/redefinir-senha`;
+  return `${base}?token=${encodeURIComponent(token)}`;
+};
+
+const tokenInvalido = () => new AppError(400, 'AUTH_RESET_TOKEN_INVALID', 'Link de redefinição inválido ou expirado');
+
+// Gerar o token e enviar o email. Emails desconhecidos ou de contas inativas são ignorados
+// em silêncio, para a resposta não revelar quais contas existem.
+const solicitarRedefinicao = async (email, { ip = null } = {}) => {
+  const agora = new Date();
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const admin = await storage.admins.atualizar((admins) => {
+    const registro = admins.find(a => a.email === email && a.ativo);
+    if (!registro) return null;
+
+    const anterior = registro.redefinicaoSenha;
+    if (anterior && agora - new Date(anterior.solicitadoEm) < INTERVALO_MINIMO_MS) {
+      return null;
+    }
+
+    registro.redefinicaoSenha = {
+      tokenHash: hashToken(token),
+      solicitadoEm: agora.toISOString(),
+      expiraEm: new Date(agora.getTime() + minutosDeValidade() * 60 * 1000).toISOString(),
+      ip
+    };
+    return registro;
+  });
+
+  if (!admin) return;
+
+  await enviarEmail({
+    para: admin.email,
+    assunto: 'Redefinição de senha - Painel Blockchain Insper',
+    texto: [
+      `Olá, ${admin.nome}.`,
+      '',
+      'Recebemos um pedido para redefinir a senha da sua conta no painel da Blockchain Insper.',
+      `Para escolher uma nova senha, acesse o link abaixo (válido por ${minutosDeValidade()} minutos):`,
+      '',
+      urlRedefinicao(token),
+      '',
+      'Se você não fez esse pedido, ignore este email; sua senha continua a mesma.'
+    ].join('\n')
+  });
+};
+
+// Trocar a senha usando o token do email. O token é consumido e todas as sessões são encerradas.
+const redefinirSenha = async (token, novaSenha) => {
+  const hash = hashToken(String(token));
+  const agora = new Date();
+  const senhaHash = await bcrypt.hash(novaSenha, 10);
+
+  const adminId = await storage.admins.atualizar((admins) => {
+    const registro = admins.find(a => a.redefinicaoSenha && a.redefinicaoSenha.tokenHash === hash);
+    if (!registro) return null;
+
+    const { expiraEm } = registro.redefinicaoSenha;
+    delete registro.redefinicaoSenha;
+
+    if (!registro.ativo || new Date(expiraEm) <= agora) {
+      return null;
+    }
+
+    registro.senha = senhaHash;
+    // Senha redefinida invalida os tokens já emitidos
+    registro.versaoToken = (registro.versaoToken || 0) + 1;
+    registro.atualizadoEm = agora.toISOString();
+    return registro.id;
+  });
+
+  if (adminId === null) {
+    throw tokenInvalido();
+  }
+
+  await revogarSessoesDoAdmin(adminId, { motivo: 'senha_redefinida' });
+};
+
+module.exports = {
+  solicitarRedefinicao,
+  redefinirSenha
+};
@@ -0,0 +1,95 @@
+// Revisão editorial de notícias e eventos: quem não pode publicar escreve o conteúdo e o envia para revisão;
+// quem tem a permissão de publicar aprova (publicando) ou rejeita com um comentário.
+//
+//   rascunho ──enviar──▶ pendente ──aprovar──▶ aprovado (publicado)
+//                          ▲    └──rejeitar──▶ rejeitado
+//                          └───────enviar───────┘
+//
+// registro.estadoRevisao guarda o estado atual (null ou ausente: criado por quem já podia publicar) e
+// registro.historicoRevisao cada transição, como { de, para, por, comentario, em }. Conteúdo já no ar só é
+// editado por quem pode publicar, senão a edição entraria no site sem passar pela revisão.
+
+const storage = require('../storage');
+const { AppError } = require('../utils/errors');
+
+// Conteúdo do fluxo de revisão que ainda não foi aprovado
+const aguardandoAprovacao = (registro) => ['rascunho', 'pendente', 'rejeitado'].includes(registro.estadoRevisao);
+
+const registrarTransicao = (registro, para, { por = null, comentario = null }, agora) => {
+  registro.historicoRevisao = [
+    ...(registro.historicoRevisao || []),
+    { de: registro.estadoRevisao || null, para, por, comentario, em: agora.toISOString() }
+  ];
+  registro.estadoRevisao = para;
+  registro.atualizadoEm = agora.toISOString();
+};
+
+// Publicação direta (sem passar pelas rotas de revisão) de conteúdo que aguardava aprovação conta como aprovação
+const aprovarAoPublicar = (registro, por, agora = new Date()) => {
+  if (aguardandoAprovacao(registro)) {
+    registrarTransicao(registro, 'aprovado', { por }, agora);
+  }
+};
+
+const exigirPendente = (registro) => {
+  if (registro.estadoRevisao !== 'pendente') {
+    throw new AppError(409, 'REVIEW_NOT_PENDING', 'O conteúdo não está aguardando revisão');
+  }
+};
+
+// Fluxo de revisão de uma coleção:
+//   permissao                            permissão de publicar (ex.: eventos:publish)
+//   noAr(registro)                       se o registro está publicado (ou agendado para publicar sozinho)
+//   podeEnviar(registro)                 se o registro pode ser enviado (ex.: ainda não publicado)
+//   publicar(registro, dados, agora)     publica o registro aprovado; dados vêm do corpo da aprovação
+//   naoEncontrado()                      erro 404 da coleção
+const criarFluxoRevisao = ({ colecao, permissao, noAr, podeEnviar, publicar, naoEncontrado }) => {
+  const alterar = (id, alteracao) => storage[colecao].atualizar((registros) => {
+    const registro = registros.find(r => r.id === id);
+    if (!registro) {
+      throw naoEncontrado();
+    }
+
+    alteracao(registro, new Date());
+    return registro;
+  });
+
+  const enviar = (id, { por, comentario }) => alterar(id, (registro, agora) => {
+    if (registro.estadoRevisao === 'pendente') {
+      throw new AppError(409, 'REVIEW_ALREADY_PENDING', 'O conteúdo já está aguardando revisão');
+    }
+    if (!podeEnviar(registro)) {
+      throw new AppError(409, 'REVIEW_NOT_ALLOWED', 'Somente conteúdo ainda não publicado pode ser enviado para revisão');
+    }
+    registrarTransicao(registro, 'pendente', { por, comentario }, agora);
+  });
+
+  const aprovar = (id, { por, comentario, ...dados }) => alterar(id, (registro, agora) => {
+    exigirPendente(registro);
+    publicar(registro, dados, agora);
+    registrarTransicao(registro, 'aprovado', { por, comentario }, agora);
+  });
+
+  const rejeitar = (id, { por, comentario }) => alterar(id, (registro, agora) => {
+    if (!comentario) {
+      throw new AppError(400, 'REVIEW_COMMENT_REQUIRED', 'Informe um comentário explicando a rejeição');
+    }
+    exigirPendente(registro);
+    registrarTransicao(registro, 'rejeitado', { por, comentario }, agora);
+  });
+
+  // Alterar conteúdo no ar (edição, restauração de versão) exige a permissão de publicar
+  const verificarEdicao = (registro, permissoes) => {
+    if (noAr(registro) && !permissoes.includes(permissao)) {
+      throw new AppError(403, 'AUTH_FORBIDDEN', `Acesso negado. Alterar conteúdo publicado exige ${permissao}`);
+    }
+  };
+
+  return { enviar, aprovar, rejeitar, verificarEdicao };
+};
+
+module.exports = {
+  aguardandoAprovacao,
+  aprovarAoPublicar,
+  criarFluxoRevisao
+};
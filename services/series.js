@@ -0,0 +1,313 @@
+// Séries de eventos recorrentes (grupos de estudo semanais, bootcamps de vários dias).
+//
+// A série guarda o modelo (CAMPOS_MODELO de schemas/serie.js), a regra de recorrência e as exceções.
+// Cada ocorrência é gravada como um evento comum com serieId e dataOriginal (a data gerada pela regra),
+// então listagens, feeds iCalendar, inscrições, check-in e certificados funcionam por ocorrência.
+//
+// serie.recorrencia:
+//   frequencia  semanal | quinzenal | datas
+//   inicio/fim  primeira e última data (semanal e quinzenal)
+//   datas       datas avulsas (frequencia datas)
+// serie.excecoes: datas da regra que não têm ocorrência (feriados, ocorrências excluídas).
+//
+// Alterações feitas a partir de uma ocorrência têm escopo ocorrencia, seguintes ou serie. Em "seguintes"
+// a série é dividida: a original termina antes da ocorrência e uma nova série segue dela em diante.
+// Alterar o modelo sobrescreve o campo em todas as ocorrências do escopo, inclusive as editadas uma a uma.
+
+const storage = require('../storage');
+const { AppError } = require('../utils/errors');
+const { CAMPOS_MODELO, MAXIMO_OCORRENCIAS } = require('../schemas/serie');
+const { verificarHorario, montarEvento, proximoId, definirSlugDoEvento, IMAGEM_PADRAO } = require('./eventos');
+const { reavaliarListaDeEspera } = require('./inscricoes');
+
+const ESCOPOS = ['ocorrencia', 'seguintes', 'serie'];
+const PASSO_EM_DIAS = { semanal: 7, quinzenal: 14 };
+
+const MODELO_PADRAO = {
+  horaInicio: null,
+  horaFim: null,
+  imagem: IMAGEM_PADRAO,
+  inscricoesAbertas: false,
+  capacidade: null,
+  cargaHoraria: null
+};
+
+const somarDias = (data, dias) => {
+  const dia = new Date(`${data}T00:00:00Z`);
+  dia.setUTCDate(dia.getUTCDate() + dias);
+  return dia.toISOString().slice(0, 10);
+};
+
+const porData = (a, b) => String(a.data).localeCompare(String(b.data)) || a.id - b.id;
+
+const regraInvalida = (mensagem) => new AppError(400, 'SERIES_INVALID_RULE', mensagem);
+
+const serieNaoEncontrada = () => new AppError(404, 'SERIES_NOT_FOUND', 'Série não encontrada');
+
+const modeloDe = (serie) => Object.fromEntries(CAMPOS_MODELO.map(campo => [campo, serie[campo]]));
+
+const ordenarDatas = (datas) => [...new Set(datas)].sort();
+
+// Regra gravada só com os campos da frequência escolhida
+const normalizarRecorrencia = ({ frequencia, inicio, fim, datas } = {}) => {
+  if (frequencia === 'datas') {
+    if (!datas || datas.length === 0) throw regraInvalida('Informe as datas da série');
+    return { frequencia, datas: ordenarDatas(datas) };
+  }
+  if (!PASSO_EM_DIAS[frequencia]) {
+    throw regraInvalida('frequencia deve ser semanal, quinzenal ou datas');
+  }
+  if (!inicio || !fim) throw regraInvalida('Informe inicio e fim da recorrência');
+  if (fim < inicio) throw regraInvalida('fim não pode ser anterior a inicio');
+  return { frequencia, inicio, fim };
+};
+
+// Datas geradas pela regra, sem as exceções
+const datasDaSerie = (serie) => {
+  const { frequencia, inicio, fim, datas } = serie.recorrencia;
+  let geradas = datas || [];
+
+  if (frequencia !== 'datas') {
+    geradas = [];
+    for (let data = inicio; data <= fim && geradas.length <= MAXIMO_OCORRENCIAS; data = somarDias(data, PASSO_EM_DIAS[frequencia])) {
+      geradas.push(data);
+    }
+  }
+  if (geradas.length > MAXIMO_OCORRENCIAS) {
+    throw regraInvalida(`A série pode ter no máximo ${MAXIMO_OCORRENCIAS} ocorrências`);
+  }
+
+  const excecoes = new Set(serie.excecoes);
+  return geradas.filter(data => !excecoes.has(data));
+};
+
+const validarSerie = (serie) => {
+  verificarHorario(serie);
+  if (datasDaSerie(serie).length === 0) {
+    throw regraInvalida('A regra não gera nenhuma ocorrência');
+  }
+};
+
+// Criar, atualizar ou desativar as ocorrências para refletir a série; devolve as ocorrências em ordem de data
+const sincronizarOcorrencias = async (serie, camposAlterados = []) => {
+  const datas = new Set(serie.ativo ? datasDaSerie(serie) : []);
+  // Horários vão juntos para a ocorrência não ficar com horaFim antes de horaInicio
+  const campos = camposAlterados.some(campo => ['horaInicio', 'horaFim'].includes(campo))
+    ? [...new Set([...camposAlterados, 'horaInicio', 'horaFim'])]
+    : camposAlterados;
+
+  const ocorrencias = await storage.eventos.atualizar((eventos) => {
+    const agora = new Date().toISOString();
+    const daSerie = eventos.filter(e => e.serieId === serie.id);
+
+    daSerie.forEach(ocorrencia => {
+      const alterados = campos.filter(campo => ocorrencia[campo] !== serie[campo]);
+      const ativa = datas.has(ocorrencia.dataOriginal);
+
+      // Ocorrência que volta a existir na série sai da lixeira
+      const naLixeira = ativa && Boolean(ocorrencia.exclusao);
+      if (alterados.length === 0 && ocorrencia.ativo === ativa && !naLixeira) return;
+
+      alterados.forEach(campo => { ocorrencia[campo] = serie[campo]; });
+      if (alterados.includes('titulo')) {
+        definirSlugDoEvento(ocorrencia, eventos);
+      }
+      ocorrencia.ativo = ativa;
+      if (naLixeira) {
+        ocorrencia.exclusao = null;
+      }
+      // SEQUENCE do iCalendar: faz as agendas aplicarem a alteração
+      ocorrencia.sequencia = (ocorrencia.sequencia || 0) + 1;
+      ocorrencia.atualizadoEm = agora;
+    });
+
+    const existentes = new Set(daSerie.map(ocorrencia => ocorrencia.dataOriginal));
+    [...datas].filter(data => !existentes.has(data)).forEach(data => {
+      const ocorrencia = {
+        ...montarEvento(proximoId(eventos), { ...modeloDe(serie), data }),
+        serieId: serie.id,
+        dataOriginal: data
+      };
+      definirSlugDoEvento(ocorrencia, eventos);
+      eventos.push(ocorrencia);
+    });
+
+    return eventos.filter(e => e.serieId === serie.id).sort(porData);
+  });
+
+  // Vagas a mais (ou sem limite) confirmam quem está na lista de espera
+  if (campos.includes('capacidade')) {
+    for (const ocorrencia of ocorrencias.filter(o => o.ativo)) {
+      await reavaliarListaDeEspera(ocorrencia);
+    }
+  }
+
+  return ocorrencias;
+};
+
+const criarSerie = async (dados) => {
+  const agora = new Date().toISOString();
+  const serie = {
+    ...Object.fromEntries(CAMPOS_MODELO.map(campo => [campo, dados[campo] ?? MODELO_PADRAO[campo]])),
+    recorrencia: normalizarRecorrencia(dados.recorrencia),
+    excecoes: ordenarDatas(dados.excecoes || [])
+  };
+
+  validarSerie(serie);
+
+  const registro = await storage.series.atualizar((series) => {
+    const nova = { id: proximoId(series), ...serie, ativo: true, criadoEm: agora, atualizadoEm: agora };
+    series.push(nova);
+    return nova;
+  });
+
+  return { serie: registro, ocorrencias: await sincronizarOcorrencias(registro) };
+};
+
+// Alterar modelo, regra e exceções da série inteira
+const atualizarSerie = async (id, dados) => {
+  const camposAlterados = CAMPOS_MODELO.filter(campo => dados[campo] !== undefined);
+
+  const serie = await storage.series.atualizar((series) => {
+    const registro = series.find(s => s.id === id && s.ativo);
+    if (!registro) throw serieNaoEncontrada();
+
+    camposAlterados.forEach(campo => { registro[campo] = dados[campo]; });
+    if (dados.recorrencia) registro.recorrencia = normalizarRecorrencia(dados.recorrencia);
+    if (dados.excecoes) registro.excecoes = ordenarDatas(dados.excecoes);
+
+    validarSerie(registro);
+    registro.atualizadoEm = new Date().toISOString();
+    return registro;
+  });
+
+  return { serie, ocorrencias: await sincronizarOcorrencias(serie, camposAlterados) };
+};
+
+// Excluir a série e desativar todas as ocorrências
+const excluirSerie = async (id) => {
+  const serie = await storage.series.atualizar((series) => {
+    const registro = series.find(s => s.id === id && s.ativo);
+    if (!registro) throw serieNaoEncontrada();
+
+    registro.ativo = false;
+    registro.atualizadoEm = new Date().toISOString();
+    return registro;
+  });
+
+  return sincronizarOcorrencias(serie);
+};
+
+// Dividir a série na data: a original termina no dia anterior e uma nova assume dali em diante
+const dividirSerie = async (id, data) => {
+  const agora = new Date().toISOString();
+  const antes = (dia) => dia < data;
+
+  const nova = await storage.series.atualizar((series) => {
+    const original = series.find(s => s.id === id && s.ativo);
+    if (!original) throw serieNaoEncontrada();
+
+    const { recorrencia, excecoes } = original;
+    const continuacao = {
+      ...original,
+      id: proximoId(series),
+      recorrencia: recorrencia.frequencia === 'datas'
+        ? { ...recorrencia, datas: recorrencia.datas.filter(dia => !antes(dia)) }
+        : { ...recorrencia, inicio: data },
+      excecoes: excecoes.filter(dia => !antes(dia)),
+      serieOrigemId: original.id,
+      criadoEm: agora,
+      atualizadoEm: agora
+    };
+
+    original.recorrencia = recorrencia.frequencia === 'datas'
+      ? { ...recorrencia, datas: recorrencia.datas.filter(antes) }
+      : { ...recorrencia, fim: somarDias(data, -1) };
+    original.excecoes = excecoes.filter(antes);
+    original.atualizadoEm = agora;
+
+    series.push(continuacao);
+    return continuacao;
+  });
+
+  await storage.eventos.atualizar((eventos) => {
+    eventos
+      .filter(e => e.serieId === id && e.dataOriginal >= data)
+      .forEach(e => { e.serieId = nova.id; });
+  });
+
+  return nova;
+};
+
+const buscarSerieAtiva = async (id) => {
+  const serie = await storage.series.buscarPorId(id);
+  if (!serie || !serie.ativo) throw serieNaoEncontrada();
+  return serie;
+};
+
+const verificarOcorrencia = (evento) => {
+  if (!evento.serieId) {
+    throw new AppError(400, 'EVENT_NOT_IN_SERIES', 'Este evento não faz parte de uma série');
+  }
+};
+
+// Série que cobre a ocorrência e as seguintes, dividindo a atual se necessário
+const serieAPartirDe = async (evento) => {
+  const serie = await buscarSerieAtiva(evento.serieId);
+  const primeira = serie.recorrencia.inicio || serie.recorrencia.datas[0];
+
+  return evento.dataOriginal <= primeira ? serie.id : (await dividirSerie(serie.id, evento.dataOriginal)).id;
+};
+
+// Alterar a partir de uma ocorrência com escopo seguintes ou serie (só campos do modelo)
+const alterarOcorrencias = async (evento, dados, escopo) => {
+  verificarOcorrencia(evento);
+
+  const foraDoModelo = Object.keys(dados).filter(campo => !CAMPOS_MODELO.includes(campo));
+  if (foraDoModelo.length) {
+    throw new AppError(400, 'SERIES_FIELD_NOT_ALLOWED',
+      `Com escopo ${escopo} só é possível alterar: ${CAMPOS_MODELO.join(', ')}`, { campos: foraDoModelo });
+  }
+
+  const serieId = escopo === 'seguintes' ? await serieAPartirDe(evento) : evento.serieId;
+  return atualizarSerie(serieId, dados);
+};
+
+// Excluir a partir de uma ocorrência com escopo seguintes ou serie
+const excluirOcorrencias = async (evento, escopo) => {
+  verificarOcorrencia(evento);
+
+  const serieId = escopo === 'seguintes' ? await serieAPartirDe(evento) : evento.serieId;
+  return excluirSerie(serieId);
+};
+
+// Manter serie.excecoes de acordo com uma ocorrência excluída ou reativada individualmente
+const marcarExcecao = (serieId, data, excecao) => storage.series.atualizar((series) => {
+  const serie = series.find(s => s.id === serieId);
+  if (!serie) return;
+
+  const excecoes = new Set(serie.excecoes);
+  if (excecao) excecoes.add(data);
+  else excecoes.delete(data);
+  serie.excecoes = ordenarDatas([...excecoes]);
+});
+
+// Série com as ocorrências ativas, para as respostas da API
+const comOcorrencias = (serie, eventos) => ({
+  ...serie,
+  ocorrencias: eventos
+    .filter(e => e.serieId === serie.id && e.ativo)
+    .sort(porData)
+    .map(e => ({ id: e.id, slug: e.slug, data: e.data, horaInicio: e.horaInicio, horaFim: e.horaFim }))
+});
+
+module.exports = {
+  ESCOPOS,
+  criarSerie,
+  atualizarSerie,
+  excluirSerie,
+  alterarOcorrencias,
+  excluirOcorrencias,
+  marcarExcecao,
+  comOcorrencias
+};
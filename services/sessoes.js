@@ -0,0 +1,202 @@
+// Sessões de login: access token JWT de curta duração + refresh token opaco e rotativo.
+//
+// O refresh token tem o formato "<id da sessão>.<segredo>" e só o hash SHA-256 é gravado.
+// A cada renovação o segredo muda; apresentar o segredo anterior indica que o token
+// vazou e revoga a sessão inteira.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const storage = require('../storage');
+const { AppError } = require('../utils/errors');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const diasDeValidade = () => parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+
+const calcularExpiracao = (agora) => new Date(agora.getTime() + diasDeValidade() * 24 * 60 * 60 * 1000).toISOString();
+
+const novoRefreshToken = (sessaoId) => `${sessaoId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+const sessaoAtiva = (sessao, agora = new Date()) => !sessao.revogadaEm && new Date(sessao.expiraEm) > agora;
+
+const refreshTokenInvalido = () => new AppError(401, 'AUTH_REFRESH_TOKEN_INVALID', 'Refresh token inválido ou expirado');
+
+// Gerar access token vinculado à sessão e à versão de token do admin
+const gerarAccessToken = (admin, sessaoId) => jwt.sign(
+  {
+    id: admin.id,
+    email: admin.email,
+    role: admin.role,
+    nome: admin.nome,
+    sid: sessaoId,
+    ver: admin.versaoToken || 0
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_EXPIRE || '15m' }
+);
+
+// Intervalo mínimo entre gravações de ultimoUsoEm, para não escrever a cada requisição
+const INTERVALO_REGISTRO_USO = 60 * 1000;
+
+// Abrir uma sessão para o admin; devolve { token, refreshToken }.
+// userAgent e ip identificam de onde o login foi feito.
+const criarSessao = async (admin, { userAgent = null, ip = null } = {}) => {
+  const agora = new Date();
+  const id = crypto.randomUUID();
+  const refreshToken = novoRefreshToken(id);
+
+  await storage.sessoes.atualizar((sessoes) => {
+    // Sessões expiradas não servem mais para nada
+    for (let i = sessoes.length - 1; i >= 0; i--) {
+      if (new Date(sessoes[i].expiraEm) <= agora) {
+        sessoes.splice(i, 1);
+      }
+    }
+
+    sessoes.push({
+      id,
+      adminId: admin.id,
+      tokenHash: hashToken(refreshToken),
+      tokenAnteriorHash: null,
+      userAgent: userAgent ? String(userAgent).slice(0, 500) : null,
+      ip,
+      criadoEm: agora.toISOString(),
+      ultimoUsoEm: agora.toISOString(),
+      renovadaEm: null,
+      expiraEm: calcularExpiracao(agora),
+      revogadaEm: null,
+      motivoRevogacao: null
+    });
+  });
+
+  return { token: gerarAccessToken(admin, id), refreshToken };
+};
+
+// Trocar um refresh token válido por um novo par de tokens
+const renovarSessao = async (refreshToken, { ip = null } = {}) => {
+  const [sessaoId] = String(refreshToken).split('.');
+  const hash = hashToken(String(refreshToken));
+  const agora = new Date();
+
+  const resultado = await storage.sessoes.atualizar((sessoes) => {
+    const sessao = sessoes.find(s => s.id === sessaoId);
+    if (!sessao || !sessaoAtiva(sessao, agora)) {
+      return null;
+    }
+
+    if (sessao.tokenHash !== hash) {
+      // Token já trocado sendo reapresentado: revogar a sessão toda
+      if (sessao.tokenAnteriorHash === hash) {
+        sessao.revogadaEm = agora.toISOString();
+        sessao.motivoRevogacao = 'reuso_refresh_token';
+      }
+      return null;
+    }
+
+    const novoToken = novoRefreshToken(sessao.id);
+    sessao.tokenAnteriorHash = sessao.tokenHash;
+    sessao.tokenHash = hashToken(novoToken);
+    sessao.renovadaEm = agora.toISOString();
+    sessao.ultimoUsoEm = agora.toISOString();
+    if (ip) sessao.ip = ip;
+    sessao.expiraEm = calcularExpiracao(agora);
+
+    return { adminId: sessao.adminId, refreshToken: novoToken };
+  });
+
+  if (!resultado) {
+    throw refreshTokenInvalido();
+  }
+
+  const admin = await storage.admins.buscarPorId(resultado.adminId);
+  if (!admin || !admin.ativo) {
+    await revogarSessao(sessaoId, 'admin_inativo');
+    throw refreshTokenInvalido();
+  }
+
+  return {
+    token: gerarAccessToken(admin, sessaoId),
+    refreshToken: resultado.refreshToken
+  };
+};
+
+// Revogar uma sessão; devolve false se ela não existia, já estava revogada
+// ou (quando adminId é informado) pertence a outro admin
+const revogarSessao = (sessaoId, motivo, { adminId } = {}) => storage.sessoes.atualizar((sessoes) => {
+  const sessao = sessoes.find(s => s.id === sessaoId);
+  if (!sessao || sessao.revogadaEm || (adminId !== undefined && sessao.adminId !== adminId)) {
+    return false;
+  }
+
+  sessao.revogadaEm = new Date().toISOString();
+  sessao.motivoRevogacao = motivo;
+  return true;
+});
+
+// Revogar todas as sessões ativas de um admin, exceto opcionalmente a atual; devolve a quantidade
+const revogarSessoesDoAdmin = (adminId, { motivo, exceto = null } = {}) => storage.sessoes.atualizar((sessoes) => {
+  const agora = new Date().toISOString();
+  let revogadas = 0;
+
+  sessoes
+    .filter(s => s.adminId === adminId && s.id !== exceto && !s.revogadaEm)
+    .forEach(sessao => {
+      sessao.revogadaEm = agora;
+      sessao.motivoRevogacao = motivo;
+      revogadas++;
+    });
+
+  return revogadas;
+});
+
+// Atualizar ultimoUsoEm (e o IP) da sessão usada na requisição, no máximo uma vez por minuto
+const registrarUso = async (sessao, ip) => {
+  const agora = new Date();
+  if (sessao.ultimoUsoEm && agora - new Date(sessao.ultimoUsoEm) < INTERVALO_REGISTRO_USO && sessao.ip === ip) {
+    return;
+  }
+
+  await storage.sessoes.atualizar((sessoes) => {
+    const registro = sessoes.find(s => s.id === sessao.id);
+    if (registro) {
+      registro.ultimoUsoEm = agora.toISOString();
+      registro.ip = ip;
+    }
+  });
+};
+
+// Sessões de um admin, mais recentes primeiro. Por padrão só as ativas;
+// incluirEncerradas traz também as revogadas que ainda não foram descartadas.
+const listarSessoes = async (adminId, { incluirEncerradas = false } = {}) => {
+  const agora = new Date();
+  const sessoes = await storage.sessoes.filtrar({ adminId });
+
+  return sessoes
+    .filter(sessao => incluirEncerradas || sessaoAtiva(sessao, agora))
+    .sort((a, b) => new Date(b.ultimoUsoEm || b.criadoEm) - new Date(a.ultimoUsoEm || a.criadoEm));
+};
+
+// Dados de uma sessão que podem ser expostos (sem hashes de token)
+const sessaoPublica = (sessao, sessaoAtualId = null) => ({
+  id: sessao.id,
+  userAgent: sessao.userAgent || null,
+  ip: sessao.ip || null,
+  criadoEm: sessao.criadoEm,
+  ultimoUsoEm: sessao.ultimoUsoEm || sessao.criadoEm,
+  expiraEm: sessao.expiraEm,
+  ativa: sessaoAtiva(sessao),
+  atual: sessao.id === sessaoAtualId,
+  revogadaEm: sessao.revogadaEm,
+  motivoRevogacao: sessao.motivoRevogacao
+});
+
+module.exports = {
+  sessaoAtiva,
+  criarSessao,
+  renovarSessao,
+  revogarSessao,
+  revogarSessoesDoAdmin,
+  registrarUso,
+  listarSessoes,
+  sessaoPublica
+};
@@ -0,0 +1,172 @@
+// Proteção contra força bruta no login.
+//
+// Falhas são contadas por conta (gravadas em admin.bloqueio) e por IP (em memória).
+// Cada falha atrasa a resposta de forma progressiva; ao atingir o limite, a conta ou o IP
+// ficam bloqueados por alguns minutos. Bloqueios e desbloqueios da conta são registrados
+// em admin.eventosBloqueio.
+//
+// Variáveis de ambiente:
+//   LOGIN_MAX_FAILURES     falhas seguidas até bloquear a conta (padrão 5)
+//   LOGIN_IP_MAX_FAILURES  falhas de um IP na janela até bloqueá-lo (padrão 20)
+//   LOGIN_LOCK_MINUTES     duração do bloqueio e da janela de contagem por IP (padrão 15)
+
+const storage = require('../storage');
+const { AppError } = require('../utils/errors');
+
+const ATRASO_BASE_MS = 250;
+const ATRASO_MAXIMO_MS = 8000;
+const LIMITE_EVENTOS = 50;
+const LIMITE_IPS_EM_MEMORIA = 1000;
+
+const falhasPorIp = new Map();
+
+const limites = () => ({
+  falhasConta: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+  falhasIp: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+  bloqueioMs: (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000
+});
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 250ms, 500ms, 1s, 2s... até 8s
+const atrasoProgressivo = (falhas) => (falhas > 0
+  ? Math.min(ATRASO_BASE_MS * 2 ** (falhas - 1), ATRASO_MAXIMO_MS)
+  : 0);
+
+const erroBloqueio = (code, message, bloqueadoAte, agora) => {
+  const erro = new AppError(429, code, message);
+  erro.retryAfter = Math.ceil((bloqueadoAte - agora) / 1000);
+  return erro;
+};
+
+const registrarEvento = (admin, evento) => {
+  admin.eventosBloqueio = [...(admin.eventosBloqueio || []), evento].slice(-LIMITE_EVENTOS);
+};
+
+// Registro do IP, descartando contagens de janelas já encerradas
+const registroDoIp = (ip, agora) => {
+  const registro = falhasPorIp.get(ip);
+  if (registro && agora - registro.inicio > limites().bloqueioMs && !(registro.bloqueadoAte > agora)) {
+    falhasPorIp.delete(ip);
+    return null;
+  }
+  return registro || null;
+};
+
+// Lança 429 se o IP ou a conta estiverem bloqueados.
+// Bloqueios de conta já vencidos são encerrados aqui, com evento de desbloqueio.
+const verificarBloqueios = async ({ ip, admin = null }) => {
+  const agora = Date.now();
+
+  const registroIp = registroDoIp(ip, agora);
+  if (registroIp && registroIp.bloqueadoAte > agora) {
+    throw erroBloqueio('AUTH_IP_BLOCKED', 'Muitas tentativas de login deste IP. Tente novamente mais tarde.',
+      registroIp.bloqueadoAte, agora);
+  }
+
+  const bloqueadoAte = admin && admin.bloqueio && admin.bloqueio.bloqueadoAte
+    ? new Date(admin.bloqueio.bloqueadoAte).getTime()
+    : null;
+
+  if (bloqueadoAte && bloqueadoAte > agora) {
+    throw erroBloqueio('AUTH_ACCOUNT_LOCKED', 'Conta bloqueada temporariamente por excesso de tentativas de login.',
+      bloqueadoAte, agora);
+  }
+
+  if (bloqueadoAte) {
+    await storage.admins.atualizar((admins) => {
+      const registro = admins.find(a => a.id === admin.id);
+      if (!registro || !registro.bloqueio || !registro.bloqueio.bloqueadoAte) return;
+
+      registro.bloqueio = { falhas: 0, ultimaFalhaEm: registro.bloqueio.ultimaFalhaEm, bloqueadoAte: null };
+      registrarEvento(registro, { tipo: 'desbloqueio', em: new Date(agora).toISOString(), motivo: 'expirado' });
+    });
+  }
+};
+
+// Contar uma falha (senha ou código 2FA errados) e aplicar o atraso progressivo.
+// adminId é null quando o email não corresponde a nenhuma conta.
+const registrarFalha = async ({ ip, adminId = null }) => {
+  const agora = Date.now();
+  const { falhasConta, falhasIp, bloqueioMs } = limites();
+
+  // Limpar de tempos em tempos os IPs cuja janela já terminou
+  if (falhasPorIp.size > LIMITE_IPS_EM_MEMORIA) {
+    [...falhasPorIp.keys()].forEach(chave => registroDoIp(chave, agora));
+  }
+
+  const registroIp = registroDoIp(ip, agora) || { inicio: agora, falhas: 0, bloqueadoAte: null };
+  registroIp.falhas++;
+  if (registroIp.falhas >= falhasIp) {
+    registroIp.bloqueadoAte = agora + bloqueioMs;
+  }
+  falhasPorIp.set(ip, registroIp);
+
+  let falhasDaConta = 0;
+  if (adminId !== null) {
+    falhasDaConta = await storage.admins.atualizar((admins) => {
+      const registro = admins.find(a => a.id === adminId);
+      if (!registro) return 0;
+
+      const falhas = ((registro.bloqueio && registro.bloqueio.falhas) || 0) + 1;
+      registro.bloqueio = {
+        falhas,
+        ultimaFalhaEm: new Date(agora).toISOString(),
+        bloqueadoAte: null
+      };
+
+      if (falhas >= falhasConta) {
+        registro.bloqueio.bloqueadoAte = new Date(agora + bloqueioMs).toISOString();
+        registrarEvento(registro, {
+          tipo: 'bloqueio',
+          em: new Date(agora).toISOString(),
+          ip,
+          falhas
+        });
+      }
+      return falhas;
+    });
+  }
+
+  await esperar(atrasoProgressivo(Math.max(falhasDaConta, registroIp.falhas)));
+};
+
+// Zerar a contagem da conta após um login bem-sucedido
+const registrarSucesso = (adminId) => storage.admins.atualizar((admins) => {
+  const registro = admins.find(a => a.id === adminId);
+  if (registro && registro.bloqueio && registro.bloqueio.falhas) {
+    registro.bloqueio = { ...registro.bloqueio, falhas: 0 };
+  }
+});
+
+// Desbloquear uma conta antes do prazo; devolve false se o admin não existe
+const desbloquearConta = (adminId, { desbloqueadoPor }) => storage.admins.atualizar((admins) => {
+  const registro = admins.find(a => a.id === adminId);
+  if (!registro) {
+    return false;
+  }
+
+  registro.bloqueio = {
+    falhas: 0,
+    ultimaFalhaEm: registro.bloqueio ? registro.bloqueio.ultimaFalhaEm : null,
+    bloqueadoAte: null
+  };
+  registrarEvento(registro, {
+    tipo: 'desbloqueio',
+    em: new Date().toISOString(),
+    motivo: 'manual',
+    por: desbloqueadoPor
+  });
+  return true;
+});
+
+const contaBloqueada = (admin) => Boolean(admin.bloqueio && admin.bloqueio.bloqueadoAte
+  && new Date(admin.bloqueio.bloqueadoAte) > new Date());
+
+module.exports = {
+  verificarBloqueios,
+  registrarFalha,
+  registrarSucesso,
+  desbloquearConta,
+  contaBloqueada
+};
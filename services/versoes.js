@@ -0,0 +1,162 @@
+// Histórico de versões de eventos e notícias.
+//
+// Cada alteração guarda na coleção versoes o registro como estava antes, com quem alterou, quando e quais
+// campos mudaram; as versões de um registro são numeradas a partir de 1 e a versão corrente é "atual".
+// Restaurar copia só os campos de conteúdo da versão escolhida (publicação, revisão editorial e inscrições
+// ficam como estão) e também guarda a versão substituída, então a restauração pode ser desfeita. Como numa
+// edição, restaurar conteúdo no ar exige a permissão de publicar (services/revisao.js).
+
+const storage = require('../storage');
+const { AppError } = require('../utils/errors');
+const { verificarPeriodoInscricoes, verificarHorario, definirSlugDoEvento, revisaoEventos } = require('./eventos');
+const { definirSlugDaNoticia, revisaoNoticias } = require('./noticias');
+const { reavaliarListaDeEspera } = require('./inscricoes');
+
+// Metadados que mudam em toda alteração e não interessam na comparação
+const IGNORADOS = ['atualizadoEm', 'sequencia', 'historicoRevisao', 'slugsAnteriores'];
+
+const VERSIONADAS = {
+  eventos: {
+    campos: [
+      'titulo', 'descricao', 'data', 'dataFormatada', 'horaInicio', 'horaFim', 'local', 'participantes',
+      'categoria', 'imagem', 'inscricoesAbertas', 'capacidade', 'inscricoesInicio', 'inscricoesFim', 'cargaHoraria'
+    ],
+    naoEncontrado: () => new AppError(404, 'EVENT_NOT_FOUND', 'Evento não encontrado'),
+    definirSlug: definirSlugDoEvento,
+    revisao: revisaoEventos,
+    validar: (evento) => {
+      verificarPeriodoInscricoes(evento);
+      verificarHorario(evento);
+      evento.sequencia = (evento.sequencia || 0) + 1;
+    },
+    aposRestaurar: (evento) => reavaliarListaDeEspera(evento)
+  },
+  noticias: {
+    campos: ['titulo', 'resumo', 'conteudo', 'data', 'dataFormatada', 'autor', 'categoria', 'imagem', 'link'],
+    naoEncontrado: () => new AppError(404, 'NEWS_NOT_FOUND', 'Notícia não encontrada'),
+    definirSlug: definirSlugDaNoticia,
+    revisao: revisaoNoticias
+  }
+};
+
+// Campos que diferem entre dois estados do registro, como { campo, de, para }
+const diferencas = (de, para) => [...new Set([...Object.keys(de), ...Object.keys(para)])]
+  .filter(campo => !IGNORADOS.includes(campo))
+  .filter(campo => JSON.stringify(de[campo] ?? null) !== JSON.stringify(para[campo] ?? null))
+  .map(campo => ({ campo, de: de[campo] ?? null, para: para[campo] ?? null }));
+
+// Versão sem o conteúdo guardado, para listagens
+const resumoVersao = ({ dados, ...versao }) => versao;
+
+// Guarda o estado anterior de um registro alterado; alterações só de metadados não geram versão
+const registrarVersao = async (colecao, anterior, atual, { por = null, restauradaDe = null } = {}) => {
+  const campos = diferencas(anterior, atual).map(diferenca => diferenca.campo);
+  if (!campos.length) {
+    return null;
+  }
+
+  return storage.versoes.atualizar((versoes) => {
+    const doRegistro = versoes.filter(v => v.colecao === colecao && v.registroId === anterior.id);
+    const versao = {
+      id: Math.max(...versoes.map(v => v.id), 0) + 1,
+      colecao,
+      registroId: anterior.id,
+      numero: Math.max(...doRegistro.map(v => v.numero), 0) + 1,
+      campos,
+      alteradoPor: por,
+      alteradoEm: atual.atualizadoEm || new Date().toISOString(),
+      restauradaDe,
+      dados: anterior
+    };
+
+    versoes.push(versao);
+    return versao;
+  });
+};
+
+// Registra as versões de vários registros alterados de uma vez (ex.: ocorrências de uma série)
+const registrarVersoes = async (colecao, anteriores, atuais, opcoes) => {
+  for (const atual of atuais) {
+    const anterior = anteriores.find(registro => registro.id === atual.id);
+    if (anterior) {
+      await registrarVersao(colecao, anterior, atual, opcoes);
+    }
+  }
+};
+
+const buscarRegistro = async (colecao, id) => {
+  const registro = await storage[colecao].buscarPorId(id);
+  if (!registro) {
+    throw VERSIONADAS[colecao].naoEncontrado();
+  }
+  return registro;
+};
+
+// Versões de um registro, mais recentes primeiro
+const listarVersoes = async (colecao, id) => {
+  await buscarRegistro(colecao, id);
+  const versoes = await storage.versoes.filtrar({ colecao, registroId: id });
+  return versoes.sort((a, b) => b.numero - a.numero).map(resumoVersao);
+};
+
+const buscarVersao = async (colecao, id, numero) => {
+  await buscarRegistro(colecao, id);
+  const [versao] = await storage.versoes.filtrar({ colecao, registroId: id, numero });
+  if (!versao) {
+    throw new AppError(404, 'VERSION_NOT_FOUND', 'Versão não encontrada');
+  }
+  return versao;
+};
+
+// Diferenças campo a campo entre duas versões (número ou "atual")
+const compararVersoes = async (colecao, id, de, para = 'atual') => {
+  const estado = async (numero) => (numero === 'atual'
+    ? buscarRegistro(colecao, id)
+    : (await buscarVersao(colecao, id, numero)).dados);
+
+  return { de, para, alteracoes: diferencas(await estado(de), await estado(para)) };
+};
+
+const restaurarVersao = async (colecao, id, numero, { por, permissoes }) => {
+  const { campos, naoEncontrado, definirSlug, revisao, validar, aposRestaurar } = VERSIONADAS[colecao];
+  const versao = await buscarVersao(colecao, id, numero);
+  let anterior;
+
+  const registro = await storage[colecao].atualizar((registros) => {
+    const atual = registros.find(r => r.id === id);
+    if (!atual) {
+      throw naoEncontrado();
+    }
+    revisao.verificarEdicao(atual, permissoes);
+
+    anterior = { ...atual };
+    campos.forEach(campo => {
+      atual[campo] = versao.dados[campo] ?? null;
+    });
+    // O slug acompanha o título restaurado, como numa edição
+    if (atual.titulo !== anterior.titulo) {
+      definirSlug(atual, registros);
+    }
+    if (validar) {
+      validar(atual);
+    }
+    atual.atualizadoEm = new Date().toISOString();
+    return atual;
+  });
+
+  await registrarVersao(colecao, anterior, registro, { por, restauradaDe: numero });
+  if (aposRestaurar) {
+    await aposRestaurar(registro);
+  }
+  return registro;
+};
+
+module.exports = {
+  diferencas,
+  registrarVersao,
+  registrarVersoes,
+  listarVersoes,
+  buscarVersao,
+  compararVersoes,
+  restaurarVersao
+};
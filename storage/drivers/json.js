@@ -0,0 +1,106 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { comLock } = require('../lock');
+const { StorageError } = require('../errors');
+
+// Move um arquivo corrompido para o lado, preservando o conteúdo para análise
+const colocarEmQuarentena = async (arquivo) => {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const destino = `${arquivo}.corrompido-${timestamp}`;
+  await fs.rename(arquivo, destino);
+  return destino;
+};
+
+// Grava em um arquivo temporário e renomeia, para nunca deixar um JSON pela metade
+const escreverAtomico = async (arquivo, dados) => {
+  const temporario = path.join(
+    path.dirname(arquivo),
+    `.${path.basename(arquivo)}.${process.pid}.${Date.now()}.tmp`
+  );
+  const handle = await fs.open(temporario, 'w');
+  try {
+    await handle.writeFile(JSON.stringify(dados, null, 2));
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(temporario, arquivo);
+  } catch (error) {
+    await fs.unlink(temporario).catch(() => {});
+    throw error;
+  }
+};
+
+// Lê o arquivo; se não existir, cria com o valor padrão; se estiver corrompido, isola e falha
+const lerArquivo = async (arquivo, padrao) => {
+  let conteudo;
+  try {
+    conteudo = await fs.readFile(arquivo, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new StorageError(`Não foi possível ler ${path.basename(arquivo)}`, { arquivo, cause: error });
+    }
+
+    const valorPadrao = typeof padrao === 'function' ? await padrao() : padrao;
+    await escreverAtomico(arquivo, valorPadrao);
+    return valorPadrao;
+  }
+
+  try {
+    return JSON.parse(conteudo);
+  } catch (error) {
+    const quarentena = await colocarEmQuarentena(arquivo);
+    console.error(`Arquivo ${arquivo} corrompido, movido para ${quarentena}`);
+    throw new StorageError(`Arquivo ${path.basename(arquivo)} corrompido`, { arquivo, quarentena, cause: error });
+  }
+};
+
+// Verifica se um registro tem todos os valores pedidos nos critérios
+const corresponde = (registro, criterios) =>
+  Object.entries(criterios).every(([campo, valor]) => registro[campo] === valor);
+
+// Driver que guarda cada coleção em data/<nome>.json
+const criarDriverJson = ({ diretorio }) => {
+  const criarColecao = (nome, { padrao = [] } = {}) => {
+    const arquivo = path.join(diretorio, `${nome}.json`);
+
+    // Leitura passa pela mesma fila para não observar uma escrita em andamento
+    const ler = () => comLock(arquivo, () => lerArquivo(arquivo, padrao));
+
+    const buscarPorId = async (id) => {
+      const registros = await ler();
+      return registros.find(registro => String(registro.id) === String(id)) || null;
+    };
+
+    const filtrar = async (criterios = {}) => {
+      const registros = await ler();
+      return registros.filter(registro => corresponde(registro, criterios));
+    };
+
+    const salvar = (dados) => comLock(arquivo, () => escreverAtomico(arquivo, dados));
+
+    // Lê, aplica a alteração e grava sem que outra escrita intercale entre as etapas.
+    // O callback pode alterar os dados no lugar; o valor que ele retornar é repassado.
+    const atualizar = (alteracao) => comLock(arquivo, async () => {
+      const dados = await lerArquivo(arquivo, padrao);
+      const original = JSON.stringify(dados);
+      const resultado = await alteracao(dados);
+
+      if (JSON.stringify(dados) !== original) {
+        await escreverAtomico(arquivo, dados);
+      }
+
+      return resultado;
+    });
+
+    return { nome, ler, buscarPorId, filtrar, salvar, atualizar };
+  };
+
+  return { nome: 'json', criarColecao };
+};
+
+module.exports = {
+  criarDriverJson
+};
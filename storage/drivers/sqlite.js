@@ -0,0 +1,182 @@
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { comLock } = require('../lock');
+const { StorageError } = require('../errors');
+
+// Nomes de coleção viram nomes de tabela; só aceitamos identificadores simples
+const validarNome = (nome) => {
+  if (!/^[a-z_][a-z0-9_]*$/i.test(nome)) {
+    throw new StorageError(`Nome de coleção inválido: ${nome}`);
+  }
+  return nome;
+};
+
+// SQLite não aceita booleanos como parâmetro; json_extract devolve 1/0 para true/false
+const paraParametro = (valor) => (typeof valor === 'boolean' ? Number(valor) : valor);
+
+const parse = (linha) => JSON.parse(linha.doc);
+
+// Driver que guarda cada coleção em uma tabela de um banco SQLite embarcado.
+// Listas ficam uma linha por registro; documentos (ex.: contatos) ficam em uma linha só.
+const criarDriverSqlite = ({ arquivo }) => {
+  let db;
+
+  const conectar = () => {
+    if (db) {
+      return db;
+    }
+
+    fs.mkdirSync(path.dirname(arquivo), { recursive: true });
+    db = new Database(arquivo);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS _colecoes (nome TEXT PRIMARY KEY, criadaEm TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS _documentos (nome TEXT PRIMARY KEY, doc TEXT NOT NULL);
+    `);
+    return db;
+  };
+
+  const criarColecao = (nome, { padrao = [], documento = false } = {}) => {
+    const tabela = validarNome(nome);
+    const chave = `sqlite:${tabela}`;
+    let inicializada = false;
+
+    // Cria a tabela e grava o valor padrão na primeira vez que a coleção é usada
+    const inicializar = async () => {
+      const conexao = conectar();
+      if (inicializada) {
+        return conexao;
+      }
+
+      if (!documento) {
+        conexao.exec(`CREATE TABLE IF NOT EXISTS "${tabela}" (id TEXT PRIMARY KEY, doc TEXT NOT NULL)`);
+      }
+
+      const registrada = conexao.prepare('SELECT 1 FROM _colecoes WHERE nome = ?').get(tabela);
+      if (!registrada) {
+        const valorPadrao = typeof padrao === 'function' ? await padrao() : padrao;
+        conexao.transaction(() => {
+          gravar(conexao, valorPadrao);
+          conexao.prepare('INSERT OR IGNORE INTO _colecoes (nome, criadaEm) VALUES (?, ?)')
+            .run(tabela, new Date().toISOString());
+        })();
+      }
+
+      inicializada = true;
+      return conexao;
+    };
+
+    const lerSincrono = (conexao) => {
+      if (documento) {
+        const linha = conexao.prepare('SELECT doc FROM _documentos WHERE nome = ?').get(tabela);
+        return linha ? parse(linha) : null;
+      }
+      return conexao.prepare(`SELECT doc FROM "${tabela}" ORDER BY rowid`).all().map(parse);
+    };
+
+    // Substitui todo o conteúdo da coleção
+    const gravar = (conexao, dados) => {
+      if (documento) {
+        conexao.prepare('INSERT INTO _documentos (nome, doc) VALUES (?, ?) ON CONFLICT(nome) DO UPDATE SET doc = excluded.doc')
+          .run(tabela, JSON.stringify(dados));
+        return;
+      }
+
+      conexao.prepare(`DELETE FROM "${tabela}"`).run();
+      const inserir = conexao.prepare(`INSERT INTO "${tabela}" (id, doc) VALUES (?, ?)`);
+      dados.forEach(registro => inserir.run(String(registro.id), JSON.stringify(registro)));
+    };
+
+    // Grava só o que mudou: registros novos ou alterados e remoção dos que sumiram
+    const gravarDiferenca = (conexao, antes, depois) => {
+      if (documento) {
+        gravar(conexao, depois);
+        return;
+      }
+
+      const upsert = conexao.prepare(
+        `INSERT INTO "${tabela}" (id, doc) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET doc = excluded.doc`
+      );
+      const remover = conexao.prepare(`DELETE FROM "${tabela}" WHERE id = ?`);
+      const idsAtuais = new Set();
+
+      depois.forEach(registro => {
+        const id = String(registro.id);
+        const doc = JSON.stringify(registro);
+        idsAtuais.add(id);
+        if (antes.get(id) !== doc) {
+          upsert.run(id, doc);
+        }
+      });
+
+      antes.forEach((_, id) => {
+        if (!idsAtuais.has(id)) {
+          remover.run(id);
+        }
+      });
+    };
+
+    const ler = () => comLock(chave, async () => lerSincrono(await inicializar()));
+
+    const buscarPorId = (id) => comLock(chave, async () => {
+      const conexao = await inicializar();
+      const linha = conexao.prepare(`SELECT doc FROM "${tabela}" WHERE id = ?`).get(String(id));
+      return linha ? parse(linha) : null;
+    });
+
+    // Filtro por igualdade feito pelo próprio SQLite, sem carregar a tabela inteira
+    const filtrar = (criterios = {}) => comLock(chave, async () => {
+      const conexao = await inicializar();
+      const campos = Object.keys(criterios);
+      campos.forEach(validarNome);
+
+      const where = campos.length
+        ? `WHERE ${campos.map(campo => `json_extract(doc, '$.${campo}') = ?`).join(' AND ')}`
+        : '';
+      const parametros = campos.map(campo => paraParametro(criterios[campo]));
+
+      return conexao.prepare(`SELECT doc FROM "${tabela}" ${where} ORDER BY rowid`)
+        .all(...parametros)
+        .map(parse);
+    });
+
+    const salvar = (dados) => comLock(chave, async () => {
+      const conexao = await inicializar();
+      conexao.transaction(() => gravar(conexao, dados))();
+    });
+
+    // Mesmo contrato do driver JSON: o callback altera os dados e o retorno é repassado
+    const atualizar = (alteracao) => comLock(chave, async () => {
+      const conexao = await inicializar();
+      const dados = lerSincrono(conexao);
+      const antes = documento
+        ? null
+        : new Map(dados.map(registro => [String(registro.id), JSON.stringify(registro)]));
+      const original = JSON.stringify(dados);
+
+      const resultado = await alteracao(dados);
+
+      if (JSON.stringify(dados) !== original) {
+        conexao.transaction(() => gravarDiferenca(conexao, antes, dados))();
+      }
+
+      return resultado;
+    });
+
+    return { nome, ler, buscarPorId, filtrar, salvar, atualizar };
+  };
+
+  const fechar = () => {
+    if (db) {
+      db.close();
+      db = null;
+    }
+  };
+
+  return { nome: 'sqlite', arquivo, criarColecao, fechar };
+};
+
+module.exports = {
+  criarDriverSqlite
+};
@@ -0,0 +1,14 @@
+// Erro lançado quando os dados de uma coleção não podem ser lidos ou gravados com segurança
+class StorageError extends Error {
+  constructor(message, { arquivo, quarentena, cause } = {}) {
+    super(message);
+    this.name = 'StorageError';
+    this.arquivo = arquivo;
+    this.quarentena = quarentena;
+    this.cause = cause;
+  }
+}
+
+module.exports = {
+  StorageError
+};
@@ -0,0 +1,104 @@
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { StorageError } = require('./errors');
+const { PAPEIS_PADRAO } = require('../utils/permissoes');
+
+const DATA_DIR = path.join(__dirname, '../data');
+
+// Administrador criado quando a coleção ainda não existe
+const adminPadrao = async () => [{
+  id: 1,
+  nome: "Administrador Principal",
+  email: process.env.ADMIN_EMAIL || "admin@blockchaininsper.com.br",
+  senha: await bcrypt.hash(process.env.ADMIN_PASSWORD || "BlockchainInsper2024!", 10),
+  role: "super_admin",
+  ativo: true,
+  criadoEm: new Date().toISOString(),
+  atualizadoEm: new Date().toISOString(),
+  ultimoLogin: null
+}];
+
+// Informações de contato usadas quando a coleção ainda não existe
+const contatosPadrao = () => ({
+  email: "contato@blockchaininsper.com.br",
+  telefone: "(11) 3000-0000",
+  endereco: "Rua Quatá, 300 - Vila Olímpia, São Paulo - SP, 04546-042",
+  horarioFuncionamento: "Segunda a Sexta: 8h às 18h",
+  redesSociais: {
+    linkedin: "https://linkedin.com/company/blockchain-insper",
+    instagram: "https://instagram.com/blockchaininsper",
+    twitter: "https://twitter.com/blockchaininsper"
+  },
+  atualizadoEm: new Date().toISOString()
+});
+
+// Configurações gerais do painel (ex.: papéis obrigados a usar 2FA)
+const configuracoesPadrao = () => ({
+  doisFatoresObrigatorio: [],
+  atualizadoEm: new Date().toISOString()
+});
+
+// Papéis de acesso criados quando a coleção ainda não existe
+const rolesPadrao = () => PAPEIS_PADRAO.map(papel => ({
+  ...papel,
+  criadoEm: new Date().toISOString(),
+  atualizadoEm: new Date().toISOString()
+}));
+
+// Versão do schema dos dados; data/schema.json ausente significa dados anteriores às migrações
+const schemaPadrao = () => ({
+  versao: 0,
+  historico: []
+});
+
+// Coleções conhecidas e suas opções; a mesma lista serve aos dois drivers
+const COLECOES = {
+  eventos: {},
+  series: {},
+  noticias: {},
+  mensagens: {},
+  admins: { padrao: adminPadrao },
+  sessoes: {},
+  chavesApi: {},
+  inscricoes: {},
+  certificados: {},
+  versoes: {},
+  roles: { padrao: rolesPadrao },
+  contatos: { padrao: contatosPadrao, documento: true },
+  configuracoes: { padrao: configuracoesPadrao, documento: true },
+  schema: { padrao: schemaPadrao, documento: true }
+};
+
+// Instancia o driver escolhido (STORAGE_DRIVER=json|sqlite)
+const criarDriver = (nome = process.env.STORAGE_DRIVER || 'json') => {
+  switch (nome) {
+    case 'json': {
+      const { criarDriverJson } = require('./drivers/json');
+      return criarDriverJson({ diretorio: DATA_DIR });
+    }
+    case 'sqlite': {
+      const { criarDriverSqlite } = require('./drivers/sqlite');
+      return criarDriverSqlite({
+        arquivo: process.env.SQLITE_FILE || path.join(DATA_DIR, 'blockchain-insper.db')
+      });
+    }
+    default:
+      throw new StorageError(`Driver de armazenamento desconhecido: ${nome}`);
+  }
+};
+
+// Cria um repositório para cada coleção usando o driver informado
+const criarColecoes = (driver) => Object.fromEntries(
+  Object.entries(COLECOES).map(([nome, opcoes]) => [nome, driver.criarColecao(nome, opcoes)])
+);
+
+const driver = criarDriver();
+
+module.exports = {
+  StorageError,
+  COLECOES,
+  criarDriver,
+  criarColecoes,
+  driver: driver.nome,
+  ...criarColecoes(driver)
+};
@@ -0,0 +1,19 @@
+// Fila de operações por chave: cada operação espera a anterior terminar
+const filas = new Map();
+
+const comLock = (chave, operacao) => {
+  const anterior = filas.get(chave) || Promise.resolve();
+  const atual = anterior.then(operacao, operacao);
+  const cauda = atual.catch(() => {});
+  filas.set(chave, cauda);
+  cauda.then(() => {
+    if (filas.get(chave) === cauda) {
+      filas.delete(chave);
+    }
+  });
+  return atual;
+};
+
+module.exports = {
+  comLock
+};
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const storage = require('./index');
+const { StorageError } = require('./errors');
+const { comLock } = require('./lock');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+// Carrega migrations/NNN-descricao.js em ordem de versão
+const carregarMigracoes = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter(arquivo => /^\d+-.+\.js$/.test(arquivo))
+  .map(arquivo => require(path.join(MIGRATIONS_DIR, arquivo)))
+  .sort((a, b) => a.versao - b.versao);
+
+const MIGRACOES = carregarMigracoes();
+const VERSAO_ATUAL = MIGRACOES.length ? MIGRACOES[MIGRACOES.length - 1].versao : 0;
+
+const pendentesDesde = (versaoOrigem) => {
+  if (versaoOrigem > VERSAO_ATUAL) {
+    throw new StorageError(
+      `Dados na versão ${versaoOrigem} do schema, mas o servidor só conhece até a versão ${VERSAO_ATUAL}`
+    );
+  }
+  return MIGRACOES.filter(migracao => migracao.versao > versaoOrigem);
+};
+
+// Aplica em memória as migrações posteriores a versaoOrigem às coleções presentes em dados.
+// Usado para atualizar backups antigos antes de restaurá-los.
+const migrarDados = (dados, versaoOrigem = 0) => {
+  const resultado = { ...dados };
+
+  pendentesDesde(versaoOrigem).forEach(migracao => {
+    Object.entries(migracao.colecoes).forEach(([nome, transformar]) => {
+      if (resultado[nome] !== undefined) {
+        resultado[nome] = transformar(resultado[nome]);
+      }
+    });
+  });
+
+  return resultado;
+};
+
+// Troca o conteúdo da coleção (lista ou documento) no lugar, como espera atualizar
+const substituir = (dados, novos) => {
+  if (Array.isArray(dados)) {
+    dados.splice(0, dados.length, ...novos);
+    return;
+  }
+  Object.keys(dados).forEach(chave => delete dados[chave]);
+  Object.assign(dados, novos);
+};
+
+// Atualiza as coleções armazenadas até a versão atual e registra cada passo em schema.
+// Cada migração roda antes em memória em todas as coleções (um erro não grava nada) e depois grava cada coleção
+// sob o lock dela; a versão só avança quando todas foram gravadas. Se o processo cair no meio, a migração roda
+// inteira de novo na próxima vez, então as migrações precisam ser idempotentes.
+const executarMigracoes = () => comLock('migracoes', async () => {
+  const schema = await storage.schema.ler();
+  const pendentes = pendentesDesde(schema.versao);
+
+  for (const migracao of pendentes) {
+    const colecoes = Object.entries(migracao.colecoes);
+
+    for (const [nome, transformar] of colecoes) {
+      transformar(await storage[nome].ler());
+    }
+    for (const [nome, transformar] of colecoes) {
+      await storage[nome].atualizar((dados) => substituir(dados, transformar(dados)));
+    }
+
+    await storage.schema.atualizar((registro) => {
+      registro.versao = migracao.versao;
+      registro.historico.push({
+        versao: migracao.versao,
+        descricao: migracao.descricao,
+        aplicadaEm: new Date().toISOString()
+      });
+    });
+
+    console.log(`🗄️  Migração ${migracao.versao} aplicada: ${migracao.descricao}`);
+  }
+
+  return { versao: VERSAO_ATUAL, aplicadas: pendentes.length };
+});
+
+// Versão em que os dados armazenados estão
+const versaoArmazenada = async () => (await storage.schema.ler()).versao;
+
+module.exports = {
+  VERSAO_ATUAL,
+  migrarDados,
+  executarMigracoes,
+  versaoArmazenada
+};
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Banco SQLite temporário, para não mexer em data/
+const diretorio = fs.mkdtempSync(path.join(os.tmpdir(), 'admins-'));
+process.env.STORAGE_DRIVER = 'sqlite';
+process.env.SQLITE_FILE = path.join(diretorio, 'teste.db');
+
+const bcrypt = require('bcryptjs');
+const storage = require('../storage');
+const { criarChave } = require('../services/chavesApi');
+const app = require('../server');
+
+let servidor;
+let base;
+let superAdmin;
+let gestor;
+let sessaoId;
+
+const requisicao = async (metodo, caminho, credencial, corpo) => {
+  const resposta = await fetch(`${base}${caminho}`, {
+    method: metodo,
+    headers: { 'content-type': 'application/json', ...credencial },
+    body: corpo && JSON.stringify(corpo)
+  });
+  return { status: resposta.status, corpo: await resposta.json() };
+};
+
+test.before(async () => {
+  servidor = app.listen(0);
+  base = `http://127.0.0.1:${servidor.address().port}`;
+
+  const login = await requisicao('POST', '/api/auth/login', {}, {
+    email: process.env.ADMIN_EMAIL,
+    password: process.env.ADMIN_PASSWORD
+  });
+  superAdmin = { authorization: `Bearer ${login.corpo.token}` };
+
+  // Gestor de administradores sem as demais permissões do super_admin (admins só entram por convite, então
+  // o registro é gravado direto)
+  await requisicao('POST', '/api/roles', superAdmin, { id: 'gestor', nome: 'Gestor', permissoes: ['admins:manage'] });
+  await storage.admins.atualizar(async (admins) => {
+    admins.push({
+      id: 2,
+      nome: 'Gestor',
+      email: 'gestor@blockchaininsper.com.br',
+      senha: await bcrypt.hash('SenhaDoGestor2024!', 4),
+      role: 'gestor',
+      ativo: true
+    });
+  });
+  const loginGestor = await requisicao('POST', '/api/auth/login', {}, {
+    email: 'gestor@blockchaininsper.com.br',
+    password: 'SenhaDoGestor2024!'
+  });
+  gestor = { authorization: `Bearer ${loginGestor.corpo.token}` };
+
+  const sessoes = await requisicao('GET', '/api/admins/1/sessions', superAdmin);
+  sessaoId = sessoes.corpo.data[0].id;
+});
+
+test.after(() => {
+  servidor.close();
+  fs.rmSync(diretorio, { recursive: true, force: true });
+});
+
+test('sessões e bloqueios de quem tem mais permissões ficam fora do alcance', async () => {
+  const acoes = [
+    ['POST', '/api/admins/1/unlock'],
+    ['GET', '/api/admins/1/lock-events'],
+    ['GET', '/api/admins/1/sessions'],
+    ['DELETE', `/api/admins/1/sessions/${sessaoId}`],
+    ['DELETE', '/api/admins/1/sessions']
+  ];
+
+  for (const [metodo, caminho] of acoes) {
+    const resposta = await requisicao(metodo, caminho, gestor);
+    assert.strictEqual(resposta.status, 403, `${metodo} ${caminho}`);
+  }
+
+  const aindaLogado = await requisicao('GET', '/api/admins/1/sessions', superAdmin);
+  assert.strictEqual(aindaLogado.status, 200);
+});
+
+test('administrador inexistente continua 404', async () => {
+  const resposta = await requisicao('GET', '/api/admins/999/lock-events', gestor);
+  assert.strictEqual(resposta.status, 404);
+});
+
+test('chave de API deixa de valer quando o admin que a criou é desativado ou excluído', async () => {
+  await storage.admins.atualizar((admins) => {
+    for (const id of [3, 4]) {
+      admins.push({
+        id,
+        nome: `Integrador ${id}`,
+        email: `integrador${id}@blockchaininsper.com.br`,
+        role: 'gestor',
+        ativo: true
+      });
+    }
+  });
+  const chaveDe = async (criadoPor) => {
+    const { chave } = await criarChave({ nome: 'Painel', permissoes: ['dashboard:read'], criadoPor });
+    return { 'x-api-key': chave };
+  };
+  const doDesativado = await chaveDe(3);
+  const doExcluido = await chaveDe(4);
+  assert.strictEqual((await requisicao('GET', '/api/admin/lixeira', doDesativado)).status, 200);
+  assert.strictEqual((await requisicao('GET', '/api/admin/lixeira', doExcluido)).status, 200);
+
+  assert.strictEqual((await requisicao('PUT', '/api/admins/3', superAdmin, { ativo: false })).status, 200);
+  assert.strictEqual((await requisicao('DELETE', '/api/admins/4', superAdmin)).status, 200);
+
+  assert.strictEqual((await requisicao('GET', '/api/admin/lixeira', doDesativado)).status, 401);
+  assert.strictEqual((await requisicao('GET', '/api/admin/lixeira', doExcluido)).status, 401);
+});
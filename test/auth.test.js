@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Banco SQLite temporário, para não mexer em data/
+const diretorio = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+process.env.STORAGE_DRIVER = 'sqlite';
+process.env.SQLITE_FILE = path.join(diretorio, 'teste.db');
+
+const app = require('../server');
+
+let servidor;
+let base;
+
+test.before(() => {
+  servidor = app.listen(0);
+  base = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+test.after(() => {
+  servidor.close();
+  fs.rmSync(diretorio, { recursive: true, force: true });
+});
+
+test('nova senha que não é texto é recusada com 400', async () => {
+  for (const newPassword of [['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'], { length: 8 }, 12345678]) {
+    const resposta = await fetch(`${base}/api/auth/reset-password`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ token: 'qualquer', newPassword })
+    });
+
+    assert.strictEqual(resposta.status, 400, JSON.stringify(newPassword));
+    assert.strictEqual((await resposta.json()).error.code, 'AUTH_PASSWORDS_REQUIRED');
+  }
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { gerarPdfs, gerarZip } = require('../services/certificados');
+
+const certificado = {
+  id: 'ABCD2345',
+  nome: 'Ana Souza',
+  eventoTitulo: 'Workshop de DeFi',
+  eventoData: '2025-05-10',
+  cargaHoraria: 2
+};
+
+test('o ZIP traz um PDF por certificado', async () => {
+  const destino = new PassThrough();
+  const partes = [];
+  destino.on('data', parte => partes.push(parte));
+
+  const pdfs = await gerarPdfs([certificado, { ...certificado, id: 'EFGH6789' }]);
+  await gerarZip(pdfs, destino);
+
+  assert.deepStrictEqual(pdfs.map(pdf => pdf.nome), [
+    'certificado-ana-souza-ABCD2345.pdf',
+    'certificado-ana-souza-EFGH6789.pdf'
+  ]);
+  assert.strictEqual(Buffer.concat(partes).subarray(0, 2).toString(), 'PK');
+});
+
+test('falha no ZIP durante o envio encerra o destino', async () => {
+  const destino = new PassThrough();
+  destino.resume();
+
+  // Entrada que o archiver rejeita, como uma falha com o envio já em andamento
+  await assert.rejects(gerarZip([{ conteudo: 42, nome: 'quebrado.pdf' }], destino));
+
+  assert.strictEqual(destino.destroyed, true);
+});
@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { gerarCsv } = require('../utils/csv');
+
+test('escapa separadores, aspas e fórmulas', () => {
+  const csv = gerarCsv(
+    [{ campo: 'nome', titulo: 'Nome' }, { campo: 'curso', titulo: 'Curso' }],
+    [{ nome: 'Silva, Ana "Aninha"', curso: '=HYPERLINK("x")' }, { nome: 'Bruno', curso: null }]
+  );
+
+  assert.strictEqual(csv, '\uFEFFNome,Curso\r\n"Silva, Ana ""Aninha""","\'=HYPERLINK(""x"")"\r\nBruno,\r\n');
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { escaparTexto, dobrarLinha, gerarCalendario } = require('../utils/ical');
+
+test('textos escapam barra invertida, ponto e vírgula, vírgula e quebras de linha', () => {
+  assert.strictEqual(escaparTexto('a\\b; c, d\ne'), 'a\\\\b\\; c\\, d\\ne');
+});
+
+test('linhas longas são dobradas em 75 octetos sem partir caracteres', () => {
+  const linha = `DESCRIPTION:${'ação '.repeat(40)}`;
+  const partes = dobrarLinha(linha).split('\r\n');
+
+  assert.ok(partes.length > 1);
+  partes.forEach(parte => assert.ok(Buffer.byteLength(parte) <= 75));
+  assert.strictEqual(partes.map((parte, i) => (i ? parte.slice(1) : parte)).join(''), linha);
+});
+
+test('o calendário usa CRLF e omite propriedades vazias', () => {
+  const texto = gerarCalendario({
+    propriedades: [['VERSION', '2.0']],
+    componentes: [{ tipo: 'VEVENT', propriedades: [['UID', 'x'], ['LOCATION', '']] }]
+  });
+
+  assert.strictEqual(texto, 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\nBEGIN:VEVENT\r\nUID:x\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n');
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.TICKET_SECRET = 'segredo-de-teste';
+const { gerarIngresso, lerIngresso } = require('../services/ingressos');
+
+test('o ingresso assinado identifica evento e inscrição', () => {
+  const ingresso = gerarIngresso({ id: 7, eventoId: 3 });
+  assert.deepStrictEqual(lerIngresso(ingresso), { eventoId: 3, inscricaoId: 7 });
+});
+
+test('ingressos adulterados ou malformados são recusados', () => {
+  const [, , assinatura] = gerarIngresso({ id: 7, eventoId: 3 }).split('.');
+
+  assert.strictEqual(lerIngresso(`3.8.${assinatura}`), null);
+  assert.strictEqual(lerIngresso(`4.7.${assinatura}`), null);
+  assert.strictEqual(lerIngresso('3.7.abc'), null);
+  assert.strictEqual(lerIngresso(undefined), null);
+});
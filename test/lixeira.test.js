@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Banco SQLite temporário, para não mexer em data/
+const diretorio = fs.mkdtempSync(path.join(os.tmpdir(), 'lixeira-'));
+process.env.STORAGE_DRIVER = 'sqlite';
+process.env.SQLITE_FILE = path.join(diretorio, 'teste.db');
+
+const storage = require('../storage');
+const { criarSerie, atualizarSerie, marcarExcecao } = require('../services/series');
+const { registrarExclusao, listarLixeira, purgarExpirados } = require('../services/lixeira');
+
+test.after(() => fs.rmSync(diretorio, { recursive: true, force: true }));
+
+test('ocorrência que volta à série sai da lixeira e não é excluída pela retenção', async () => {
+  const { serie, ocorrencias } = await criarSerie({
+    titulo: 'Grupo de estudos',
+    descricao: 'Encontros semanais',
+    local: 'Insper',
+    categoria: 'Estudo',
+    recorrencia: { frequencia: 'semanal', inicio: '2030-03-04', fim: '2030-03-18' }
+  });
+  const excluida = ocorrencias[1];
+
+  // Como DELETE /api/eventos/:id, com a exclusão já além do prazo de retenção
+  await storage.eventos.atualizar((eventos) => {
+    const evento = eventos.find(e => e.id === excluida.id);
+    registrarExclusao(evento, 1, {}, new Date('2020-01-01T00:00:00Z'));
+    evento.ativo = false;
+  });
+  await marcarExcecao(serie.id, excluida.dataOriginal, true);
+  assert.deepStrictEqual((await listarLixeira(['eventos'])).map(item => item.id), [excluida.id]);
+
+  await atualizarSerie(serie.id, { excecoes: [] });
+
+  assert.strictEqual(await purgarExpirados(), 0);
+  const evento = await storage.eventos.buscarPorId(excluida.id);
+  assert.strictEqual(evento.ativo, true);
+  assert.strictEqual(evento.exclusao, null);
+  assert.deepStrictEqual(await listarLixeira(['eventos']), []);
+});
+
+test('registro ativo com exclusao antiga não aparece na lixeira', async () => {
+  await storage.eventos.atualizar((eventos) => {
+    const evento = eventos[0];
+    registrarExclusao(evento, 1, {}, new Date('2020-01-01T00:00:00Z'));
+    evento.ativo = true;
+  });
+
+  assert.deepStrictEqual(await listarLixeira(['eventos']), []);
+  assert.strictEqual(await purgarExpirados(), 0);
+});
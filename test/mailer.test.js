@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { criarTransporte } = require('../services/mailer');
+
+test('o transporte outbox grava cada email como JSON', async () => {
+  const diretorio = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+  process.env.MAIL_OUTBOX_DIR = diretorio;
+
+  try {
+    const transporte = criarTransporte('outbox');
+    const { id } = await transporte.enviar({ para: 'a@b.com', assunto: 'Oi', texto: 'Olá' });
+
+    const gravado = JSON.parse(fs.readFileSync(path.join(diretorio, `${id}.json`), 'utf8'));
+    assert.strictEqual(gravado.para, 'a@b.com');
+    assert.strictEqual(gravado.assunto, 'Oi');
+    assert.strictEqual(gravado.texto, 'Olá');
+  } finally {
+    delete process.env.MAIL_OUTBOX_DIR;
+    fs.rmSync(diretorio, { recursive: true, force: true });
+  }
+});
+
+test('recusa transportes desconhecidos', () => {
+  assert.throws(() => criarTransporte('pombo'), /desconhecido/);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Banco SQLite temporário, para não mexer em data/
+const diretorio = fs.mkdtempSync(path.join(os.tmpdir(), 'migracoes-'));
+process.env.STORAGE_DRIVER = 'sqlite';
+process.env.SQLITE_FILE = path.join(diretorio, 'teste.db');
+
+const storage = require('../storage');
+const { executarMigracoes, VERSAO_ATUAL } = require('../storage/migrations');
+
+test.after(() => fs.rmSync(diretorio, { recursive: true, force: true }));
+
+test('migração interrompida não avança a versão e roda de novo inteira', async () => {
+  await storage.schema.salvar({ versao: 1, historico: [] });
+  await storage.eventos.salvar([
+    { id: 1, titulo: 'Bate-papo', data: '2024-05-27', dataFormatada: 'Invalid Date', ativo: true }
+  ]);
+  await storage.noticias.salvar([
+    { id: 1, titulo: 'Notícia antiga', data: '2024-05-27', ativo: true, criadoEm: '2024-05-27T12:00:00.000Z' }
+  ]);
+
+  // A migração 2 grava eventos e depois notícias; a gravação das notícias falha
+  const atualizar = storage.noticias.atualizar;
+  storage.noticias.atualizar = async () => {
+    throw new Error('disco cheio');
+  };
+  await assert.rejects(executarMigracoes(), /disco cheio/);
+  storage.noticias.atualizar = atualizar;
+
+  assert.strictEqual((await storage.schema.ler()).versao, 1);
+
+  await executarMigracoes();
+
+  const schema = await storage.schema.ler();
+  assert.strictEqual(schema.versao, VERSAO_ATUAL);
+  assert.strictEqual(schema.historico[0].versao, 2);
+
+  const [evento] = await storage.eventos.ler();
+  assert.strictEqual(evento.dataFormatada, '27 de maio de 2024');
+  assert.strictEqual(evento.slug, 'bate-papo');
+
+  const [noticia] = await storage.noticias.ler();
+  assert.strictEqual(noticia.status, 'publicado');
+  assert.strictEqual(noticia.dataFormatada, '27 de maio de 2024');
+});
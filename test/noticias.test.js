@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { noticiasPublicadas, definirStatus } = require('../services/noticias');
+
+const agora = new Date('2025-03-01T12:00:00Z');
+
+test('agendadas vencidas aparecem como publicadas na leitura', () => {
+  const noticias = [
+    { id: 1, status: 'publicado' },
+    { id: 2, status: 'agendado', publicarEm: '2025-03-01T11:59:00.000Z' },
+    { id: 3, status: 'agendado', publicarEm: '2025-03-01T12:01:00.000Z' },
+    { id: 4, status: 'rascunho' }
+  ];
+
+  const publicadas = noticiasPublicadas(noticias, agora);
+
+  assert.deepStrictEqual(publicadas.map(n => n.id), [1, 2]);
+  assert.strictEqual(publicadas[1].publicadoEm, '2025-03-01T11:59:00.000Z');
+  assert.strictEqual(noticias[1].status, 'agendado');
+});
+
+test('agendar exige publicarEm no futuro', () => {
+  assert.throws(() => definirStatus({ status: 'rascunho' }, { status: 'agendado' }, agora), { code: 'NEWS_SCHEDULE_REQUIRED' });
+  assert.throws(() => definirStatus({ status: 'rascunho' }, { status: 'agendado', publicarEm: '2025-03-01T08:00:00-03:00' }, agora),
+    { code: 'NEWS_INVALID_SCHEDULE' });
+
+  const noticia = { status: 'rascunho' };
+  definirStatus(noticia, { status: 'agendado', publicarEm: '2025-03-01T10:00:00-03:00' }, agora);
+  assert.deepStrictEqual(noticia, { status: 'agendado', publicarEm: '2025-03-01T13:00:00.000Z' });
+});
+
+test('arquivar não manda a notícia para a lixeira', () => {
+  const noticia = { status: 'publicado', publicarEm: null };
+  definirStatus(noticia, { status: 'arquivado' }, agora);
+  assert.deepStrictEqual(noticia, { status: 'arquivado', publicarEm: null });
+
+  const excluida = { status: 'arquivado', publicarEm: null, exclusao: { em: agora.toISOString(), por: 1 } };
+  definirStatus(excluida, { status: 'publicado' }, agora);
+  assert.strictEqual(excluida.exclusao, null);
+});
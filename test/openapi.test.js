@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const rotas = require('../routes');
+const openapi = require('../docs/openapi');
+
+const METODOS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Caminho Express (/:id) no formato OpenAPI (/{id})
+const caminhoOpenApi = (prefixo, caminho) => {
+  const completo = caminho === '/' ? prefixo : `${prefixo}${caminho}`;
+  return completo.replace(/:(\w+)/g, '{$1}');
+};
+
+// Lista "METODO caminho" de todas as rotas registradas nos roteadores da API
+const rotasRegistradas = () => rotas.flatMap(([prefixo, router]) => router.stack
+  .filter(camada => camada.route)
+  .flatMap(camada => Object.keys(camada.route.methods)
+    .map(metodo => `${metodo} ${caminhoOpenApi(prefixo, camada.route.path)}`)));
+
+const rotasDocumentadas = () => Object.entries(openapi.paths)
+  .filter(([caminho]) => caminho.startsWith('/api/') && !caminho.startsWith('/api/docs'))
+  .flatMap(([caminho, operacoes]) => Object.keys(operacoes)
+    .filter(metodo => METODOS.includes(metodo))
+    .map(metodo => `${metodo} ${caminho}`));
+
+test('toda rota dos roteadores está descrita na especificação OpenAPI', () => {
+  const documentadas = new Set(rotasDocumentadas());
+  const faltando = rotasRegistradas().filter(rota => !documentadas.has(rota));
+
+  assert.deepStrictEqual(faltando, [], `Rotas sem documentação: ${faltando.join(', ')}`);
+});
+
+test('a especificação não descreve rotas inexistentes', () => {
+  const registradas = new Set(rotasRegistradas());
+  const sobrando = rotasDocumentadas().filter(rota => !registradas.has(rota));
+
+  assert.deepStrictEqual(sobrando, [], `Rotas documentadas que não existem: ${sobrando.join(', ')}`);
+});
+
+test('toda operação protegida usa o esquema bearerAuth', () => {
+  assert.ok(openapi.components.securitySchemes.bearerAuth);
+
+  Object.values(openapi.paths).forEach(operacoes => {
+    Object.entries(operacoes)
+      .filter(([metodo]) => METODOS.includes(metodo))
+      .forEach(([, operacao]) => {
+        (operacao.security || []).forEach(requisito => {
+          Object.keys(requisito).forEach(esquema => {
+            assert.ok(openapi.components.securitySchemes[esquema], `Esquema de segurança desconhecido: ${esquema}`);
+          });
+        });
+      });
+  });
+});
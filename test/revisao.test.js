@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Banco SQLite temporário, para não mexer em data/
+const diretorio = fs.mkdtempSync(path.join(os.tmpdir(), 'revisao-'));
+process.env.STORAGE_DRIVER = 'sqlite';
+process.env.SQLITE_FILE = path.join(diretorio, 'teste.db');
+
+const app = require('../server');
+
+let servidor;
+let base;
+let admin;
+let autor;
+
+const requisicao = async (metodo, caminho, credencial, corpo) => {
+  const resposta = await fetch(`${base}${caminho}`, {
+    method: metodo,
+    headers: { 'content-type': 'application/json', ...credencial },
+    body: corpo && JSON.stringify(corpo)
+  });
+  return { status: resposta.status, corpo: await resposta.json() };
+};
+
+const evento = {
+  titulo: 'Workshop de DeFi',
+  descricao: 'Introdução a finanças descentralizadas',
+  data: '2030-05-10',
+  local: 'Insper',
+  categoria: 'Workshop'
+};
+
+const noticia = {
+  titulo: 'Nova turma de pesquisa',
+  resumo: 'Inscrições abertas',
+  conteudo: 'Conteúdo da notícia',
+  autor: 'Blockchain Insper',
+  categoria: 'Pesquisa'
+};
+
+test.before(async () => {
+  servidor = app.listen(0);
+  base = `http://127.0.0.1:${servidor.address().port}`;
+
+  const login = await requisicao('POST', '/api/auth/login', {}, {
+    email: process.env.ADMIN_EMAIL,
+    password: process.env.ADMIN_PASSWORD
+  });
+  admin = { authorization: `Bearer ${login.corpo.token}` };
+
+  // Autor que escreve mas não publica
+  const chave = await requisicao('POST', '/api/admins/api-keys', admin, {
+    nome: 'Autor',
+    permissoes: ['eventos:write', 'noticias:write']
+  });
+  autor = { 'x-api-key': chave.corpo.data.chave };
+});
+
+test.after(() => {
+  servidor.close();
+  fs.rmSync(diretorio, { recursive: true, force: true });
+});
+
+test('sem noticias:publish não se edita notícia publicada', async () => {
+  const publicada = await requisicao('POST', '/api/noticias', admin, { ...noticia, status: 'publicado' });
+  const edicao = await requisicao('PUT', `/api/noticias/${publicada.corpo.data.id}`, autor, { titulo: 'Título trocado' });
+
+  assert.strictEqual(edicao.status, 403);
+  const noSite = await requisicao('GET', `/api/noticias/${publicada.corpo.data.id}`, {});
+  assert.strictEqual(noSite.corpo.data.titulo, noticia.titulo);
+});
+
+test('sem noticias:publish o autor edita o próprio rascunho', async () => {
+  const rascunho = await requisicao('POST', '/api/noticias', autor, noticia);
+  const edicao = await requisicao('PUT', `/api/noticias/${rascunho.corpo.data.id}`, autor, { titulo: 'Título revisto' });
+
+  assert.strictEqual(edicao.status, 200);
+  assert.strictEqual(edicao.corpo.data.status, 'rascunho');
+});
+
+test('sem eventos:publish não se edita evento ativo, nem a série a partir de uma ocorrência', async () => {
+  const ativo = await requisicao('POST', '/api/eventos', admin, evento);
+  const edicao = await requisicao('PUT', `/api/eventos/${ativo.corpo.data.id}`, autor, { titulo: 'Título trocado' });
+  assert.strictEqual(edicao.status, 403);
+
+  const rascunho = await requisicao('POST', '/api/eventos', autor, evento);
+  assert.strictEqual(rascunho.corpo.data.ativo, false);
+  const edicaoRascunho = await requisicao('PUT', `/api/eventos/${rascunho.corpo.data.id}`, autor, { local: 'Auditório' });
+  assert.strictEqual(edicaoRascunho.status, 200);
+
+  const serie = await requisicao('PUT', `/api/eventos/${rascunho.corpo.data.id}?escopo=serie`, autor, { local: 'Auditório' });
+  assert.strictEqual(serie.status, 403);
+});
+
+test('sem a permissão de publicar não se restaura versão de conteúdo publicado', async () => {
+  const publicada = await requisicao('POST', '/api/noticias', admin, { ...noticia, status: 'publicado' });
+  const id = publicada.corpo.data.id;
+  await requisicao('PUT', `/api/noticias/${id}`, admin, { titulo: 'Título corrigido' });
+
+  const restauracao = await requisicao('POST', `/api/noticias/${id}/versoes/1/restore`, autor);
+  assert.strictEqual(restauracao.status, 403);
+
+  const noSite = await requisicao('GET', `/api/noticias/${id}`, {});
+  assert.strictEqual(noSite.corpo.data.titulo, 'Título corrigido');
+});
+
+test('o que a chave de API altera fica em nome do admin que a criou', async () => {
+  const rascunho = await requisicao('POST', '/api/noticias', autor, noticia);
+  const id = rascunho.corpo.data.id;
+  await requisicao('PUT', `/api/noticias/${id}`, autor, { titulo: 'Título da integração' });
+
+  const versoes = await requisicao('GET', `/api/noticias/${id}/versoes`, admin);
+  assert.strictEqual(versoes.corpo.data[0].alteradoPor, 1);
+});
+
+test('rascunho excluído e restaurado da lixeira continua fora do site', async () => {
+  const rascunho = await requisicao('POST', '/api/eventos', autor, { ...evento, titulo: 'Rascunho do autor' });
+  const id = rascunho.corpo.data.id;
+
+  await requisicao('DELETE', `/api/eventos/${id}`, admin);
+  const restauracao = await requisicao('POST', `/api/admin/lixeira/eventos/${id}/restore`, admin);
+  assert.strictEqual(restauracao.status, 200);
+
+  const noSite = await requisicao('GET', '/api/eventos', {});
+  assert.ok(!noSite.corpo.data.some(e => e.id === id));
+});
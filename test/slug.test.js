@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { gerarSlug, slugUnico, definirSlug, resolverSlug } = require('../utils/slug');
+
+test('o slug é gerado sem acentos e em minúsculas', () => {
+  assert.strictEqual(
+    gerarSlug('Blockchain Insper lança novo programa de pesquisa em DeFi!'),
+    'blockchain-insper-lanca-novo-programa-de-pesquisa-em-defi'
+  );
+});
+
+test('slugs em uso, inclusive anteriores, e só com dígitos ganham sufixo', () => {
+  const registros = [{ id: 1, slug: 'meetup', slugsAnteriores: ['meetup-2'] }];
+
+  assert.strictEqual(slugUnico('Meetup', registros, 2), 'meetup-3');
+  assert.strictEqual(slugUnico('Meetup', registros, 1), 'meetup');
+  assert.strictEqual(slugUnico('2025', registros, 2), '2025-2');
+});
+
+test('o slug anterior continua resolvendo o registro, marcado como antigo', () => {
+  const noticia = { id: 7, slug: 'titulo-antigo', slugsAnteriores: [] };
+  definirSlug(noticia, [noticia], { texto: 'Título novo' });
+
+  assert.deepStrictEqual(noticia.slugsAnteriores, ['titulo-antigo']);
+  assert.deepStrictEqual(resolverSlug([noticia], 'titulo-novo'), { registro: noticia, antigo: false });
+  assert.deepStrictEqual(resolverSlug([noticia], 'titulo-antigo'), { registro: noticia, antigo: true });
+  assert.deepStrictEqual(resolverSlug([noticia], '7'), { registro: noticia, antigo: false });
+});
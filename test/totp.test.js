@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { gerarCodigo, verificarCodigo, gerarSegredo } = require('../utils/totp');
+
+// Vetores do RFC 6238 (segredo ASCII "12345678901234567890"), truncados para 6 dígitos
+const SEGREDO_RFC = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('gera os códigos dos vetores de teste do RFC 6238', () => {
+  assert.strictEqual(gerarCodigo(SEGREDO_RFC, Math.floor(59 / 30)), '287082');
+  assert.strictEqual(gerarCodigo(SEGREDO_RFC, Math.floor(1111111109 / 30)), '081804');
+  assert.strictEqual(gerarCodigo(SEGREDO_RFC, Math.floor(1234567890 / 30)), '005924');
+});
+
+test('aceita o passo vizinho e recusa códigos já usados', () => {
+  const segredo = gerarSegredo();
+  const agora = Date.now();
+  const passo = Math.floor(agora / 1000 / 30);
+
+  assert.strictEqual(verificarCodigo(segredo, gerarCodigo(segredo, passo - 1), { agora }), passo - 1);
+  assert.strictEqual(verificarCodigo(segredo, gerarCodigo(segredo, passo), { agora, ultimoPasso: passo }), null);
+  assert.strictEqual(verificarCodigo(segredo, gerarCodigo(segredo, passo - 3), { agora }), null);
+  assert.strictEqual(verificarCodigo(segredo, 'abcdef', { agora }), null);
+});
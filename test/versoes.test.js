@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diferencas } = require('../services/versoes');
+
+test('a comparação lista só os campos alterados, ignorando metadados', () => {
+  const antes = { id: 1, titulo: 'A', conteudo: 'x', sequencia: 1, atualizadoEm: '2025-01-01T00:00:00.000Z' };
+  const depois = { id: 1, titulo: 'A', conteudo: 'y', imagem: '/a.png', sequencia: 2, atualizadoEm: '2025-01-02T00:00:00.000Z' };
+
+  assert.deepStrictEqual(diferencas(antes, depois), [
+    { campo: 'conteudo', de: 'x', para: 'y' },
+    { campo: 'imagem', de: null, para: '/a.png' }
+  ]);
+});
+
+test('campo ausente e campo nulo são equivalentes', () => {
+  assert.deepStrictEqual(diferencas({ id: 1, horaInicio: null }, { id: 1 }), []);
+});
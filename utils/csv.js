@@ -0,0 +1,29 @@
+// Geração de CSV para exportações do painel (abre direto no Excel e no Google Sheets).
+//
+// Valores começando com =, +, - ou @ recebem um apóstrofo na frente para não serem
+// interpretados como fórmulas pela planilha.
+
+const SEPARADOR = ',';
+
+const escaparValor = (valor) => {
+  if (valor === null || valor === undefined) return '';
+
+  let texto = String(valor);
+  if (/^[=+\-@]/.test(texto)) {
+    texto = `'${texto}`;
+  }
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+// colunas: [{ campo, titulo }]; devolve o texto com BOM UTF-8 e quebras CRLF
+const gerarCsv = (colunas, registros) => {
+  const linhas = [
+    colunas.map(coluna => escaparValor(coluna.titulo)).join(SEPARADOR),
+    ...registros.map(registro => colunas.map(coluna => escaparValor(registro[coluna.campo])).join(SEPARADOR))
+  ];
+  return `\uFEFF${linhas.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  gerarCsv
+};
@@ -0,0 +1,19 @@
+// Formata uma data (YYYY-MM-DD ou ISO) por extenso em pt-BR, ex.: "27 de maio de 2024".
+// Datas sem horário são interpretadas em UTC para não voltarem um dia no fuso de São Paulo.
+const formatarData = (data) => {
+  const valor = new Date(data);
+  if (!data || isNaN(valor.getTime())) {
+    return null;
+  }
+
+  return valor.toLocaleDateString('pt-BR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+};
+
+module.exports = {
+  formatarData
+};
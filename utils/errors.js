@@ -0,0 +1,16 @@
+// Erro de aplicação com status HTTP e código estável para o frontend.
+// O middleware de erros transforma qualquer AppError no envelope padrão:
+// { success: false, message, error: { code, status, details, requestId } }
+class AppError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = {
+  AppError
+};
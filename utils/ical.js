@@ -0,0 +1,59 @@
+// Geração de arquivos iCalendar (RFC 5545) para os feeds de eventos.
+//
+// Cada componente é descrito como { tipo, propriedades, componentes }, com propriedades em pares
+// [nome, valor]. O nome pode levar parâmetros (ex.: "DTSTART;TZID=America/Sao_Paulo") e valores de
+// texto devem passar por escaparTexto. As linhas saem com CRLF e dobradas em 75 octetos.
+
+const LIMITE_LINHA = 75;
+
+const escaparTexto = (texto) => String(texto ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Dobrar linhas longas sem partir caracteres multibyte; continuações começam com um espaço
+const dobrarLinha = (linha) => {
+  const partes = [];
+  let atual = '';
+  let tamanho = 0;
+
+  for (const caractere of linha) {
+    const bytes = Buffer.byteLength(caractere);
+    const limite = partes.length === 0 ? LIMITE_LINHA : LIMITE_LINHA - 1;
+    if (tamanho + bytes > limite) {
+      partes.push(atual);
+      atual = '';
+      tamanho = 0;
+    }
+    atual += caractere;
+    tamanho += bytes;
+  }
+  partes.push(atual);
+
+  return partes.join('\r\n ');
+};
+
+// Data e hora UTC no formato AAAAMMDDTHHMMSSZ
+const formatarUtc = (data) => new Date(data).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const linhasDoComponente = ({ tipo, propriedades = [], componentes = [] }) => [
+  `BEGIN:${tipo}`,
+  ...propriedades
+    .filter(([, valor]) => valor !== undefined && valor !== null && valor !== '')
+    .map(([nome, valor]) => `${nome}:${valor}`),
+  ...componentes.flatMap(linhasDoComponente),
+  `END:${tipo}`
+];
+
+// Montar o texto de um VCALENDAR
+const gerarCalendario = (calendario) => `${linhasDoComponente({ tipo: 'VCALENDAR', ...calendario })
+  .map(dobrarLinha)
+  .join('\r\n')}\r\n`;
+
+module.exports = {
+  escaparTexto,
+  dobrarLinha,
+  formatarUtc,
+  gerarCalendario
+};
@@ -0,0 +1,219 @@
+// Paginação, filtros, ordenação e seleção de campos para as rotas de listagem.
+//
+// Parâmetros aceitos na query string:
+//   page, limit          paginação por página (limit máximo LIMITE_MAXIMO)
+//   cursor               paginação por cursor (valor de paginacao.nextCursor da resposta anterior)
+//   sort                 campos separados por vírgula; prefixo "-" para ordem decrescente
+//   fields               campos a devolver, separados por vírgula
+//   dataInicio, dataFim  intervalo (inclusivo) sobre o campo data
+//   periodo              upcoming | past (apenas onde a rota habilita)
+//   demais               filtros de igualdade declarados pela rota
+
+const { AppError } = require('./errors');
+
+const LIMITE_MAXIMO = 100;
+
+const conversores = {
+  texto: (valor) => String(valor),
+  booleano: (valor) => {
+    if (['true', '1'].includes(valor)) return true;
+    if (['false', '0'].includes(valor)) return false;
+    return undefined;
+  },
+  inteiro: (valor) => {
+    const numero = Number(valor);
+    return Number.isInteger(numero) ? numero : undefined;
+  }
+};
+
+const DATA_REGEX = /^\d{4}-\d{2}-\d{2}/;
+
+const inteiroPositivo = (valor) => {
+  const numero = Number(valor);
+  return Number.isInteger(numero) && numero > 0 ? numero : undefined;
+};
+
+const codificarCursor = (id) => Buffer.from(JSON.stringify({ id })).toString('base64url');
+
+const decodificarCursor = (cursor) => {
+  try {
+    const { id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return id;
+  } catch {
+    return undefined;
+  }
+};
+
+const listaDeCampos = (valor) => String(valor)
+  .split(',')
+  .map(campo => campo.trim())
+  .filter(Boolean);
+
+// Interpreta req.query de acordo com os filtros que a rota aceita; devolve { erros, consulta }
+const interpretarConsulta = (query, { filtros = {}, periodo = false, ordenacaoPadrao = null }) => {
+  const erros = [];
+  const consulta = {
+    criterios: {},
+    ordenacao: [],
+    campos: null,
+    dataInicio: null,
+    dataFim: null,
+    periodo: null,
+    page: null,
+    limit: null,
+    cursor: null
+  };
+
+  Object.entries(filtros).forEach(([campo, tipo]) => {
+    if (query[campo] === undefined) return;
+    const valor = conversores[tipo](query[campo]);
+    if (valor === undefined) {
+      erros.push({ campo, mensagem: 'valor inválido' });
+    } else {
+      consulta.criterios[campo] = valor;
+    }
+  });
+
+  ['dataInicio', 'dataFim'].forEach(campo => {
+    if (query[campo] === undefined) return;
+    if (!DATA_REGEX.test(query[campo]) || isNaN(new Date(query[campo]).getTime())) {
+      erros.push({ campo, mensagem: 'deve estar no formato AAAA-MM-DD' });
+    } else {
+      consulta[campo] = String(query[campo]).slice(0, 10);
+    }
+  });
+
+  if (query.periodo !== undefined) {
+    if (!periodo || !['upcoming', 'past'].includes(query.periodo)) {
+      erros.push({ campo: 'periodo', mensagem: 'deve ser upcoming ou past' });
+    } else {
+      consulta.periodo = query.periodo;
+    }
+  }
+
+  const sort = query.sort !== undefined ? query.sort : ordenacaoPadrao;
+  if (sort) {
+    consulta.ordenacao = listaDeCampos(sort).map(campo => (
+      campo.startsWith('-')
+        ? { campo: campo.slice(1), direcao: -1 }
+        : { campo: campo.replace(/^\+/, ''), direcao: 1 }
+    ));
+  }
+
+  if (query.fields !== undefined) {
+    consulta.campos = listaDeCampos(query.fields);
+  }
+
+  if (query.cursor !== undefined && query.page !== undefined) {
+    erros.push({ campo: 'cursor', mensagem: 'use page ou cursor, não ambos' });
+  }
+
+  if (query.page !== undefined) {
+    consulta.page = inteiroPositivo(query.page);
+    if (!consulta.page) erros.push({ campo: 'page', mensagem: 'deve ser um inteiro positivo' });
+  }
+
+  if (query.limit !== undefined) {
+    consulta.limit = inteiroPositivo(query.limit);
+    if (!consulta.limit || consulta.limit > LIMITE_MAXIMO) {
+      erros.push({ campo: 'limit', mensagem: `deve ser um inteiro entre 1 e ${LIMITE_MAXIMO}` });
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    consulta.cursor = decodificarCursor(query.cursor);
+    if (consulta.cursor === undefined) erros.push({ campo: 'cursor', mensagem: 'cursor inválido' });
+  }
+
+  return { erros, consulta };
+};
+
+// Middleware: valida os parâmetros de listagem e deixa o resultado em req.consulta
+const consultaListagem = (opcoes = {}) => (req, res, next) => {
+  const { erros, consulta } = interpretarConsulta(req.query, opcoes);
+
+  if (erros.length) {
+    return next(new AppError(400, 'INVALID_QUERY', 'Parâmetros de consulta inválidos', erros));
+  }
+
+  req.consulta = consulta;
+  next();
+};
+
+const comparar = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return a ? 1 : -1;
+  return String(a).localeCompare(String(b), 'pt-BR', { numeric: true });
+};
+
+const selecionarCampos = (registro, campos) => Object.fromEntries(
+  campos.filter(campo => campo in registro).map(campo => [campo, registro[campo]])
+);
+
+// Aplica intervalo de datas, período, ordenação, paginação e seleção de campos.
+// Os filtros de igualdade (consulta.criterios) ficam a cargo do storage.filtrar.
+const aplicarConsulta = (registros, consulta) => {
+  const hoje = new Date().toISOString().slice(0, 10);
+
+  let resultado = registros.filter(registro => {
+    const data = registro.data ? String(registro.data).slice(0, 10) : null;
+    if (consulta.dataInicio && (!data || data < consulta.dataInicio)) return false;
+    if (consulta.dataFim && (!data || data > consulta.dataFim)) return false;
+    if (consulta.periodo === 'upcoming' && (!data || data < hoje)) return false;
+    if (consulta.periodo === 'past' && (!data || data >= hoje)) return false;
+    return true;
+  });
+
+  if (consulta.ordenacao.length) {
+    resultado = [...resultado].sort((a, b) => {
+      for (const { campo, direcao } of consulta.ordenacao) {
+        const diferenca = comparar(a[campo], b[campo]);
+        if (diferenca !== 0) {
+          // Valores ausentes ficam sempre no fim, independente da direção
+          const ausente = a[campo] === undefined || a[campo] === null
+            || b[campo] === undefined || b[campo] === null;
+          return ausente ? diferenca : diferenca * direcao;
+        }
+      }
+      return 0;
+    });
+  }
+
+  const total = resultado.length;
+  const limit = consulta.limit || (consulta.page || consulta.cursor !== null ? 20 : null);
+  let inicio = 0;
+
+  if (consulta.cursor !== null) {
+    const posicao = resultado.findIndex(registro => String(registro.id) === String(consulta.cursor));
+    inicio = posicao === -1 ? total : posicao + 1;
+  } else if (consulta.page) {
+    inicio = (consulta.page - 1) * limit;
+  }
+
+  const pagina = limit ? resultado.slice(inicio, inicio + limit) : resultado;
+  const temMais = limit ? inicio + limit < total : false;
+  const ultimo = pagina[pagina.length - 1];
+
+  const paginacao = {
+    page: limit ? Math.floor(inicio / limit) + 1 : 1,
+    limit: limit || total,
+    totalPages: limit ? Math.max(Math.ceil(total / limit), 1) : 1,
+    hasMore: temMais,
+    nextCursor: temMais && ultimo ? codificarCursor(ultimo.id) : null
+  };
+
+  const data = consulta.campos
+    ? pagina.map(registro => selecionarCampos(registro, consulta.campos))
+    : pagina;
+
+  return { data, total, paginacao };
+};
+
+module.exports = {
+  LIMITE_MAXIMO,
+  consultaListagem,
+  aplicarConsulta
+};
@@ -0,0 +1,78 @@
+// Catálogo de permissões e papéis padrão do painel.
+//
+// Cada rota protegida declara a permissão que exige (requirePermission em middlewares/auth.js).
+// Papéis são conjuntos de permissões guardados na coleção roles; "*" concede todas,
+// inclusive as que forem criadas depois.
+
+const PERMISSOES = {
+  'dashboard:read': 'Ver estatísticas e listagens do painel',
+  'eventos:write': 'Criar e editar eventos; sem eventos:publish, os novos aguardam revisão',
+  'eventos:publish': 'Publicar, destacar e excluir eventos e séries e revisar eventos enviados',
+  'inscricoes:manage': 'Ver, exportar e gerenciar inscrições em eventos e emitir certificados',
+  'checkin:write': 'Registrar a presença (check-in) de inscritos na entrada dos eventos',
+  'noticias:write': 'Criar e editar notícias; sem noticias:publish, só rascunhos enviados para revisão',
+  'noticias:publish': 'Publicar, agendar, destacar e arquivar notícias e revisar notícias enviadas',
+  'mensagens:read': 'Ler mensagens do formulário de contato',
+  'mensagens:write': 'Marcar e excluir mensagens do formulário de contato',
+  'contatos:write': 'Editar as informações de contato do site',
+  'uploads:write': 'Enviar e excluir imagens',
+  'backups:create': 'Criar e listar backups',
+  'backups:restore': 'Restaurar backups',
+  'admins:manage': 'Gerenciar administradores, sessões, 2FA e bloqueios',
+  'roles:manage': 'Gerenciar papéis e suas permissões'
+};
+
+const TODAS = '*';
+
+// Papéis criados quando a coleção ainda não existe
+const PAPEIS_PADRAO = [
+  {
+    id: 'super_admin',
+    nome: 'Super administrador',
+    descricao: 'Acesso total, inclusive a administradores e papéis',
+    permissoes: [TODAS],
+    sistema: true
+  },
+  {
+    id: 'admin',
+    nome: 'Administrador',
+    descricao: 'Conteúdo, mensagens, uploads e backups',
+    permissoes: Object.keys(PERMISSOES).filter(permissao => !['admins:manage', 'roles:manage'].includes(permissao)),
+    sistema: true
+  },
+  {
+    id: 'editor',
+    nome: 'Editor',
+    descricao: 'Apenas conteúdo: eventos, notícias e imagens',
+    permissoes: [
+      'dashboard:read', 'eventos:write', 'eventos:publish', 'inscricoes:manage', 'checkin:write',
+      'noticias:write', 'noticias:publish', 'uploads:write'
+    ],
+    sistema: false
+  },
+  {
+    id: 'atendimento',
+    nome: 'Atendimento',
+    descricao: 'Apenas a caixa de mensagens do formulário de contato',
+    permissoes: ['mensagens:read', 'mensagens:write'],
+    sistema: false
+  }
+];
+
+// Um papel concede a permissão se a lista dele a contém ou contém "*"
+const papelConcede = (papel, permissao) => Boolean(papel)
+  && (papel.permissoes.includes(TODAS) || papel.permissoes.includes(permissao));
+
+// Permissões efetivas de um papel, com "*" expandido
+const permissoesEfetivas = (papel) => {
+  if (!papel) return [];
+  return papel.permissoes.includes(TODAS) ? Object.keys(PERMISSOES) : papel.permissoes;
+};
+
+module.exports = {
+  PERMISSOES,
+  TODAS,
+  PAPEIS_PADRAO,
+  papelConcede,
+  permissoesEfetivas
+};
@@ -0,0 +1,89 @@
+// Slugs de URL para eventos e notícias (ex.: blockchain-insper-lanca-novo-programa-de-pesquisa-em-defi).
+//
+// O slug é gerado do título sem acentos e fica único na coleção; editores também podem defini-lo. Ao mudar,
+// o anterior vai para slugsAnteriores e continua reservado para o registro, para os links antigos
+// redirecionarem para o novo. Slugs só com dígitos não são aceitos, pois se confundiriam com IDs.
+
+const { AppError } = require('./errors');
+
+const TAMANHO_MAXIMO = 100;
+
+// Texto em minúsculas, sem acentos, com palavras separadas por "-"
+const gerarSlug = (texto) => String(texto || '')
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+  .slice(0, TAMANHO_MAXIMO).replace(/-$/, '');
+
+const somenteDigitos = (valor) => /^\d+$/.test(valor);
+
+// Slug em uso (atual ou anterior) por outro registro da coleção
+const slugEmUso = (slug, registros, id) => registros.some(registro => registro.id !== id
+  && (registro.slug === slug || (registro.slugsAnteriores || []).includes(slug)));
+
+// Primeiro slug livre a partir do texto: base, base-2, base-3...
+const slugUnico = (texto, registros, id, padrao) => {
+  const base = gerarSlug(texto) || padrao;
+  let candidato = base;
+  for (let sufixo = 2; somenteDigitos(candidato) || slugEmUso(candidato, registros, id); sufixo++) {
+    candidato = `${base}-${sufixo}`;
+  }
+  return candidato;
+};
+
+// Troca o slug do registro: o informado pelo editor ou um gerado do texto (título)
+const definirSlug = (registro, registros, { slug, texto, padrao }) => {
+  if (slug !== undefined) {
+    if (somenteDigitos(slug)) {
+      throw new AppError(400, 'VALIDATION_FAILED', 'Dados inválidos', [
+        { campo: 'slug', mensagem: 'não pode conter apenas números' }
+      ]);
+    }
+    if (slugEmUso(slug, registros, registro.id)) {
+      throw new AppError(409, 'SLUG_ALREADY_EXISTS', 'Slug já usado por outro registro');
+    }
+  }
+
+  const novo = slug !== undefined ? slug : slugUnico(texto, registros, registro.id, padrao);
+  if (novo === registro.slug) {
+    return;
+  }
+
+  const anteriores = (registro.slugsAnteriores || []).filter(anterior => anterior !== novo);
+  registro.slugsAnteriores = registro.slug ? [...anteriores, registro.slug] : anteriores;
+  registro.slug = novo;
+};
+
+// Registro de um ID ou slug da URL; antigo indica que veio de um slug anterior (o endereço mudou)
+const resolverSlug = (registros, valor) => {
+  if (somenteDigitos(valor)) {
+    return { registro: registros.find(registro => registro.id === parseInt(valor)), antigo: false };
+  }
+
+  const atual = registros.find(registro => registro.slug === valor);
+  if (atual) {
+    return { registro: atual, antigo: false };
+  }
+  return {
+    registro: registros.find(registro => (registro.slugsAnteriores || []).includes(valor)),
+    antigo: true
+  };
+};
+
+// 301 de um slug anterior para o endereço atual, que também vai no corpo para clientes que não seguem redirects
+const redirecionarParaSlug = (req, res, slug, extensao = '') => {
+  const url = `${req.baseUrl}/${slug}${extensao}`;
+
+  res.status(301).location(url).json({
+    success: true,
+    message: 'Endereço alterado; use o novo slug',
+    data: { slug, url }
+  });
+};
+
+module.exports = {
+  gerarSlug,
+  slugUnico,
+  definirSlug,
+  resolverSlug,
+  redirecionarParaSlug
+};
@@ -0,0 +1,95 @@
+// TOTP (RFC 6238) com HMAC-SHA1, 6 dígitos e passo de 30 segundos,
+// compatível com Google Authenticator, Authy, 1Password etc.
+
+const crypto = require('crypto');
+
+const ALFABETO_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PASSO_SEGUNDOS = 30;
+const DIGITOS = 6;
+
+const codificarBase32 = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+
+  let resultado = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    resultado += ALFABETO_BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return resultado;
+};
+
+const decodificarBase32 = (texto) => {
+  const bits = texto
+    .toUpperCase()
+    .replace(/=+$/, '')
+    .split('')
+    .map(caractere => {
+      const valor = ALFABETO_BASE32.indexOf(caractere);
+      if (valor === -1) throw new Error('Segredo base32 inválido');
+      return valor.toString(2).padStart(5, '0');
+    })
+    .join('');
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// Segredo aleatório de 160 bits em base32
+const gerarSegredo = () => codificarBase32(crypto.randomBytes(20));
+
+const passoAtual = (agora = Date.now()) => Math.floor(agora / 1000 / PASSO_SEGUNDOS);
+
+const gerarCodigo = (segredo, passo = passoAtual()) => {
+  const contador = Buffer.alloc(8);
+  contador.writeBigUInt64BE(BigInt(passo));
+
+  const hmac = crypto.createHmac('sha1', decodificarBase32(segredo)).update(contador).digest();
+  const deslocamento = hmac[hmac.length - 1] & 0x0f;
+  const numero = (hmac.readUInt32BE(deslocamento) & 0x7fffffff) % 10 ** DIGITOS;
+
+  return String(numero).padStart(DIGITOS, '0');
+};
+
+// Confere o código aceitando `janela` passos antes e depois do atual (relógios dessincronizados).
+// Passos iguais ou anteriores a ultimoPasso são recusados, impedindo reaproveitar um código.
+// Devolve o passo aceito ou null.
+const verificarCodigo = (segredo, codigo, { janela = 1, ultimoPasso = null, agora = Date.now() } = {}) => {
+  const normalizado = String(codigo || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalizado)) {
+    return null;
+  }
+
+  const atual = passoAtual(agora);
+  for (let passo = atual - janela; passo <= atual + janela; passo++) {
+    if (ultimoPasso !== null && passo <= ultimoPasso) continue;
+
+    const esperado = Buffer.from(gerarCodigo(segredo, passo));
+    if (crypto.timingSafeEqual(esperado, Buffer.from(normalizado))) {
+      return passo;
+    }
+  }
+  return null;
+};
+
+// URI otpauth:// para gerar o QR code no aplicativo autenticador
+const gerarUriOtpauth = ({ segredo, conta, emissor }) => {
+  const rotulo = encodeURIComponent(`${emissor}:${conta}`);
+  const parametros = new URLSearchParams({
+    secret: segredo,
+    issuer: emissor,
+    algorithm: 'SHA1',
+    digits: String(DIGITOS),
+    period: String(PASSO_SEGUNDOS)
+  });
+  return `otpauth://totp/${rotulo}?${parametros}`;
+};
+
+module.exports = {
+  gerarSegredo,
+  gerarCodigo,
+  verificarCodigo,
+  gerarUriOtpauth
+};